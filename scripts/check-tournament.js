@@ -0,0 +1,42 @@
+/**
+ * Tournament reproducibility check: runs the same seeded tournament twice,
+ * each in its own process, and verifies both reports are identical. The
+ * default profiles use tactical search, the part most likely to drift.
+ *
+ * Usage: npm run check:tournament [-- <tournament options>]
+ *   default: --profiles HARD:search,NORMAL:search --games 2
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const tournament = path.join(path.dirname(fileURLToPath(import.meta.url)), 'tournament.js');
+const args = process.argv.slice(2);
+const options = args.length > 0 ? args : ['--profiles', 'HARD:search,NORMAL:search', '--games', '2'];
+
+/**
+ * Runs the tournament into a fresh directory
+ * @returns {{ json: Object, csv: string }} the report, without the output directory option
+ */
+function runTournament(run) {
+    const out = fs.mkdtempSync(path.join(os.tmpdir(), `warfire-tournament-${run}-`));
+    try {
+        execFileSync(process.execPath, [tournament, ...options, '--out', out], { stdio: 'ignore' });
+        const json = JSON.parse(fs.readFileSync(path.join(out, 'tournament.json'), 'utf8'));
+        delete json.options.out;
+        return { json, csv: fs.readFileSync(path.join(out, 'tournament.csv'), 'utf8') };
+    } finally {
+        fs.rmSync(out, { recursive: true, force: true });
+    }
+}
+
+const first = runTournament(1);
+const second = runTournament(2);
+
+if (JSON.stringify(first.json) !== JSON.stringify(second.json) || first.csv !== second.csv) {
+    console.log(`FAILED: two runs of "${options.join(' ')}" gave different results`);
+    process.exit(1);
+}
+console.log(`ok: two runs of "${options.join(' ')}" gave identical results (${first.json.matches.length} matches)`);
@@ -0,0 +1,278 @@
+/**
+ * AI tournament: plays headless matches between AI profiles on generated maps
+ * and reports win rates, game length, production, city captures and Elo.
+ *
+ * A profile is DIFFICULTY[:PERSONALITY][:search], e.g. HARD:AGGRESSOR:search.
+ * Every pairing of profiles plays each seed once per seat rotation, so the
+ * same options always replay the same matches.
+ *
+ * Usage: npm run tournament -- [options]
+ *   --profiles <list>   comma separated profiles (default HARD,NORMAL)
+ *   --games <n>         number of matches (default 10)
+ *   --players <n>       players per match, 2-4 (default 2)
+ *   --seed <n>          first map seed (default 1)
+ *   --turns <n>         turn limit, after it the game is a draw (default 100)
+ *   --width, --height, --cities, --ruins   map settings (default: game defaults)
+ *   --out <dir>         where tournament.json and tournament.csv go (default tournament-results)
+ */
+import fs from 'fs';
+import path from 'path';
+import { GameEngine } from '../src/game/GameEngine.js';
+import { AISystem } from '../src/systems/AISystem.js';
+import { Events } from '../src/utils.js';
+import { UNIT_DEFINITIONS, AI_DIFFICULTY, AI_PERSONALITIES, DEFAULT_AI_PERSONALITY } from '../src/constants.js';
+
+const ELO_START = 1500;
+const ELO_K = 32;
+// Unit types cities can produce
+const UNIT_TYPES = Object.keys(UNIT_DEFINITIONS).filter(type => type !== 'HERO');
+
+// Keep the output readable - the engine and AI log every action
+const log = console.log;
+console.log = () => {};
+
+function parseArgs(argv) {
+    const options = {
+        profiles: 'HARD,NORMAL',
+        games: 10,
+        players: 2,
+        seed: 1,
+        turns: 100,
+        out: 'tournament-results'
+    };
+    for (let i = 0; i < argv.length; i += 2) {
+        const key = argv[i].replace(/^--/, '');
+        if (!(key in options) && !['width', 'height', 'cities', 'ruins'].includes(key)) {
+            throw new Error(`Unknown option --${key}`);
+        }
+        if (argv[i + 1] === undefined) throw new Error(`Missing value for --${key}`);
+        options[key] = ['profiles', 'out'].includes(key) ? argv[i + 1] : Number(argv[i + 1]);
+    }
+
+    for (const key of ['games', 'players', 'seed', 'turns', 'width', 'height', 'cities', 'ruins']) {
+        if (options[key] !== undefined && !Number.isInteger(options[key])) throw new Error(`--${key} must be a whole number`);
+    }
+    if (options.players < 2 || options.players > 4) throw new Error('--players must be between 2 and 4');
+    return options;
+}
+
+/**
+ * Profile label -> player settings for GameEngine
+ */
+function parseProfile(label) {
+    const [difficulty, ...rest] = label.toUpperCase().split(':');
+    if (!AI_DIFFICULTY[difficulty]) throw new Error(`Unknown difficulty in profile "${label}"`);
+
+    const tacticalSearch = rest.includes('SEARCH');
+    const personalities = rest.filter(part => part !== 'SEARCH');
+    const personality = personalities[0] ?? DEFAULT_AI_PERSONALITY;
+    if (personalities.length > 1 || !AI_PERSONALITIES[personality]) {
+        throw new Error(`Unknown personality in profile "${label}"`);
+    }
+    return { label, difficulty, personality, tacticalSearch };
+}
+
+/**
+ * All ways to pick k profiles (by index), in a fixed order
+ */
+function combinations(count, k, start = 0) {
+    if (k === 0) return [[]];
+    const result = [];
+    for (let i = start; i <= count - k; i++) {
+        combinations(count, k - 1, i + 1).forEach(rest => result.push([i, ...rest]));
+    }
+    return result;
+}
+
+/**
+ * Plays one match
+ * @returns {Object} per-seat results and the game length
+ */
+async function playMatch(seed, seats, options) {
+    const engine = new GameEngine({
+        seed,
+        mapWidth: options.width,
+        mapHeight: options.height,
+        numCities: options.cities,
+        numRuins: options.ruins,
+        players: seats.map(profile => ({
+            name: profile.label,
+            isAI: true,
+            difficulty: profile.difficulty,
+            personality: profile.personality,
+            tacticalSearch: profile.tacticalSearch
+        }))
+    });
+    engine.initialize();
+    const ai = new AISystem(engine);
+
+    const results = seats.map(profile => ({
+        profile: profile.label,
+        produced: Object.fromEntries(UNIT_TYPES.map(type => [type, 0])),
+        captures: 0,
+        citiesByTurn: [],
+        eliminatedTurn: null
+    }));
+
+    const onCapture = ({ newOwner }) => {
+        if (results[newOwner]) results[newOwner].captures++;
+    };
+    Events.on('city:captured', onCapture);
+
+    try {
+        let recordedTurn = 0;
+        while (!engine.isGameOver() && engine.state.turnNumber <= options.turns) {
+            if (engine.state.turnNumber !== recordedTurn) {
+                recordedTurn = engine.state.turnNumber;
+                engine.players.forEach((p, i) => results[i].citiesByTurn.push(p.cities.length));
+            }
+
+            // Production comes from the commands logged during the player's turn
+            const seat = engine.state.currentPlayerIndex;
+            const logged = engine.replay.commands.length;
+            await ai.playTurn();
+            for (const command of engine.replay.commands.slice(logged)) {
+                if (command.type === GameEngine.COMMANDS.PRODUCE) results[seat].produced[command.unitType]++;
+            }
+
+            engine.players.forEach((p, i) => {
+                if (!p.isAlive && results[i].eliminatedTurn === null) results[i].eliminatedTurn = engine.state.turnNumber;
+            });
+        }
+    } finally {
+        Events.off('city:captured', onCapture);
+    }
+
+    const winner = engine.getWinner();
+    results.forEach((result, i) => {
+        result.won = winner?.id === i;
+        result.cities = engine.players[i].cities.length;
+    });
+    return { turns: Math.min(engine.state.turnNumber, options.turns), winner: winner ? winner.id : null, results };
+}
+
+/**
+ * Placement score for pairwise Elo: the winner first, then whoever was
+ * eliminated last, survivors of a drawn game by city count
+ */
+function standing(result) {
+    if (result.won) return Infinity;
+    if (result.eliminatedTurn !== null) return -1000 + result.eliminatedTurn;
+    return result.cities;
+}
+
+function updateElo(ratings, results) {
+    const changes = new Map(results.map(r => [r.profile, 0]));
+    for (let i = 0; i < results.length; i++) {
+        for (let j = i + 1; j < results.length; j++) {
+            const a = results[i];
+            const b = results[j];
+            const expected = 1 / (1 + 10 ** ((ratings.get(b.profile) - ratings.get(a.profile)) / 400));
+            const score = standing(a) > standing(b) ? 1 : standing(a) < standing(b) ? 0 : 0.5;
+            // Spread K over the opponents so big games don't swing ratings more
+            const delta = ELO_K / (results.length - 1) * (score - expected);
+            changes.set(a.profile, changes.get(a.profile) + delta);
+            changes.set(b.profile, changes.get(b.profile) - delta);
+        }
+    }
+    changes.forEach((delta, profile) => ratings.set(profile, ratings.get(profile) + delta));
+}
+
+function summarize(profiles, matches, ratings) {
+    return profiles.map(({ label }) => {
+        const played = matches.flatMap(m => m.results.filter(r => r.profile === label).map(r => ({ ...r, turns: m.turns, drawn: m.winner === null })));
+        const games = played.length;
+        const produced = Object.fromEntries(UNIT_TYPES.map(type => [type, played.reduce((s, r) => s + r.produced[type], 0)]));
+
+        // Average city count per turn over the games that lasted that long
+        const longest = Math.max(0, ...played.map(r => r.citiesByTurn.length));
+        const citiesByTurn = Array.from({ length: longest }, (_, turn) => {
+            const counts = played.filter(r => turn < r.citiesByTurn.length).map(r => r.citiesByTurn[turn]);
+            return Number((counts.reduce((s, c) => s + c, 0) / counts.length).toFixed(2));
+        });
+
+        return {
+            profile: label,
+            elo: Math.round(ratings.get(label)),
+            games,
+            wins: played.filter(r => r.won).length,
+            draws: played.filter(r => r.drawn).length,
+            winRate: games ? played.filter(r => r.won).length / games : 0,
+            avgTurns: games ? played.reduce((s, r) => s + r.turns, 0) / games : 0,
+            avgCaptures: games ? played.reduce((s, r) => s + r.captures, 0) / games : 0,
+            produced,
+            citiesByTurn
+        };
+    }).sort((a, b) => b.elo - a.elo);
+}
+
+function printTable(summary) {
+    const rows = [['Profile', 'Elo', 'Games', 'Win %', 'Draws', 'Avg turns', 'Captures/game']];
+    summary.forEach(s => rows.push([
+        s.profile, String(s.elo), String(s.games), (s.winRate * 100).toFixed(1),
+        String(s.draws), s.avgTurns.toFixed(1), s.avgCaptures.toFixed(1)
+    ]));
+    const widths = rows[0].map((_, col) => Math.max(...rows.map(row => row[col].length)));
+    rows.forEach((row, i) => {
+        log(row.map((cell, col) => col === 0 ? cell.padEnd(widths[col]) : cell.padStart(widths[col])).join('  '));
+        if (i === 0) log(widths.map(w => '-'.repeat(w)).join('  '));
+    });
+
+    log('\nUnits produced');
+    const types = UNIT_TYPES;
+    log(['Profile'.padEnd(widths[0]), ...types.map(t => t.padStart(t.length))].join('  '));
+    summary.forEach(s => log([s.profile.padEnd(widths[0]), ...types.map(t => String(s.produced[t]).padStart(t.length))].join('  ')));
+}
+
+function toCsv(matches) {
+    const types = UNIT_TYPES;
+    const header = ['match', 'seed', 'seat', 'profile', 'won', 'draw', 'turns', 'eliminated_turn', 'cities', 'captures', ...types.map(t => `produced_${t.toLowerCase()}`)];
+    const lines = [header.join(',')];
+    matches.forEach((match, index) => match.results.forEach((r, seat) => lines.push([
+        index + 1, match.seed, seat + 1, `"${r.profile}"`, r.won ? 1 : 0, match.winner === null ? 1 : 0,
+        match.turns, r.eliminatedTurn ?? '', r.cities, r.captures, ...types.map(t => r.produced[t])
+    ].join(','))));
+    return lines.join('\n') + '\n';
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const profiles = options.profiles.split(',').map(label => parseProfile(label.trim()));
+    if (new Set(profiles.map(p => p.label.toUpperCase())).size !== profiles.length) throw new Error('Profiles must be different');
+    if (profiles.length < options.players) throw new Error(`Need at least ${options.players} profiles for ${options.players}-player matches`);
+
+    const pairings = combinations(profiles.length, options.players);
+    const ratings = new Map(profiles.map(p => [p.label, ELO_START]));
+    const matches = [];
+
+    log(`Tournament: ${options.games} matches, ${profiles.length} profiles, ${options.players} players per match`);
+    for (let i = 0; i < options.games; i++) {
+        // Each seed plays every pairing in every seat rotation before the next seed
+        const pairing = pairings[i % pairings.length];
+        const rotation = Math.floor(i / pairings.length) % options.players;
+        const seed = options.seed + Math.floor(i / (pairings.length * options.players));
+        const seats = pairing.map((_, s) => profiles[pairing[(s + rotation) % pairing.length]]);
+
+        const match = { seed, ...await playMatch(seed, seats, options) };
+        matches.push(match);
+        updateElo(ratings, match.results);
+
+        const winner = match.winner === null ? 'draw' : seats[match.winner].label;
+        log(`match ${i + 1}/${options.games} seed ${seed}: ${seats.map(s => s.label).join(' vs ')} -> ${winner} (turn ${match.turns})`);
+    }
+
+    const summary = summarize(profiles, matches, ratings);
+    log('');
+    printTable(summary);
+
+    fs.mkdirSync(options.out, { recursive: true });
+    const report = { options, profiles: summary, matches };
+    fs.writeFileSync(path.join(options.out, 'tournament.json'), JSON.stringify(report, null, 2));
+    fs.writeFileSync(path.join(options.out, 'tournament.csv'), toCsv(matches));
+    log(`\nWrote ${path.join(options.out, 'tournament.json')} and ${path.join(options.out, 'tournament.csv')}`);
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
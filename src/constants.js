@@ -16,8 +16,10 @@ export const CONFIG = {
     UI_WIDTH: 300,  // Desktop only
     UI_HEIGHT: MOBILE_UI_HEIGHT, // Mobile only
     MAX_PLAYERS: 4,
+    MAX_STACK_SIZE: 4, // Units of one player that can share a tile
     STARTING_GOLD: 50,
     STARTING_UNITS: { HERO: 1, LIGHT_INFANTRY: 2 },
+    AUTOSAVE_TURNS: 10, // Autosave slots kept (ring buffer, one per turn); 0 disables autosave
     VERSION: '1.1.0',
     IS_MOBILE: isMobile
 };
@@ -65,6 +67,14 @@ export const TERRAIN_DEFENSE = {
     [TERRAIN.WATER]: 0
 };
 
+// Overlay on the terrain - a road on a water tile is a bridge
+export const FEATURES = { NONE: 0, ROAD: 1, BRIDGE: 2 };
+
+export const FEATURE_NAMES = ['', 'Road', 'Bridge'];
+
+// Movement points for a step from one road (or bridge) tile to the next, on any terrain
+export const ROAD_MOVE_COST = 0.5;
+
 export const UNIT_DEFINITIONS = {
     LIGHT_INFANTRY: {
         name: 'Light Infantry',
@@ -74,6 +84,8 @@ export const UNIT_DEFINITIONS = {
         defense: 2,
         movement: 4,
         range: 1,
+        sight: 2,
+        canRetaliate: true,
         canEnter: [TERRAIN.PLAINS, TERRAIN.FOREST, TERRAIN.MOUNTAINS]
     },
     HEAVY_INFANTRY: {
@@ -84,6 +96,8 @@ export const UNIT_DEFINITIONS = {
         defense: 4,
         movement: 3,
         range: 1,
+        sight: 2,
+        canRetaliate: true,
         canEnter: [TERRAIN.PLAINS, TERRAIN.FOREST, TERRAIN.MOUNTAINS]
     },
     CAVALRY: {
@@ -94,6 +108,9 @@ export const UNIT_DEFINITIONS = {
         defense: 2,
         movement: 7,
         range: 1,
+        sight: 3,
+        canRetaliate: true,
+        ignoresZOC: true, // Moves through enemy zones of control (see MovementSystem)
         canEnter: [TERRAIN.PLAINS, TERRAIN.FOREST, TERRAIN.MOUNTAINS]
     },
     ARCHER: {
@@ -104,6 +121,8 @@ export const UNIT_DEFINITIONS = {
         defense: 1,
         movement: 4,
         range: 2,
+        sight: 3,
+        canRetaliate: true,
         canEnter: [TERRAIN.PLAINS, TERRAIN.FOREST, TERRAIN.MOUNTAINS]
     },
     CATAPULT: {
@@ -114,6 +133,8 @@ export const UNIT_DEFINITIONS = {
         defense: 1,
         movement: 3,
         range: 3,
+        sight: 2,
+        canRetaliate: false,
         canEnter: [TERRAIN.PLAINS, TERRAIN.FOREST, TERRAIN.MOUNTAINS]
     },
     DRAGON: {
@@ -124,6 +145,9 @@ export const UNIT_DEFINITIONS = {
         defense: 5,
         movement: 8,
         range: 1,
+        sight: 4,
+        canRetaliate: true,
+        ignoresZOC: true,
         canEnter: [TERRAIN.PLAINS, TERRAIN.FOREST, TERRAIN.MOUNTAINS, TERRAIN.WATER]
     },
     HERO: {
@@ -134,11 +158,20 @@ export const UNIT_DEFINITIONS = {
         defense: 4,
         movement: 5,
         range: 1,
+        sight: 3,
+        canRetaliate: true,
         isHero: true,
         canEnter: [TERRAIN.PLAINS, TERRAIN.FOREST, TERRAIN.MOUNTAINS]
     }
 };
 
+// Fog of war - vision radius in tiles. Mountains let units see further, forests block sight
+export const CITY_SIGHT = 2;
+export const MOUNTAIN_SIGHT_BONUS = 1;
+
+// Zone of control - extra movement points for stepping out of an enemy's zone
+export const ZOC_EXIT_COST = 1;
+
 export const CITY_INCOME = { small: 5, medium: 10, large: 20 };
 
 /** Ruin reward types */
@@ -146,5 +179,151 @@ export const RUIN_REWARD_TYPES = {
     GOLD_50: 'gold_50',
     GOLD_100: 'gold_100',
     RANDOM_UNIT: 'random_unit',
-    NEW_CITY: 'new_city'
+    NEW_CITY: 'new_city',
+    ARTIFACT: 'artifact'
+};
+
+/** Hero experience - XP per deed and total XP needed for each level (index = level - 1) */
+export const HERO_XP = {
+    COMBAT_WIN: 25,
+    RUIN: 20,
+    CITY_CAPTURE: 30,
+    LEVELS: [0, 50, 120, 210, 320, 450]
+};
+
+/** Veterancy for regular units - combat XP per fight and the ranks it unlocks (rank bonuses add to ATK/DEF) */
+export const UNIT_XP = {
+    ATTACK: 5,
+    KILL: 20,
+    DEFEND: 5
+};
+
+/** Share of its normal damage a surviving defender deals back (see UNIT_DEFINITIONS canRetaliate) */
+export const RETALIATION_DAMAGE = 0.5;
+
+/** Extra damage per flanking unit - an attacker's ally adjacent to the defender, up to MAX_FLANKERS */
+export const FLANKING_BONUS = 0.1;
+export const MAX_FLANKERS = 3;
+
+/** Rounds after which a stack battle is broken off - only reached when neither side can hurt the other */
+export const MAX_BATTLE_ROUNDS = 20;
+
+/** Battle outcome estimates (CombatSystem.estimateBattle) */
+export const BATTLE_ESTIMATE = {
+    SAMPLES: 32,      // battles fought on copies of the units per estimate
+    DAMAGE_BANDS: 20  // random factor bands per blow, see CombatSystem.getDamageOutcomes
+};
+
+/**
+ * Unit morale (0 - MAX) - scales the damage a unit deals and can make it rout
+ * (see MoraleSystem). Heroes are fearless and stay at START
+ */
+export const MORALE = {
+    START: 50,
+    MAX: 100,
+    LOW: 30,            // at or below: Shaken
+    HIGH: 70,           // at or above: Inspired
+    LOW_DAMAGE: 0.85,
+    HIGH_DAMAGE: 1.15,
+    ROUT: 15,           // at or below: may rout at the start of its turn when an enemy is near
+    ROUT_CHANCE: 0.5,
+    RADIUS: 2,          // Chebyshev range of the effects below
+    ALLY_DIED: -10,
+    HERO_FELL: -30,     // every unit of the army, on top of ALLY_DIED
+    NEAR_CITY: 5,       // per turn
+    NEAR_HERO: 10       // per turn
+};
+
+export const UNIT_RANKS = [
+    { name: 'Recruit', xp: 0, attackBonus: 0, defenseBonus: 0 },
+    { name: 'Veteran', xp: 40, attackBonus: 1, defenseBonus: 1 },
+    { name: 'Elite', xp: 100, attackBonus: 2, defenseBonus: 2 }
+];
+
+/** Level-up choices for heroes - stat bonuses are applied as buffs */
+export const HERO_UPGRADES = {
+    ATTACK: { name: '+2 Attack', attackBonus: 2 },
+    DEFENSE: { name: '+2 Defense', defenseBonus: 2 },
+    MOVEMENT: { name: '+1 Movement', movementBonus: 1 },
+    LEADERSHIP: { name: 'Leadership', description: '+1 ATK/DEF to units in the hero\'s stack' }
+};
+
+/** Hero artifacts - found in ruins, bonuses are applied to the carrier as buffs */
+export const ARTIFACT_DEFINITIONS = {
+    FLAME_SWORD: { name: 'Flame Sword', attackBonus: 3 },
+    AEGIS_SHIELD: { name: 'Aegis Shield', defenseBonus: 3 },
+    WINGED_BOOTS: { name: 'Winged Boots', movementBonus: 1 },
+    AMULET_OF_LIFE: { name: 'Amulet of Life', hpBonus: 15 },
+    WAR_CROWN: { name: 'War Crown', attackBonus: 1, defenseBonus: 1, hpBonus: 5 }
+};
+
+/**
+ * AI difficulty levels, picked per AI player in the menu.
+ * noise - random spread on move and attack scores (fraction of the score)
+ * coordination - StrategyPlanner assigns units to shared objectives
+ * productionSkill - below 1 the planner's production plan is skipped and that
+ *   share of builds is a sensible pick, the rest is the cheapest unit
+ * incomeBonus - extra city income (fraction)
+ */
+export const AI_DIFFICULTY = {
+    EASY: { name: 'Easy', noise: 0.5, coordination: false, productionSkill: 0.4, incomeBonus: 0 },
+    NORMAL: { name: 'Normal', noise: 0.3, coordination: true, productionSkill: 0.7, incomeBonus: 0 },
+    HARD: { name: 'Hard', noise: 0, coordination: true, productionSkill: 1, incomeBonus: 0 },
+    BRUTAL: { name: 'Brutal', noise: 0, coordination: true, productionSkill: 1, incomeBonus: 0.5 }
+};
+
+export const DEFAULT_AI_DIFFICULTY = 'NORMAL';
+
+/**
+ * AI personalities - scale the AI's move, target and objective weights so AI
+ * players with the same difficulty still play differently.
+ * aggression - attacking enemy cities and armies
+ * cityDefense - garrisoning and relieving own cities
+ * ruinHunting - exploring ruins
+ * expansion - capturing neutral cities
+ * unitMix - preferred units in the production plan (weight per unit type, 1 if missing)
+ */
+export const AI_PERSONALITIES = {
+    BALANCED: { name: 'Balanced', aggression: 1, cityDefense: 1, ruinHunting: 1, expansion: 1, unitMix: {} },
+    AGGRESSOR: {
+        name: 'Aggressor', aggression: 1.5, cityDefense: 0.7, ruinHunting: 0.6, expansion: 0.9,
+        unitMix: { HEAVY_INFANTRY: 1.3, CAVALRY: 1.3, CATAPULT: 1.5, ARCHER: 0.8 }
+    },
+    TURTLE: {
+        name: 'Turtle', aggression: 0.6, cityDefense: 1.7, ruinHunting: 0.6, expansion: 0.8,
+        unitMix: { HEAVY_INFANTRY: 1.5, ARCHER: 1.4, CAVALRY: 0.5 }
+    },
+    EXPANDER: {
+        name: 'Expander', aggression: 0.8, cityDefense: 0.9, ruinHunting: 0.9, expansion: 1.6,
+        unitMix: { CAVALRY: 1.5, LIGHT_INFANTRY: 1.3, CATAPULT: 0.6 }
+    },
+    RAIDER: {
+        name: 'Raider', aggression: 1.2, cityDefense: 0.6, ruinHunting: 1.8, expansion: 1.1,
+        unitMix: { CAVALRY: 1.8, ARCHER: 1.2, HEAVY_INFANTRY: 0.6 }
+    }
+};
+
+// Balanced is the AI from before personalities - used when none is given
+export const DEFAULT_AI_PERSONALITY = 'BALANCED';
+
+// Menu choice that lets the game pick one of the named personalities
+export const RANDOM_AI_PERSONALITY = 'RANDOM';
+
+/**
+ * Tactical search - opt-in per AI player. Plans the attacks of all units that
+ * can fight this turn together with a bounded expectimax over the outcomes
+ * of their battles, instead of picking each unit's attack greedily.
+ * Values are in gold, the same scale as unit costs.
+ */
+export const TACTICAL_SEARCH = {
+    MAX_EVALUATIONS: 40000, // attack evaluations per planned attack - the search budget
+    DEPTH: 3,               // attacks searched ahead, the rest of the sequence is greedy
+    BRANCHING: 5,           // best attacks expanded at each decision
+    DAMAGE_VALUE: 0.5,      // share of a unit's value for damaging all its HP
+    HERO_VALUE: 100,        // extra value of a hero
+    RANK_VALUE: 10,         // extra value per veterancy rank
+    CITY_VALUE: 60,
+    LAST_CITY_VALUE: 300,   // capturing a player's last city
+    COUNTERPLAY: 0.5,       // weight of the enemy's best reply against our units
+    MOVE_COST: 3            // attacking spends a unit's move
 };
@@ -0,0 +1,134 @@
+import { Events } from '../utils.js';
+import { AISystem } from '../systems/AISystem.js';
+import { SaveSystem } from '../systems/SaveSystem.js';
+
+/**
+ * Plays AI turns in a module worker (src/workers/AIWorker.js) so large maps
+ * don't stutter. Each action the worker sends is applied through
+ * WarfireGame.applyCommand, the validated command path.
+ *
+ * Same interface as AISystem. The in-thread AISystem takes over when workers
+ * are unavailable, the worker fails, or a command is rejected.
+ */
+export class AIWorkerClient {
+    constructor(game) {
+        this.game = game;
+        this.fallback = new AISystem(game);
+        this.worker = null;
+        this.turn = null; // { id, resolve, actions, done }
+        this.nextTurnId = 1;
+        this.running = false;
+
+        if (typeof Worker === 'undefined') return;
+        try {
+            this.worker = new Worker(new URL('../workers/AIWorker.js', import.meta.url), { type: 'module' });
+            this.worker.onmessage = (e) => this.handleMessage(e.data);
+            this.worker.onerror = (e) => {
+                console.error('AI worker failed, using in-thread AI:', e.message);
+                this.destroy('failed');
+            };
+            this.onVisibilityChange = () => this.syncSpeed();
+            document.addEventListener('visibilitychange', this.onVisibilityChange);
+        } catch (error) {
+            console.error('AI worker unavailable, using in-thread AI:', error);
+            this.worker = null;
+        }
+    }
+
+    get isRunning() {
+        return this.running || this.fallback.isRunning;
+    }
+
+    get lastCompletedTurnKey() {
+        return this.fallback.lastCompletedTurnKey;
+    }
+
+    /**
+     * Execute AI turn for the current player
+     */
+    async playTurn() {
+        if (!this.worker) return this.fallback.playTurn();
+        if (this.isRunning) return;
+
+        const state = this.game.state;
+        const player = this.game.players[state.currentPlayerIndex];
+        if (!player.isAI || !player.isAlive) return;
+
+        const turnKey = `${state.turnNumber}:${state.currentPlayerIndex}`;
+        this.running = true;
+        Events.emit('ai:turnStarted', { player });
+
+        const outcome = await new Promise(resolve => {
+            this.turn = { id: this.nextTurnId++, resolve, actions: Promise.resolve(), done: false };
+            this.syncSpeed();
+            // The replay log is not needed to decide a turn
+            const snapshot = { ...SaveSystem.serialize(this.game.engine), replay: null };
+            this.worker.postMessage({ type: 'init', data: { turnId: this.turn.id, snapshot } });
+        });
+        this.turn = null;
+        this.running = false;
+
+        if (outcome === 'completed') {
+            this.fallback.finishTurn(player, turnKey);
+        } else if (outcome === 'failed') {
+            // Finish whatever is left of the turn on the main thread
+            await this.fallback.playTurn();
+        }
+    }
+
+    handleMessage({ type, data }) {
+        const turn = this.turn;
+        // 'ready', or messages from a turn that was already closed
+        if (!turn || turn.done || data?.turnId !== turn.id) return;
+
+        if (type === 'action') {
+            turn.actions = turn.actions.then(() => this.applyAction(turn, data.action));
+        } else if (type === 'error') {
+            console.error('AI worker error:', data.message);
+            this.closeTurn(turn, 'failed');
+        }
+    }
+
+    async applyAction(turn, action) {
+        if (turn.done) return;
+        if (action.type === 'endTurn') {
+            this.closeTurn(turn, 'completed');
+            return;
+        }
+
+        const ok = await this.game.applyCommand(action);
+        this.worker?.postMessage({ type: 'actionResult', data: { turnId: turn.id, ok } });
+        if (!ok) {
+            // Nothing is legal once the game is over - otherwise the worker is out of sync
+            if (!this.game.engine.isGameOver()) {
+                console.error('AI worker command rejected, using in-thread AI:', action);
+            }
+            this.closeTurn(turn, this.game.engine.isGameOver() ? 'completed' : 'failed');
+        }
+    }
+
+    closeTurn(turn, outcome) {
+        turn.done = true;
+        turn.resolve(outcome);
+    }
+
+    /**
+     * Pace the worker to the game speed, without pauses while the tab is hidden
+     */
+    syncSpeed() {
+        const speed = document.hidden ? Infinity : (this.game.gameSpeed || 1);
+        this.worker?.postMessage({ type: 'setSpeed', data: { speed } });
+    }
+
+    /**
+     * Stop the worker; later turns run in-thread
+     * @param {string} [outcome] - how to close a turn in progress ('cancelled' drops it)
+     */
+    destroy(outcome = 'cancelled') {
+        if (!this.worker) return;
+        this.worker.terminate();
+        this.worker = null;
+        document.removeEventListener('visibilitychange', this.onVisibilityChange);
+        if (this.turn && !this.turn.done) this.closeTurn(this.turn, outcome);
+    }
+}
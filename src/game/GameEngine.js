@@ -0,0 +1,980 @@
+import { CONFIG, COLORS, TERRAIN, UNIT_DEFINITIONS, ARTIFACT_DEFINITIONS, HERO_XP, HERO_UPGRADES, AI_DIFFICULTY, DEFAULT_AI_DIFFICULTY, AI_PERSONALITIES, DEFAULT_AI_PERSONALITY, RANDOM_AI_PERSONALITY } from '../constants.js';
+import { Utils, Events, Random, SeededRandom } from '../utils.js';
+import { Unit } from '../models/Unit.js';
+import { City } from '../models/City.js';
+import { Player } from '../models/Player.js';
+import { GameMap } from '../systems/GameMap.js';
+import { GameState } from '../systems/GameState.js';
+import { CombatSystem } from '../systems/CombatSystem.js';
+import { MovementSystem } from '../systems/MovementSystem.js';
+import { MoraleSystem } from '../systems/MoraleSystem.js';
+import { VisionSystem } from '../systems/VisionSystem.js';
+import { MapGenerator } from '../systems/MapGenerator.js';
+import { ReplaySystem } from '../systems/ReplaySystem.js';
+
+/**
+ * GameEngine - pure rules core (map, players, turn flow, movement, combat,
+ * ruins, production, win checks). Has no Phaser dependency, so it runs in
+ * Node for headless AI-vs-AI simulation. WarfireGame is the Phaser adapter on top.
+ *
+ * Player-facing messages are emitted as 'game:message' events and the end of
+ * the game as 'game:over' - the adapter turns those into UI.
+ *
+ * Every executed command is appended to the replay log (see ReplaySystem).
+ */
+export class GameEngine {
+    static COMMANDS = {
+        MOVE: 'move',
+        ATTACK: 'attack',
+        PRODUCE: 'produce',
+        UPGRADE: 'upgrade',
+        END_TURN: 'endTurn'
+    };
+
+    constructor(gameConfig = null) {
+        this.gameConfig = gameConfig;
+        this.state = new GameState();
+        this.map = null;
+        this.players = [];
+        this.seed = null;
+        this.setup = null;
+        this.replay = null;
+        this.vision = null; // VisionSystem - only with fog of war
+    }
+
+    /**
+     * Seed the RNG, create players and generate the map
+     */
+    initialize() {
+        const mapWidth = this.gameConfig?.mapWidth || CONFIG.MAP_WIDTH;
+        const mapHeight = this.gameConfig?.mapHeight || CONFIG.MAP_HEIGHT;
+        const numCities = this.gameConfig?.numCities;
+        const numRuins = this.gameConfig?.numRuins;
+        const playerConfigs = this.gameConfig?.players || [
+            { name: 'Player 1', isAI: false },
+            { name: 'Player 2', isAI: true }
+        ];
+
+        // Seed the shared RNG before anything random happens, so the same seed
+        // reproduces the same map, ruin rewards and combat rolls
+        this.seed = SeededRandom.normalizeSeed(this.gameConfig?.seed ?? SeededRandom.generateSeed());
+        Random.setSeed(this.seed);
+        Unit.nextId = 1;
+
+        this.setup = {
+            mapWidth,
+            mapHeight,
+            numCities,
+            numRuins,
+            fogOfWar: !!this.gameConfig?.fogOfWar,
+            players: playerConfigs.map((p, index) => ({
+                name: p.name,
+                isAI: !!p.isAI,
+                difficulty: AI_DIFFICULTY[p.difficulty] ? p.difficulty : DEFAULT_AI_DIFFICULTY,
+                personality: this.resolvePersonality(p.personality, index),
+                tacticalSearch: !!p.tacticalSearch
+            }))
+        };
+        this.replay = ReplaySystem.create(this.seed, this.setup);
+
+        this.map = new GameMap(mapWidth, mapHeight);
+
+        // Create players first (needed for map generation)
+        this.createPlayers(this.setup.players);
+
+        this.mapGenerator = new MapGenerator(this);
+        this.mapGenerator.generate(mapWidth, mapHeight, { numCities, numRuins });
+
+        this.vision = this.setup.fogOfWar ? new VisionSystem(this.map, this.players) : null;
+        this.updateVision();
+    }
+
+    /**
+     * Personality key for a player slot. A random pick is hashed from the seed
+     * rather than drawn from the game RNG, so the map for a seed stays the same;
+     * the setup stores the resolved key for replays.
+     */
+    resolvePersonality(personality, index) {
+        if (personality === RANDOM_AI_PERSONALITY) {
+            const named = Object.keys(AI_PERSONALITIES).filter(key => key !== DEFAULT_AI_PERSONALITY);
+            return new SeededRandom(`${this.seed}:personality:${index}`).pick(named);
+        }
+        return AI_PERSONALITIES[personality] ? personality : DEFAULT_AI_PERSONALITY;
+    }
+
+    /**
+     * Create player instances from config
+     */
+    createPlayers(playerConfigs) {
+        this.players = playerConfigs.map((config, index) => {
+            return new Player(index, COLORS.players[index], config.name, config.isAI, config.difficulty, config.personality, config.tacticalSearch);
+        });
+    }
+
+    getCurrentPlayer() {
+        return this.players[this.state.currentPlayerIndex];
+    }
+
+    getUnit(unitId) {
+        return this.map.units.find(u => u.id === unitId) || null;
+    }
+
+    getCityById(cityId) {
+        return this.map.cities.find(c => c.id === cityId) || null;
+    }
+
+    isGameOver() {
+        return this.state.phase === GameState.PHASES.GAME_OVER;
+    }
+
+    /**
+     * Apply a player command, validated against the current player and rules.
+     *   { type: 'move', unitId, x, y }      - move (onto an adjacent enemy = melee attack)
+     *   { type: 'attack', unitId, x, y }    - attack the stack at x,y
+     *   Moves and melee attacks may add unitIds - units from the same tile that go along
+     *   { type: 'produce', cityId, unitType }
+     *   { type: 'endTurn' }
+     * @returns {boolean} true if the command was legal and applied
+     */
+    apply(command) {
+        if (this.isGameOver()) return false;
+        const player = this.getCurrentPlayer();
+
+        switch (command.type) {
+            case GameEngine.COMMANDS.MOVE: {
+                const unit = this.getOwnUnit(command.unitId, player);
+                const group = unit && this.getCommandGroup(command, unit, player);
+                if (!group || group.some(u => u.hasMoved)) return false;
+
+                // Judged by what the player knows - enemies hidden in the fog ambush the move instead
+                const reachable = MovementSystem.getGroupReachableTiles(group, this.getMapView(player.id));
+                const target = reachable.find(t => t.x === command.x && t.y === command.y);
+                if (!target) return false;
+
+                if (target.isEnemy) {
+                    const enemyStack = this.map.getStack(target.x, target.y);
+                    return !!(enemyStack && this.performAttack(unit, enemyStack, false, group));
+                }
+                return this.moveUnit(unit, target.x, target.y, group);
+            }
+
+            case GameEngine.COMMANDS.ATTACK: {
+                const unit = this.getOwnUnit(command.unitId, player);
+                if (!unit || !CombatSystem.canAttack(unit, command.x, command.y, this.map)) return false;
+
+                const dist = Utils.chebyshevDistance(unit.x, unit.y, command.x, command.y);
+                const enemyStack = this.map.getStack(command.x, command.y);
+                if (dist === 0 || !enemyStack || enemyStack.owner === unit.owner) return false;
+
+                // Only melee attacks are fought by a group
+                const group = this.getCommandGroup(command, unit, player);
+                if (!group || (group.length > 1 && (dist > 1 || group.some(u => u.hasAttacked)))) return false;
+
+                return !!this.performAttack(unit, enemyStack, dist > 1, group);
+            }
+
+            case GameEngine.COMMANDS.PRODUCE: {
+                const city = this.getCityById(command.cityId);
+                if (!city || city.owner !== player.id || !UNIT_DEFINITIONS[command.unitType]) return false;
+                return this.produceUnit(city, command.unitType);
+            }
+
+            case GameEngine.COMMANDS.UPGRADE: {
+                const unit = this.getOwnUnit(command.unitId, player);
+                if (!unit || unit.pendingUpgrades <= 0 || !HERO_UPGRADES[command.upgrade]) return false;
+                return this.upgradeHero(unit, command.upgrade);
+            }
+
+            case GameEngine.COMMANDS.END_TURN:
+                return this.endTurn();
+
+            default:
+                throw new Error(`Unknown command type: ${command.type}`);
+        }
+    }
+
+    /**
+     * Re-execute a command from a replay log. Unlike apply() this skips
+     * validation - the log only holds commands that already ran.
+     * @returns {boolean} true if the command had an effect
+     */
+    replayCommand(command) {
+        switch (command.type) {
+            case GameEngine.COMMANDS.MOVE: {
+                const unit = this.getUnit(command.unitId);
+                return !!unit && this.moveUnit(unit, command.x, command.y, this.getReplayGroup(command, unit));
+            }
+
+            case GameEngine.COMMANDS.ATTACK: {
+                const unit = this.getUnit(command.unitId);
+                const enemyStack = this.map.getStack(command.x, command.y);
+                return !!(unit && enemyStack && this.performAttack(unit, enemyStack, command.ranged, this.getReplayGroup(command, unit)));
+            }
+
+            case GameEngine.COMMANDS.PRODUCE: {
+                const city = this.getCityById(command.cityId);
+                return !!city && this.produceUnit(city, command.unitType);
+            }
+
+            case GameEngine.COMMANDS.UPGRADE: {
+                const unit = this.getUnit(command.unitId);
+                return !!unit && this.upgradeHero(unit, command.upgrade);
+            }
+
+            case GameEngine.COMMANDS.END_TURN:
+                return this.endTurn();
+
+            default:
+                throw new Error(`Unknown command type: ${command.type}`);
+        }
+    }
+
+    /**
+     * Append an executed command to the replay log
+     */
+    recordCommand(command) {
+        if (this.replay) this.replay.commands.push(command);
+    }
+
+    /**
+     * Living unit with the given id owned by player, or null
+     */
+    getOwnUnit(unitId, player) {
+        const unit = this.getUnit(unitId);
+        return unit && unit.owner === player.id && unit.hp > 0 ? unit : null;
+    }
+
+    /**
+     * Units a move or attack command takes along: the unit plus the living
+     * units listed in unitIds, all owned by player and on the unit's tile
+     * @returns {Unit[]|null} null if any listed unit is not valid
+     */
+    getCommandGroup(command, unit, player) {
+        if (!command.unitIds) return [unit];
+
+        const others = [...new Set(command.unitIds)].filter(id => id !== unit.id).map(id => this.getOwnUnit(id, player));
+        if (others.some(u => !u || u.x !== unit.x || u.y !== unit.y)) return null;
+        return [unit, ...others];
+    }
+
+    /**
+     * Group of a logged command - validated when it was first applied
+     */
+    getReplayGroup(command, unit) {
+        if (!command.unitIds) return [unit];
+        return [unit, ...command.unitIds.filter(id => id !== unit.id).map(id => this.getUnit(id)).filter(Boolean)];
+    }
+
+    /**
+     * Command for moving a group to (x, y) - what a human's click, the in-thread
+     * AI and the AI worker all pass to apply(). Onto a known enemy it is an attack
+     * @param {Unit[]} group - units from the unit's tile moving with it, unit first
+     */
+    getMoveCommand(unit, x, y, group = [unit]) {
+        const enemyStack = this.getMapView(unit.owner).getStack(x, y);
+        if (enemyStack && enemyStack.owner !== unit.owner) return this.getAttackCommand(unit, x, y, false, group);
+
+        const command = { type: GameEngine.COMMANDS.MOVE, unitId: unit.id, x, y };
+        if (group.length > 1) command.unitIds = group.map(u => u.id);
+        return command;
+    }
+
+    /**
+     * Command for attacking the stack at (x, y). A melee attack on an adjacent
+     * stack is an attack command - a group that has moved can still make it -
+     * on one further away (a charge) it is a move onto the stack
+     * @param {Unit[]} group - units from the attacker's tile fighting with it, attacker first
+     */
+    getAttackCommand(attacker, x, y, isRanged = false, group = [attacker]) {
+        const isCharge = !isRanged && Utils.chebyshevDistance(attacker.x, attacker.y, x, y) > 1;
+        const command = { type: isCharge ? GameEngine.COMMANDS.MOVE : GameEngine.COMMANDS.ATTACK, unitId: attacker.id, x, y };
+        if (group.length > 1) command.unitIds = group.map(u => u.id);
+        return command;
+    }
+
+    /**
+     * Show a message to the player (rendered by the adapter, ignored headless)
+     */
+    notify(text, duration) {
+        Events.emit('game:message', { text, duration });
+    }
+
+    /**
+     * Move unit along its path (see getMovePath) and resolve ruin exploration
+     * and city capture on the tile where it stops
+     * @param {Unit[]} group - units from the unit's tile moving with it, unit first
+     * @returns {boolean} false if the move was blocked or the attack was not possible
+     */
+    moveUnit(unit, x, y, group = [unit]) {
+        // Joining a friendly stack needs room for the whole group
+        const stackedUnits = this.map.getUnitsAt(x, y).filter(u => u.owner === unit.owner && !group.includes(u));
+        if (stackedUnits.length > 0 && stackedUnits.length + group.length > CONFIG.MAX_STACK_SIZE) {
+            return false;
+        }
+
+        // Moving onto an enemy stack is a melee attack (the AI issues attacks this way)
+        const enemyStack = this.getMapView(unit.owner).getStack(x, y);
+        if (enemyStack && enemyStack.owner !== unit.owner) {
+            return !!this.performAttack(unit, enemyStack, false, group);
+        }
+
+        const command = { type: GameEngine.COMMANDS.MOVE, unitId: unit.id, x, y };
+        if (group.length > 1) command.unitIds = group.map(u => u.id);
+        this.recordCommand(command);
+
+        // Walk the path - an ambush stops the group short of (x, y)
+        const route = this.getMovePath(unit, x, y, group);
+        const stop = route.path.at(-1) ?? { x: unit.x, y: unit.y };
+
+        // Update unit positions
+        group.forEach(u => {
+            this.map.moveUnit(u, stop.x, stop.y);
+            this.pickUpItems(u);
+        });
+        if (route.ambushed) {
+            Events.emit('unit:ambushed', { unit, x: stop.x, y: stop.y });
+            if (!this.players[unit.owner].isAI) this.notify('Ambush! Enemies were hiding in the fog.');
+        }
+
+        // Ruin exploration - any unit can explore
+        const ruin = this.map.getRuin(stop.x, stop.y);
+        if (ruin) {
+            this.handleRuinExploration(unit, stop.x, stop.y);
+        }
+
+        // City capture
+        const city = this.map.getCity(stop.x, stop.y);
+        if (city) {
+            if (city.owner === null) {
+                this.captureCity(city, unit.owner, unit);
+            } else if (city.owner !== unit.owner) {
+                const defenders = this.map.getUnitsAt(stop.x, stop.y).filter(u => u.owner !== unit.owner && u.hp > 0);
+                if (defenders.length === 0) {
+                    this.captureCity(city, unit.owner, unit);
+                }
+            }
+        }
+
+        this.refreshLeadershipAuras();
+        this.updateVision();
+        return true;
+    }
+
+    /**
+     * The tiles a group steps on moving to (x, y), by the cheapest path its
+     * owner knows of. Under fog of war the path ends early where it runs into
+     * the zone of control of an enemy the owner could not see, or just before
+     * a tile such an enemy holds - an ambush
+     * @returns {{path: {x: number, y: number}[], ambushed: boolean}} path
+     *   excludes the start tile, empty if the group is stopped where it stands
+     */
+    getMovePath(unit, x, y, group = [unit]) {
+        const view = this.getMapView(unit.owner);
+        const tile = MovementSystem.getGroupReachableTiles(group, view).find(t => t.x === x && t.y === y);
+        const path = tile && !tile.isEnemy ? tile.path : [{ x, y }];
+        if (view === this.map) return { path, ambushed: false };
+
+        // Units that ignore zones of control slip past hidden enemies too,
+        // but no one walks through the tile a hidden enemy stands on
+        const obeysZOC = group.some(u => !u.ignoresZOC);
+        const zoc = path.findIndex((step, i) => obeysZOC && i < path.length - 1 &&
+            MovementSystem.getAdjacentEnemies(step.x, step.y, unit, this.map).some(enemy => !view.getStack(enemy.x, enemy.y)));
+        const occupied = path.findIndex(step => this.map.getUnitsAt(step.x, step.y).some(u => u.owner !== unit.owner));
+        if (zoc === -1 && occupied === -1) return { path, ambushed: false };
+        const ambush = occupied === -1 ? zoc : zoc === -1 ? occupied - 1 : Math.min(zoc, occupied - 1);
+
+        // Halt on the last tile up to the ambush where the group may stop - not
+        // on a friendly stack without room for it
+        const canStop = step => this.map.getUnitsAt(step.x, step.y)
+            .filter(u => u.owner === unit.owner && !group.includes(u)).length + group.length <= CONFIG.MAX_STACK_SIZE;
+        let end = ambush;
+        while (end >= 0 && !canStop(path[end])) end--;
+        return { path: path.slice(0, end + 1), ambushed: true };
+    }
+
+    /**
+     * Give a unit a go-to order - it marches toward (x, y) at the start of its
+     * owner's turns until it arrives, is blocked or sees an enemy (see advanceGoTo)
+     * @returns {boolean} false if there is no way there as far as the owner knows
+     */
+    setGoTo(unit, x, y) {
+        if (unit.x === x && unit.y === y) return false;
+        if (!MovementSystem.findPath(unit, x, y, this.getMapView(unit.owner))) return false;
+        unit.goTo = { x, y };
+        return true;
+    }
+
+    /**
+     * Units marching together on a go-to order: the unit plus those on its
+     * tile with the same destination that haven't moved yet, unit first
+     */
+    getGoToGroup(unit) {
+        return [unit, ...this.map.getUnitsAt(unit.x, unit.y).filter(u => u !== unit &&
+            u.owner === unit.owner && u.hp > 0 && !u.hasMoved &&
+            u.goTo?.x === unit.goTo.x && u.goTo?.y === unit.goTo.y)];
+    }
+
+    /**
+     * This turn's leg of a go-to order: the farthest tile along the A* path
+     * (MovementSystem.findPath) the group can reach and stop on
+     * @returns {{x: number, y: number}|{end: string}} the tile, or why the
+     *   order is over - 'arrived', 'enemy' (one is in sight) or 'blocked'
+     */
+    getGoToStep(unit, group = [unit]) {
+        const { x, y } = unit.goTo;
+        if (unit.x === x && unit.y === y) return { end: 'arrived' };
+        if (group.some(u => this.isEnemyInSight(u))) return { end: 'enemy' };
+
+        const view = this.getMapView(unit.owner);
+        const path = MovementSystem.findPath(unit, x, y, view);
+        if (!path) return { end: 'blocked' };
+
+        const reachable = new Map(MovementSystem.getGroupReachableTiles(group, view)
+            .filter(t => !t.isEnemy)
+            .map(t => [`${t.x},${t.y}`, t]));
+        for (let i = path.length - 1; i >= 0; i--) {
+            if (reachable.has(`${path[i].x},${path[i].y}`)) return { x: path[i].x, y: path[i].y };
+        }
+        return { end: 'blocked' };
+    }
+
+    /**
+     * Carry out this turn's leg of a go-to order. The order ends when the
+     * group arrives, finds no way on or has an enemy in sight - before the
+     * march or after it
+     * @returns {boolean} true if the group moved
+     */
+    advanceGoTo(unit, group = this.getGoToGroup(unit)) {
+        const step = this.getGoToStep(unit, group);
+        const moved = !step.end && this.apply(this.getMoveCommand(unit, step.x, step.y, group));
+
+        let end = step.end ?? 'blocked';
+        if (moved) {
+            const { x, y } = unit.goTo;
+            if (unit.x === x && unit.y === y) end = 'arrived';
+            else if (group.some(u => u.hp > 0 && this.isEnemyInSight(u))) end = 'enemy';
+            // Still on the way - the rest is for the next turns
+            else return true;
+        }
+
+        group.forEach(u => { u.goTo = null; });
+        if (this.players[unit.owner].isAI) return moved;
+        if (end === 'arrived') {
+            this.notify(`${unit.name} reached its destination.`);
+        } else if (end === 'enemy') {
+            this.notify(`${unit.name} sighted the enemy - go-to order cancelled.`);
+        } else {
+            this.notify(`${unit.name} can't get through - go-to order cancelled.`);
+        }
+        return moved;
+    }
+
+    /**
+     * Whether an enemy the owner can see is within the unit's sight radius
+     */
+    isEnemyInSight(unit) {
+        return this.getMapView(unit.owner).units.some(enemy => enemy.owner !== unit.owner && enemy.hp > 0 &&
+            Utils.chebyshevDistance(unit.x, unit.y, enemy.x, enemy.y) <= unit.sight);
+    }
+
+    /**
+     * Resolve an attack as a battle against the whole target stack (see
+     * CombatSystem.resolveBattle), advance melee survivors into a cleared tile
+     * and apply resulting captures and defeats
+     * @param {Unit[]} group - units from the attacker's tile fighting with it, attacker first
+     * @returns {Object|null} the battle, or null if there was nobody to fight
+     */
+    performAttack(attacker, defenderStack, isRanged = false, group = [attacker]) {
+        const battle = CombatSystem.resolveBattle(group, defenderStack, this.map, isRanged);
+        if (battle.rounds.length === 0) return null;
+
+        const command = {
+            type: GameEngine.COMMANDS.ATTACK,
+            unitId: attacker.id,
+            x: defenderStack.x,
+            y: defenderStack.y,
+            ranged: isRanged
+        };
+        if (group.length > 1) command.unitIds = group.map(u => u.id);
+        this.recordCommand(command);
+
+        // The map already dropped killed units - drop them from their owner's roster too,
+        // a fallen hero's artifacts stay on its tile, and its comrades lose morale
+        for (const results of battle.rounds) {
+            [results.attacker, results.defender].forEach(({ unit, died }) => {
+                if (!died) return;
+                const owner = this.players[unit.owner];
+                owner.units = owner.units.filter(u => u !== unit);
+                unit.removeArtifacts().forEach(type => this.map.addItem(unit.x, unit.y, type));
+                MoraleSystem.onUnitDied(unit, owner.units);
+            });
+
+            if (results.defender.died && results.defender.unit.isHero) {
+                this.checkWinCondition();
+            }
+            if (results.attacker.died && results.attacker.unit.isHero) {
+                this.checkWinCondition();
+            }
+        }
+
+        // Melee attackers that cleared the tile advance into it and take its city -
+        // a ranged volley leaves the tile empty but captures nothing
+        const targetX = defenderStack.x;
+        const targetY = defenderStack.y;
+        const survivors = group.filter(u => u.hp > 0);
+        const tileCleared = !this.map.getUnitsAt(targetX, targetY).some(u => u.owner !== attacker.owner);
+        if (battle.defendersLost.length > 0 && tileCleared && !isRanged && survivors.length > 0) {
+            // Move with map.moveUnit to keep the spatial index in sync
+            survivors.forEach(u => {
+                this.map.moveUnit(u, targetX, targetY);
+                u.hasMoved = true;
+                this.pickUpItems(u);
+            });
+
+            const city = this.map.getCity(targetX, targetY);
+            if (city && city.owner !== attacker.owner) {
+                this.captureCity(city, attacker.owner, survivors[0]);
+            }
+        }
+
+        for (const results of battle.rounds) {
+            this.announceLevelUp(results.attacker.unit, results.attacker.levelsGained);
+            this.announceLevelUp(results.defender.unit, results.defender.levelsGained);
+            if (results.attacker.rankedUp) this.announceRankUp(results.attacker.unit);
+            if (results.defender.rankedUp) this.announceRankUp(results.defender.unit);
+        }
+        this.refreshLeadershipAuras();
+        this.updateVision();
+        return battle;
+    }
+
+    /**
+     * Handle ruin exploration and give random reward
+     * @param {Unit} unit - unit that entered the ruin
+     * @param {number} x - ruin x coordinate
+     * @param {number} y - ruin y coordinate
+     */
+    handleRuinExploration(unit, x, y) {
+        const player = this.players[unit.owner];
+        const rewardType = this.map.exploreRuin(x, y);
+
+        if (!rewardType) return;
+        this.awardHeroXp(unit, HERO_XP.RUIN);
+
+        switch (rewardType) {
+            case 'gold_50':
+                player.addGold(50);
+                this.notify('Ruin found: 50 gold!');
+                break;
+
+            case 'gold_100':
+                player.addGold(100);
+                this.notify('Ruin found: 100 gold!');
+                break;
+
+            case 'random_unit': {
+                // Get free adjacent tiles
+                const freeTiles = this.map.getAdjacentFreeTiles(x, y, unit.owner);
+
+                if (freeTiles.length === 0) {
+                    // No free space - give gold instead
+                    player.addGold(75);
+                    this.notify('Ruin found: Gold (no space for unit)!');
+                } else {
+                    // Spawn random unit on a random free adjacent tile
+                    const spawnTile = freeTiles[Utils.randomInt(0, freeTiles.length - 1)];
+                    const unitTypes = ['LIGHT_INFANTRY', 'ARCHER', 'CAVALRY', 'HEAVY_INFANTRY'];
+                    const randomType = unitTypes[Utils.randomInt(0, unitTypes.length - 1)];
+
+                    const newUnit = new Unit(randomType, unit.owner, spawnTile.x, spawnTile.y);
+                    newUnit.hasMoved = true;
+                    newUnit.hasAttacked = true;
+                    this.map.addUnit(newUnit);
+                    player.units.push(newUnit);
+
+                    this.notify(`Ruin found: ${UNIT_DEFINITIONS[randomType].name} joined!`);
+                }
+                break;
+            }
+
+            case 'artifact': {
+                const type = Random.pick(Object.keys(ARTIFACT_DEFINITIONS));
+                if (unit.isHero) {
+                    this.giveArtifact(unit, type);
+                } else {
+                    // Only heroes carry artifacts - it stays here for one to collect
+                    this.map.addItem(x, y, type);
+                    this.notify(`Ruin found: ${ARTIFACT_DEFINITIONS[type].name} - bring a hero to claim it!`);
+                }
+                break;
+            }
+
+            case 'new_city': {
+                // Build city directly on the ruin tile
+                // The exploring unit is on this tile, move them to adjacent free tile
+                const terrain = this.map.getTerrain(x, y);
+                const existingCity = this.map.getCity(x, y);
+
+                if (terrain === TERRAIN.WATER || existingCity) {
+                    // Cannot build on water or existing city - give gold
+                    player.addGold(150);
+                    this.notify('Ruin found: Gold (cannot build here)!');
+                } else {
+                    // Build city on the ruin location
+                    // Unit stays here as garrison (city and unit can coexist)
+                    const sizes = ['small', 'medium'];
+                    const randomSize = sizes[Utils.randomInt(0, sizes.length - 1)];
+
+                    const newCity = new City(x, y, randomSize, unit.owner);
+                    this.map.addCity(newCity);
+                    player.cities.push(newCity);
+
+                    this.notify(`Ruin found: New ${randomSize} city established!`);
+                }
+                break;
+            }
+        }
+    }
+
+    awardHeroXp(unit, amount) {
+        if (!unit.isHero) return;
+        this.announceLevelUp(unit, unit.gainXp(amount));
+    }
+
+    announceLevelUp(unit, levelsGained) {
+        if (!levelsGained) return;
+        Events.emit('hero:levelUp', { unit, level: unit.level });
+        this.notify(`${this.players[unit.owner].name}'s hero reached level ${unit.level}!`);
+    }
+
+    announceRankUp(unit) {
+        Events.emit('unit:rankUp', { unit, rank: unit.rank });
+        this.notify(`${this.players[unit.owner].name}'s ${unit.name} is now ${unit.rankName}!`);
+    }
+
+    /**
+     * Spend a hero's pending level-up on an upgrade
+     * @returns {boolean} false if the hero has no level-up to spend
+     */
+    upgradeHero(unit, type) {
+        if (unit.pendingUpgrades <= 0 || !HERO_UPGRADES[type]) return false;
+
+        this.recordCommand({ type: GameEngine.COMMANDS.UPGRADE, unitId: unit.id, upgrade: type });
+        unit.applyUpgrade(type);
+        this.refreshLeadershipAuras();
+        Events.emit('hero:upgraded', { unit, upgrade: type });
+        return true;
+    }
+
+    /**
+     * Re-apply Leadership aura buffs to the units sharing a stack with a hero
+     */
+    refreshLeadershipAuras() {
+        this.map.units.forEach(u => {
+            if (u.buffs.some(b => b.source?.startsWith('aura:'))) {
+                u.buffs = u.buffs.filter(b => !b.source?.startsWith('aura:'));
+            }
+        });
+
+        this.map.units.forEach(hero => {
+            if (!hero.isHero || hero.hp <= 0 || hero.leadership === 0) return;
+            this.map.getUnitsAt(hero.x, hero.y)
+                .filter(u => u !== hero && u.owner === hero.owner && u.hp > 0)
+                .forEach(u => u.buffs.push({
+                    source: `aura:${hero.id}`,
+                    attackBonus: hero.leadership,
+                    defenseBonus: hero.leadership
+                }));
+        });
+    }
+
+    /**
+     * A hero picks up every artifact on its tile
+     */
+    pickUpItems(unit) {
+        if (!unit.isHero) return;
+        this.map.takeItemsAt(unit.x, unit.y).forEach(type => this.giveArtifact(unit, type));
+    }
+
+    giveArtifact(hero, type) {
+        hero.addArtifact(type);
+        Events.emit('artifact:found', { unit: hero, type });
+        this.notify(`${this.players[hero.owner].name}'s hero found the ${ARTIFACT_DEFINITIONS[type].name}!`);
+    }
+
+    /**
+     * @param {Unit} [capturer] - unit that took the city (a hero earns XP)
+     */
+    captureCity(city, newOwner, capturer = null) {
+        const oldOwner = city.owner;
+        city.changeOwner(newOwner);
+        if (capturer) this.awardHeroXp(capturer, HERO_XP.CITY_CAPTURE);
+
+        const newPlayer = this.players[newOwner];
+        newPlayer.cities.push(city);
+
+        if (oldOwner !== null) {
+            const oldPlayer = this.players[oldOwner];
+            const idx = oldPlayer.cities.indexOf(city);
+            if (idx > -1) oldPlayer.cities.splice(idx, 1);
+
+            // Check if old player lost all cities (defeated)
+            if (oldPlayer.cities.length === 0) {
+                this.defeatPlayer(oldPlayer);
+            }
+        }
+
+        this.checkWinCondition();
+    }
+
+    /**
+     * Defeat a player - remove all their units and mark as defeated
+     */
+    defeatPlayer(player) {
+        if (!player.isAlive) return;
+
+        // Remove all player's units from the map
+        const unitsToRemove = this.map.units.filter(u => u.owner === player.id);
+        unitsToRemove.forEach(unit => {
+            this.map.removeUnit(unit);
+        });
+
+        // Clear from player's unit list
+        player.units = [];
+
+        // Mark as defeated
+        player.defeat();
+
+        this.notify(`${player.name} DEFEATED!`);
+        Events.emit('player:defeated', { player });
+    }
+
+    /**
+     * Produce a unit in a city of the current player
+     * @returns {boolean} true if the unit was produced
+     */
+    produceUnit(city, unitType) {
+        const player = this.getCurrentPlayer();
+        const cost = UNIT_DEFINITIONS[unitType].cost;
+
+        // Check if city is blockaded by enemy units
+        if (this.map.isCityBlockaded(city, player.id)) {
+            this.notify('City is blockaded! Cannot produce.');
+            return false;
+        }
+
+        if (!player.spendGold(cost)) {
+            return false;
+        }
+
+        // Spawn on the city while its stack has room, then on an adjacent tile
+        // the unit can enter that holds no enemy and still has room
+        const hasRoom = (x, y) => {
+            const units = this.map.getUnitsAt(x, y).filter(u => u.hp > 0);
+            return !units.some(u => u.owner !== player.id) && units.length < CONFIG.MAX_STACK_SIZE;
+        };
+        const spawn = [
+            { x: city.x, y: city.y },
+            { x: city.x + 1, y: city.y },
+            { x: city.x - 1, y: city.y },
+            { x: city.x, y: city.y + 1 },
+            { x: city.x, y: city.y - 1 }
+        ].find((p, i) => this.map.isValid(p.x, p.y) && hasRoom(p.x, p.y) &&
+            (i === 0 || this.map.getMovementCost(p.x, p.y, unitType) !== Infinity));
+
+        if (!spawn) {
+            // No room anywhere - refund and abort
+            player.addGold(cost);
+            this.notify('No free space to produce unit!');
+            return false;
+        }
+
+        const unit = new Unit(unitType, player.id, spawn.x, spawn.y);
+        unit.hasMoved = true;
+        unit.hasAttacked = true;
+        this.map.addUnit(unit);
+        player.units.push(unit);
+        this.updateVision();
+        this.recordCommand({ type: GameEngine.COMMANDS.PRODUCE, cityId: city.id, unitType });
+        this.notify(`Produced ${UNIT_DEFINITIONS[unitType].name}!`);
+        return true;
+    }
+
+    /**
+     * Collect income, heal and reset the current player's units, then pass
+     * the turn to the next living player
+     * @returns {boolean} false if the game is (or just became) over
+     */
+    endTurn() {
+        // Don't proceed if game is over
+        if (this.isGameOver()) return false;
+
+        this.recordCommand({ type: GameEngine.COMMANDS.END_TURN });
+
+        const player = this.getCurrentPlayer();
+
+        // Collect income (higher AI difficulty levels get a bonus)
+        const income = player.cities.reduce((sum, city) => sum + city.income, 0);
+        const bonus = player.isAI ? player.aiSettings.incomeBonus : 0;
+        if (income > 0) player.addGold(Math.floor(income * (1 + bonus)));
+
+        // Heal units in cities, rally units near cities and heroes
+        this.map.healUnitsInCities();
+        MoraleSystem.rally(player);
+
+        // Reset units
+        player.units.forEach(u => u.resetTurn());
+
+        // Next player
+        this.state.nextPlayer(this.players.length);
+
+        // Skip dead players (with safety limit to prevent infinite loop)
+        let skipCount = 0;
+        const maxSkips = this.players.length;
+        while (skipCount < maxSkips && !this.players[this.state.currentPlayerIndex].isAlive) {
+            this.state.nextPlayer(this.players.length);
+            skipCount++;
+        }
+
+        // If all players are dead, end game
+        if (skipCount >= maxSkips) {
+            this.state.transition(GameState.PHASES.GAME_OVER);
+            return false;
+        }
+
+        // Shaken units of the next player may rout before it can act
+        const next = this.getCurrentPlayer();
+        const routed = MoraleSystem.checkRouts(next, this.map);
+        routed.forEach(unit => this.notify(`${next.name}'s ${unit.name} routs!`));
+        if (routed.length > 0) this.refreshLeadershipAuras();
+        this.updateVision();
+
+        return true;
+    }
+
+    /**
+     * Recompute every player's vision after units moved, appeared or died
+     */
+    updateVision() {
+        this.vision?.update();
+    }
+
+    /**
+     * The map as a player knows it - enemy units in the fog are hidden
+     * (see VisionSystem.getMapView). Without fog of war it is the real map
+     */
+    getMapView(playerId) {
+        return this.vision ? this.vision.getMapView(playerId) : this.map;
+    }
+
+    checkWinCondition() {
+        this.players.forEach(player => {
+            if (!player.isAlive) return;
+
+            const hasHero = player.units.some(u => u.isHero && u.hp > 0);
+            const hasCities = player.cities.length > 0;
+
+            if (!hasHero && !hasCities) {
+                // Player has no hero and no cities - defeat them and remove units
+                this.defeatPlayer(player);
+            }
+        });
+
+        const alive = this.players.filter(p => p.isAlive);
+        if (alive.length === 1 && !this.isGameOver()) {
+            this.state.transition(GameState.PHASES.GAME_OVER);
+            Events.emit('game:over', { winner: alive[0] });
+        }
+    }
+
+    getWinner() {
+        if (!this.isGameOver()) return null;
+        const alive = this.players.filter(p => p.isAlive);
+        return alive.length === 1 ? alive[0] : null;
+    }
+
+    /**
+     * Get all cities that are currently blockaded by enemy units
+     */
+    getBlockadedCities() {
+        return this.map.cities.filter(city =>
+            city.owner !== null && this.map.isCityBlockaded(city, city.owner)
+        );
+    }
+
+    /**
+     * Restore map, players, RNG and turn state from save data. The new state is
+     * built completely before it replaces the running game, so data that fails
+     * to restore leaves the current game untouched.
+     */
+    loadState(data) {
+        // Restore map (saved games may use a different map size). The constructor
+        // generates random terrain - keep the game RNG where it was until the swap
+        const rngState = Random.getState();
+        const map = new GameMap(data.map.width, data.map.height);
+        Random.setState(rngState);
+        map.terrain = data.map.terrain.map(row => [...row]);
+        map.features = data.map.features.map(row => [...row]);
+        map.cities = data.map.cities.map(c => City.deserialize(c));
+        map.ruins = data.map.ruins.map(r => ({ ...r }));
+        map.units = data.map.units.map(u => Unit.deserialize(u));
+        map.items = data.map.items.map(i => ({ ...i }));
+
+        // Rebuild spatial grids for O(1) lookups; decorations are saved since v2,
+        // older saves regenerate them from the restored terrain
+        map.rebuildGrids();
+        map.decorations = [];
+        if (data.map.decorations) {
+            map.decorations = data.map.decorations.map(d => ({ ...d }));
+        } else {
+            map.generateDecorations();
+        }
+
+        // Restore players - keep their unit/city order, the AI iterates in that order
+        const unitsById = new Map(map.units.map(u => [u.id, u]));
+        const citiesById = new Map(map.cities.map(c => [c.id, c]));
+        const players = data.players.map(p => {
+            const player = new Player(p.id, p.color ?? COLORS.players[p.id], p.name, p.isAI ?? this.players[p.id]?.isAI ?? false, p.difficulty, p.personality, p.tacticalSearch);
+            player.gold = p.gold;
+            player.isAlive = p.isAlive;
+            player.defeatedAt = p.defeatedAt ?? null;
+            player.units = p.units
+                ? p.units.map(u => unitsById.get(u.id)).filter(Boolean)
+                : map.units.filter(u => u.owner === p.id);
+            player.cities = p.cities
+                ? p.cities.map(c => citiesById.get(c.id)).filter(Boolean)
+                : map.cities.filter(c => c.owner === p.id);
+            return player;
+        });
+
+        // Game setup (map size, requested city/ruin counts, player slots)
+        const setup = data.config ? structuredClone(data.config) : null;
+
+        // Explored tiles and remembered enemies - what is visible now follows from the units
+        const vision = setup?.fogOfWar ? new VisionSystem(map, players) : null;
+        if (vision && data.vision) vision.load(data.vision);
+        vision?.update();
+
+        // Continue the replay log only if the save has the full history
+        const replay = data.replay ? structuredClone(data.replay) : null;
+
+        this.map = map;
+        this.players = players;
+        this.setup = setup;
+        this.vision = vision;
+        this.replay = replay;
+        if (data.nextUnitId) Unit.nextId = data.nextUnitId;
+
+        // Restore RNG so the loaded game continues the same random sequence
+        if (data.rng) {
+            Random.setState(data.rng);
+        }
+        this.seed = data.seed ?? data.rng?.seed ?? null;
+
+        // Restore state
+        this.state.currentPlayerIndex = data.currentPlayer;
+        this.state.turnNumber = data.turn;
+        this.state.selectedEntity = null;
+        this.state.phase = GameState.PHASES.IDLE;
+    }
+}
@@ -1,43 +1,115 @@
-import { CONFIG, GAME_WIDTH, GAME_HEIGHT, VIEWPORT_WIDTH, VIEWPORT_HEIGHT, COLORS, TERRAIN, UNIT_DEFINITIONS } from '../constants.js';
+import { CONFIG, GAME_WIDTH, VIEWPORT_WIDTH, VIEWPORT_HEIGHT } from '../constants.js';
 import { Utils, Events } from '../utils.js';
 import { Unit } from '../models/Unit.js';
 import { City } from '../models/City.js';
-import { Player } from '../models/Player.js';
-import { GameMap } from '../systems/GameMap.js';
 import { GameState } from '../systems/GameState.js';
-import { CombatSystem } from '../systems/CombatSystem.js';
 import { MovementSystem } from '../systems/MovementSystem.js';
+import { CombatSystem } from '../systems/CombatSystem.js';
 import { SaveSystem } from '../systems/SaveSystem.js';
+import { ReplaySystem } from '../systems/ReplaySystem.js';
 import { RenderSystem } from '../systems/RenderSystem.js';
-import { AISystem } from '../systems/AISystem.js';
 import { UIController } from '../ui/UIController.js';
 import { TextureGenerator } from '../systems/TextureGenerator.js';
-import { MapGenerator } from '../systems/MapGenerator.js';
+import { GameEngine } from './GameEngine.js';
+import { AIWorkerClient } from './AIWorkerClient.js';
 
+/**
+ * Phaser adapter over GameEngine - rendering, input, camera, UI and AI
+ * scheduling. All game rules live in the engine.
+ */
 export class WarfireGame {
     constructor(scene, gameConfig = null) {
         this.scene = scene;
         this.gameConfig = gameConfig;
-        this.state = new GameState();
-        this.map = null;
-        this.players = [];
+        // Replay playback: rebuild the recorded match from its seed and setup
+        this.replayData = gameConfig?.replay || null;
+        this.engine = new GameEngine(this.replayData ? ReplaySystem.toGameConfig(this.replayData) : gameConfig);
         this.renderer = new RenderSystem(scene);
         this.ui = null;
         this.ai = null;
+        // Units of the selected stack that move and fight together, selected unit first
+        this.selectedGroup = [];
         this.setupEventListeners();
     }
 
+    get state() { return this.engine.state; }
+    get map() { return this.engine.map; }
+    get players() { return this.engine.players; }
+    get seed() { return this.engine.seed; }
+    get setup() { return this.engine.setup; }
+    get replay() { return this.engine.replay; }
+    get vision() { return this.engine.vision; }
+
+    /**
+     * Player whose fog of war the screen shows: the human player on turn, or
+     * during AI turns the last human who played. Null when everything is
+     * shown - without fog of war, to spectators and in replays
+     */
+    get viewerId() {
+        if (!this.vision || this.isSpectatorMode || this.replayData) return null;
+        const count = this.players.length;
+        for (let i = 0; i < count; i++) {
+            const player = this.players[(this.state.currentPlayerIndex - i + count) % count];
+            if (!player.isAI && player.isAlive) return player.id;
+        }
+        return null;
+    }
+
+    /**
+     * The map as the viewer knows it (see GameEngine.getMapView)
+     */
+    get viewMap() {
+        const viewerId = this.viewerId;
+        return viewerId === null ? this.map : this.engine.getMapView(viewerId);
+    }
+
+    getMapView(playerId) {
+        return this.engine.getMapView(playerId);
+    }
+
+    /**
+     * The viewer's fog for the renderer and minimap - null when everything is shown
+     * @returns {{isVisible: Function, isExplored: Function}|null}
+     */
+    getFog() {
+        const viewerId = this.viewerId;
+        if (viewerId === null) return null;
+        return {
+            isVisible: (x, y) => this.vision.isVisible(viewerId, x, y),
+            isExplored: (x, y) => this.vision.isExplored(viewerId, x, y)
+        };
+    }
+
+    isTileVisible(x, y) {
+        const viewerId = this.viewerId;
+        return viewerId === null || this.vision.isVisible(viewerId, x, y);
+    }
+
     setupEventListeners() {
         Events.on('ui:endTurn', () => this.endTurn());
-        Events.on('ui:save', () => this.saveGame());
+        Events.on('ui:save', () => this.saveGameAs());
         Events.on('ui:load', () => this.loadGame());
+        Events.on('ui:exportSave', () => this.exportSave());
+        Events.on('ui:importSave', () => this.importSave());
         Events.on('ui:produce', ({ city, unitType }) => this.produceUnit(city, unitType));
         Events.on('ui:togglePause', () => this.togglePause());
-        Events.on('player:defeated', ({ player }) => this.ui.showMessage(`${player.name} defeated!`));
+        Events.on('player:defeated', ({ player }) => {
+            if (!this.isSeeking) this.ui.showMessage(`${player.name} defeated!`);
+        });
         Events.on('city:captured', ({ city, newOwner }) => {
+            if (this.isSeeking) return;
             const player = this.players[newOwner];
             this.ui.showMessage(`${player.name} captured city!`);
         });
+        Events.on('game:message', ({ text, duration }) => {
+            if (!this.isSeeking) this.ui?.showMessage(text, duration);
+        });
+        Events.on('ui:replaySeek', ({ fraction, turnDelta }) => this.seekReplay(fraction, turnDelta));
+        Events.on('ui:replaySpeed', () => this.cycleReplaySpeed());
+        Events.on('game:over', ({ winner }) => this.handleGameOver(winner));
+        Events.on('hero:levelUp', () => this.promptHeroUpgrades());
+        Events.on('ui:toggleStackUnit', ({ unitId }) => this.toggleStackUnit(unitId));
+        Events.on('battle:resolved', (battle) => this.showBattleReport(battle));
         Events.on('ai:turnEnded', () => {
             if (this.isSpectatorMode && !this.aiPaused) {
                 this.scheduleNextTurn();
@@ -47,18 +119,6 @@ export class WarfireGame {
     }
 
     initialize() {
-        // Use config from menu or defaults
-        const mapWidth = this.gameConfig?.mapWidth || CONFIG.MAP_WIDTH;
-        const mapHeight = this.gameConfig?.mapHeight || CONFIG.MAP_HEIGHT;
-        const numCities = this.gameConfig?.numCities;
-        const numRuins = this.gameConfig?.numRuins;
-        const playerConfigs = this.gameConfig?.players || [
-            { name: 'Player 1', isAI: false },
-            { name: 'Player 2', isAI: true }
-        ];
-
-        // Check if all players are AI (spectator mode)
-        this.isSpectatorMode = playerConfigs.every(p => p.isAI);
         this.aiPaused = false;
         this.nextTurnTimer = null;
         this.nextTurnAt = null;
@@ -72,14 +132,21 @@ export class WarfireGame {
         const textureGenerator = new TextureGenerator(this.renderer);
         textureGenerator.generateAll();
 
-        this.map = new GameMap(mapWidth, mapHeight);
+        // Seed RNG, create players and generate the map
+        this.engine.initialize();
 
-        // Create players first (needed for map generation)
-        this.createPlayers(playerConfigs);
+        // Started from the load screen - replace the fresh game with the saved one
+        // (already migrated to the current schema by SaveSystem.load)
+        const savedGame = this.gameConfig?.savedGame;
+        if (savedGame) {
+            this.engine.loadState(savedGame);
+        }
 
-        // Generate map using MapGenerator
-        this.mapGenerator = new MapGenerator(this);
-        this.mapGenerator.generate(mapWidth, mapHeight, { numCities, numRuins });
+        // Check if all players are AI (spectator mode) - replays are always watched
+        this.isSpectatorMode = !!this.replayData || (savedGame?.settings?.isSpectatorMode ?? this.players.every(p => p.isAI));
+        if (savedGame?.settings) {
+            this.setGameSpeed(savedGame.settings.gameSpeed);
+        }
 
         // UI position: desktop = right sidebar, mobile = bottom panel
         const uiX = CONFIG.IS_MOBILE ? 0 : VIEWPORT_WIDTH;
@@ -93,7 +160,8 @@ export class WarfireGame {
         this.ui.setSpectatorMode(this.isSpectatorMode);
 
         // In spectator mode, disable input - purely for watching
-        if (this.isSpectatorMode) {
+        // (replays keep input for their seek and speed controls)
+        if (this.isSpectatorMode && !this.replayData) {
             this.scene.input.enabled = false;
         }
 
@@ -108,32 +176,40 @@ export class WarfireGame {
             this.setupSpectatorCameraControls();
         }
 
-        // Initialize AI system
-        this.ai = new AISystem(this);
+        if (this.replayData) {
+            this.replayStep = 0;
+            this.replayTimer = null;
+            this.ui.setReplayMode(true);
+        } else {
+            // Initialize AI - plays in a worker when available
+            this.ai = new AIWorkerClient(this);
 
-        // Start background tick worker to keep AI running when tab is hidden
-        this.initTickWorker();
+            // Start background tick worker to keep AI running when tab is hidden
+            this.initTickWorker();
+        }
 
-        this.renderer.renderMap(this.map, this.getBlockadedCities());
-        this.renderer.renderUnits(this.map.units);
+        this.renderMap();
+        this.renderUnits();
         this.updateUI();
 
-        this.setupInput();
+        if (!this.replayData) {
+            this.setupInput();
+        }
 
-        // Center camera on current player's hero or first city
-        this.centerCameraOnPlayer(0);
+        // Center camera on current player's hero or first city (under fog of war: the viewer's)
+        this.centerCameraOnPlayer(this.viewerId ?? this.state.currentPlayerIndex);
 
-        // Start AI turn if first player is AI
-        this.checkAndStartAITurn();
-    }
+        if (savedGame) {
+            this.ui.showMessage('Game loaded!');
+        }
 
-    /**
-     * Create player instances from config
-     */
-    createPlayers(playerConfigs) {
-        this.players = playerConfigs.map((config, index) => {
-            return new Player(index, COLORS.players[index], config.name, config.isAI);
-        });
+        if (this.replayData) {
+            this.scheduleReplayStep();
+        } else {
+            // Start AI turn if first player is AI (a loaded game may have level-ups to spend)
+            this.checkAndStartAITurn();
+            this.promptHeroUpgrades();
+        }
     }
 
     /**
@@ -164,6 +240,7 @@ export class WarfireGame {
 
     setupSpectatorCameraControls() {
         // Allow camera drag and zoom in spectator mode (but no unit interaction)
+        this.hasSpectatorCameraControls = true;
         let isDragging = false;
         let dragStart = { x: 0, y: 0 };
         let cameraStart = { x: 0, y: 0 };
@@ -220,9 +297,13 @@ export class WarfireGame {
             // Only handle if in viewport (not on UI)
             if (!this.renderer.isInViewport(pointer.x, pointer.y)) return;
 
-            // Right-click opens production for city
+            // Right-click gives selected units a go-to order, or opens production for city
             if (pointer.button === 2) {
                 const tile = this.renderer.screenToTile(pointer.x, pointer.y);
+                if (this.state.selectedEntity instanceof Unit) {
+                    this.orderGoTo(tile.x, tile.y);
+                    return;
+                }
                 const city = this.map.getCity(tile.x, tile.y);
                 const player = this.players[this.state.currentPlayerIndex];
                 if (city && city.owner === player.id) {
@@ -387,7 +468,7 @@ export class WarfireGame {
 
         // Center camera on current player with 'C'
         this.scene.input.keyboard.on('keydown-C', () => {
-            this.centerCameraOnPlayer(this.state.currentPlayerIndex);
+            this.centerCameraOnPlayer(this.viewerId ?? this.state.currentPlayerIndex);
             this.updateUI(); // Update minimap viewport
         });
 
@@ -395,6 +476,7 @@ export class WarfireGame {
         this.scene.input.keyboard.on('keydown-ESC', () => this.deselect());
         this.scene.input.keyboard.on('keydown-S', () => this.saveGame());
         this.scene.input.keyboard.on('keydown-L', () => this.loadGame());
+        this.scene.input.keyboard.on('keydown-R', () => this.downloadReplay());
 
         // Production shortcut - opens production for selected city or city under cursor
         this.scene.input.keyboard.on('keydown-P', () => {
@@ -427,17 +509,28 @@ export class WarfireGame {
 
     async handleTileClick(x, y) {
         const player = this.players[this.state.currentPlayerIndex];
-        const unitsAtTile = this.map.getUnitsAt(x, y);
-        const ownUnit = unitsAtTile.find(u => u.owner === player.id && u.hp > 0);
+        const ownUnits = this.map.getUnitsAt(x, y).filter(u => u.owner === player.id && u.hp > 0);
+        const movableUnits = ownUnits.filter(u => !u.hasMoved);
         const city = this.map.getCity(x, y);
 
+        const viewMap = this.viewMap;
+
         // Update tile info in UI
-        this.ui.updateTileInfo(x, y, this.map);
+        this.ui.updateTileInfo(x, y, viewMap);
+
+        // Moving the selected group onto a friendly stack merges them
+        const selected = this.state.selectedEntity;
+        if (selected instanceof Unit && this.state.phase === GameState.PHASES.SELECTED && ownUnits.length > 0) {
+            const reachable = MovementSystem.getGroupReachableTiles(this.selectedGroup, viewMap);
+            if (reachable.some(t => t.isMerge && t.x === x && t.y === y)) {
+                await this.moveUnit(selected, x, y);
+                return;
+            }
+        }
 
-        // First priority: select movable units (even in cities)
-        // With 1 unit per tile, there's at most 1 friendly unit here
-        if (ownUnit && !ownUnit.hasMoved) {
-            this.selectUnit(ownUnit);
+        // First priority: select movable units (even in cities) - the whole stack moves together
+        if (movableUnits.length > 0) {
+            this.selectUnit(movableUnits[0], movableUnits);
             return;
         }
 
@@ -454,47 +547,47 @@ export class WarfireGame {
         // Handle unit actions based on phase
         if (this.state.selectedEntity instanceof Unit) {
             const unit = this.state.selectedEntity;
+            const group = this.selectedGroup;
+            // Use Chebyshev distance for attacks (8 directions including diagonals)
+            const dist = Utils.chebyshevDistance(unit.x, unit.y, x, y);
+            const enemyStack = viewMap.getStack(x, y);
+            const isEnemy = enemyStack && enemyStack.owner !== unit.owner;
 
-            // Phase 1: SELECTED - unit hasn't moved, can move or attack
+            // Phase 1: SELECTED - the group hasn't moved, can move or attack
             if (this.state.phase === GameState.PHASES.SELECTED && !unit.hasMoved) {
-                const reachable = MovementSystem.getReachableTiles(unit, this.map);
+                const reachable = MovementSystem.getGroupReachableTiles(group, viewMap);
                 const moveTarget = reachable.find(t => t.x === x && t.y === y);
 
                 if (moveTarget) {
                     if (moveTarget.isEnemy) {
-                        // Attack adjacent enemy
-                        const enemyStack = this.map.getStack(x, y);
-                        if (enemyStack) this.performAttack(unit, enemyStack);
+                        // The whole group attacks the adjacent enemy stack
+                        if (enemyStack) this.performAttack(unit, enemyStack, false, group);
                     } else {
-                        // Move to empty tile
+                        // Move to an empty tile
                         await this.moveUnit(unit, x, y);
                     }
                     return;
                 }
 
-                // Check for ranged attack target (not adjacent but in range)
-                // Use Chebyshev distance for attacks (8 directions including diagonals)
-                const dist = Utils.chebyshevDistance(unit.x, unit.y, x, y);
-                if (dist <= unit.range && dist > 1 && !unit.hasAttacked) {
-                    const enemyStack = this.map.getStack(x, y);
-                    if (enemyStack && enemyStack.owner !== unit.owner) {
-                        this.performAttack(unit, enemyStack, true);
-                        return;
-                    }
+                // Ranged attack target (not adjacent but in range of a group member)
+                const shooter = group.find(u => !u.hasAttacked && dist <= u.range);
+                if (dist > 1 && shooter && isEnemy) {
+                    this.performAttack(shooter, enemyStack, true);
+                    return;
                 }
             }
 
-            // Phase 2: MOVED - unit has moved, can only attack
-            if (this.state.phase === GameState.PHASES.MOVED && !unit.hasAttacked) {
-                // Use Chebyshev distance for attacks (8 directions including diagonals)
-                const dist = Utils.chebyshevDistance(unit.x, unit.y, x, y);
-                if (dist <= unit.range && dist > 0) {
-                    const enemyStack = this.map.getStack(x, y);
-                    if (enemyStack && enemyStack.owner !== unit.owner) {
-                        const isRanged = dist > 1;
-                        this.performAttack(unit, enemyStack, isRanged);
-                        return;
-                    }
+            // Phase 2: MOVED - the group has moved, can only attack
+            if (this.state.phase === GameState.PHASES.MOVED && dist > 0 && isEnemy) {
+                const attackers = group.filter(u => u.hp > 0 && !u.hasAttacked);
+                if (dist === 1 && attackers.length > 0) {
+                    this.performAttack(attackers[0], enemyStack, false, attackers);
+                    return;
+                }
+                const shooter = attackers.find(u => dist <= u.range);
+                if (shooter) {
+                    this.performAttack(shooter, enemyStack, true);
+                    return;
                 }
             }
         }
@@ -507,27 +600,98 @@ export class WarfireGame {
      */
     handleTileHover(x, y) {
         if (this.map.isValid(x, y)) {
-            this.ui.updateTileInfo(x, y, this.map);
+            this.ui.updateTileInfo(x, y, this.viewMap);
             this.renderer.showHover(x, y);
         } else {
             this.renderer.clearHover();
         }
+        this.updatePathPreview(x, y);
+        this.updateCombatForecast(x, y);
+    }
+
+    /**
+     * Arrow along the path the selected group would take to the hovered tile
+     */
+    updatePathPreview(x, y) {
+        const unit = this.state.selectedEntity;
+        const tile = unit instanceof Unit && this.state.phase === GameState.PHASES.SELECTED && !unit.hasMoved
+            ? MovementSystem.getGroupReachableTiles(this.selectedGroup, this.viewMap).find(t => t.x === x && t.y === y && !t.isEnemy)
+            : null;
+        if (tile) {
+            this.renderer.showPath(unit, tile.path, tile.movesLeft);
+        } else {
+            this.renderer.clearPath();
+        }
+    }
+
+    /**
+     * Show the combat forecast while the selected unit hovers an enemy it can attack
+     */
+    updateCombatForecast(x, y) {
+        const selected = this.state.selectedEntity;
+        const target = selected instanceof Unit ? this.getAttackableStack(x, y) : null;
+        const isRanged = !!target && Utils.chebyshevDistance(selected.x, selected.y, x, y) > 1;
+        const forecast = target ? CombatSystem.getForecast(target.attackers, target.enemyStack, this.viewMap, isRanged) : null;
+
+        if (forecast) {
+            const screen = this.renderer.tileToScreen(x, y);
+            this.ui.showCombatForecast(forecast, screen.x, screen.y, CONFIG.TILE_SIZE * this.renderer.zoom, target.attackers.length);
+        } else {
+            this.ui.hideCombatForecast();
+        }
+    }
+
+    /**
+     * What a click on (x, y) would attack with the selected group in the
+     * current phase - mirrors handleTileClick
+     * @returns {{enemyStack: Stack, attackers: Unit[]}|null} attackers[0] strikes first
+     */
+    getAttackableStack(x, y) {
+        const unit = this.state.selectedEntity;
+        const enemyStack = this.viewMap.getStack(x, y);
+        if (!enemyStack || enemyStack.owner === unit.owner) return null;
+
+        const dist = Utils.chebyshevDistance(unit.x, unit.y, x, y);
+        const ready = this.selectedGroup.filter(u => u.hp > 0 && !u.hasAttacked);
+        const shooter = ready.find(u => dist <= u.range);
+
+        if (this.state.phase === GameState.PHASES.SELECTED && !unit.hasMoved) {
+            // Melee targets come from the reachable tiles, like a click
+            if (dist > 1) return shooter ? { enemyStack, attackers: [shooter] } : null;
+            const reachable = MovementSystem.getGroupReachableTiles(this.selectedGroup, this.viewMap);
+            return reachable.some(t => t.isEnemy && t.x === x && t.y === y) ? { enemyStack, attackers: this.selectedGroup } : null;
+        }
+        if (this.state.phase === GameState.PHASES.MOVED && dist > 0) {
+            if (dist === 1 && ready.length > 0) return { enemyStack, attackers: ready };
+            return shooter ? { enemyStack, attackers: [shooter] } : null;
+        }
+        return null;
     }
 
-    selectUnit(unit) {
+    /**
+     * Select a unit together with the units of its stack that move with it
+     * @param {Unit[]} [group] - units from the unit's tile, unit first
+     */
+    selectUnit(unit, group = [unit]) {
         this.state.selectedEntity = unit;
-        this.state.transition(GameState.PHASES.SELECTED);
+        this.selectedGroup = group;
+        // Reselecting (e.g. a changed group) keeps the phase
+        if (this.state.phase !== GameState.PHASES.SELECTED) {
+            if (this.state.phase !== GameState.PHASES.IDLE) this.state.transition(GameState.PHASES.IDLE);
+            this.state.transition(GameState.PHASES.SELECTED);
+        }
         this.ui.hideProduction();
 
-        // Get movement targets
-        const reachable = MovementSystem.getReachableTiles(unit, this.map);
+        // Get movement targets - as far as the player can tell
+        const viewMap = this.viewMap;
+        const reachable = MovementSystem.getGroupReachableTiles(group, viewMap);
 
         // For ranged units (range > 1), show attack targets from current position
         // Melee units (range = 1) must move adjacent first, then attack
-        if (!unit.hasAttacked && unit.range > 1) {
-            const attackTargets = MovementSystem.getAttackTargets(unit, this.map);
+        for (const member of group) {
+            if (member.hasAttacked || member.range <= 1) continue;
             // Add attack targets that aren't already in reachable (movement targets)
-            for (const target of attackTargets) {
+            for (const target of MovementSystem.getAttackTargets(member, viewMap)) {
                 if (!reachable.find(r => r.x === target.x && r.y === target.y)) {
                     reachable.push(target);
                 }
@@ -535,15 +699,39 @@ export class WarfireGame {
         }
 
         this.renderer.highlightTiles(reachable);
-        this.renderer.renderUnits(this.map.units, unit);
+        this.renderUnits(unit);
         this.updateUI();
     }
 
     /**
-     * Show only attack targets for a unit that has moved
+     * Add a unit of the selected stack to the moving group or leave it
+     * behind - the group is split off the stack when it moves
      */
-    showAttackTargets(unit) {
-        const targets = MovementSystem.getAttackTargets(unit, this.map);
+    toggleStackUnit(unitId) {
+        const unit = this.state.selectedEntity;
+        if (!(unit instanceof Unit) || this.state.phase !== GameState.PHASES.SELECTED) return;
+
+        const toggled = this.map.getUnitsAt(unit.x, unit.y).find(u => u.id === unitId);
+        if (!toggled || toggled.owner !== unit.owner || toggled.hasMoved) return;
+
+        const group = this.selectedGroup.includes(toggled)
+            ? this.selectedGroup.filter(u => u !== toggled)
+            : [...this.selectedGroup, toggled];
+        // Someone has to stay selected
+        if (group.length === 0) return;
+        this.selectUnit(group[0], group);
+    }
+
+    /**
+     * Show only attack targets for a group that has moved
+     */
+    showAttackTargets(group) {
+        const targets = [];
+        for (const unit of group.filter(u => !u.hasAttacked)) {
+            for (const target of MovementSystem.getAttackTargets(unit, this.viewMap)) {
+                if (!targets.find(t => t.x === target.x && t.y === target.y)) targets.push(target);
+            }
+        }
         this.renderer.highlightTiles(targets);
     }
 
@@ -557,389 +745,332 @@ export class WarfireGame {
 
     deselect() {
         this.state.selectedEntity = null;
+        this.selectedGroup = [];
         if (this.state.phase !== GameState.PHASES.IDLE) {
             this.state.transition(GameState.PHASES.IDLE);
         }
         this.renderer.clearHighlights();
         this.ui.hideProduction();
+        this.ui.hideCombatForecast();
         this.ui.clearTileInfo();
-        this.renderer.renderUnits(this.map.units);
+        this.renderUnits();
         this.updateUI();
     }
 
+    /**
+     * Move the selected group - split off its stack - to x, y, as a command
+     * through GameEngine.apply
+     */
     async moveUnit(unit, x, y) {
-        const oldX = unit.x, oldY = unit.y;
-
-        // Check if target tile has a friendly unit (1 unit per tile limit)
-        const existingUnit = this.map.getUnitsAt(x, y).find(u => u.owner === unit.owner && u.hp > 0 && u !== unit);
-        if (existingUnit) {
-            // Cannot move onto a tile with a friendly unit
+        const groupIds = this.selectedGroup.includes(unit) ? this.selectedGroup.map(u => u.id) : [unit.id];
+        const split = this.map.getStack(unit.x, unit.y).split(groupIds, x, y);
+        const group = [unit, ...split.filter(u => u !== unit)];
+        // Moving by hand overrides a go-to order
+        group.forEach(u => { u.goTo = null; });
+
+        // Moving onto an enemy stack is a melee attack
+        const enemyStack = this.getMapView(unit.owner).getStack(x, y);
+        if (enemyStack && enemyStack.owner !== unit.owner) {
+            this.performAttack(unit, enemyStack, false, group);
             return;
         }
 
-        // Get the sprite for animation
-        const sprite = this.renderer.pools.unitSprites.get(unit.id);
-        const targetX = x * CONFIG.TILE_SIZE;
-        const targetY = y * CONFIG.TILE_SIZE;
-
-        // Animate movement if sprite exists and tab is visible
-        // Skip animation when hidden - Phaser tweens use rAF which is paused in background tabs
-        if (sprite && (oldX !== x || oldY !== y) && !document.hidden) {
-            this.scene.input.enabled = false;
-            await new Promise(resolve => {
-                let settled = false;
-                const finish = () => {
-                    if (settled) return;
-                    settled = true;
-                    sprite.x = targetX;
-                    sprite.y = targetY;
-                    resolve();
-                };
-                this.scene.tweens.add({
-                    targets: sprite,
-                    x: targetX,
-                    y: targetY,
-                    duration: 250,
-                    ease: 'Quad.easeInOut',
-                    onComplete: finish
-                });
-                // Fallback: if the tab is hidden mid-tween, Phaser pauses and
-                // onComplete never fires - resolve anyway so the AI turn can't hang
-                setTimeout(finish, 600);
-            });
-            this.scene.input.enabled = !this.isSpectatorMode;
-        }
-
-        // Update unit position
-        this.map.moveUnit(unit, x, y);
+        this.renderer.clearPath();
+        const { path } = this.engine.getMovePath(unit, x, y, group);
+        await Promise.all(group.map(u => this.animateUnitPath(u, path)));
 
-        // Ruin exploration - any unit can explore
-        const ruin = this.map.getRuin(x, y);
-        if (ruin) {
-            this.handleRuinExploration(unit, x, y);
-        }
-
-        // City capture
-        const city = this.map.getCity(x, y);
-        if (city) {
-            if (city.owner === null) {
-                this.captureCity(city, unit.owner);
-            } else if (city.owner !== unit.owner) {
-                const defenders = this.map.getUnitsAt(x, y).filter(u => u.owner !== unit.owner && u.hp > 0);
-                if (defenders.length === 0) {
-                    this.captureCity(city, unit.owner);
-                }
-            }
+        // Update unit positions, explore ruins and capture cities
+        if (!this.engine.apply(this.engine.getMoveCommand(unit, x, y, group))) {
+            this.deselect();
+            return;
         }
 
-        this.renderer.renderMap(this.map, this.getBlockadedCities());
-        this.renderer.renderUnits(this.map.units);
+        this.renderMap();
+        this.renderUnits();
 
-        // After movement, check if unit can still attack
-        if (!unit.hasAttacked) {
+        // After movement, check if the group can still attack
+        if (group.some(u => !u.hasAttacked)) {
+            this.selectedGroup = group;
             this.state.transition(GameState.PHASES.MOVED);
-            this.showAttackTargets(unit);
+            this.showAttackTargets(group);
             this.updateUI();
         } else {
             this.deselect();
         }
     }
 
-    performAttack(attacker, defenderStack, isRanged = false) {
-        const results = CombatSystem.performAttack(attacker, defenderStack, this.map);
-        if (!results) return;
+    /**
+     * Send the selected group toward (x, y) - units that can still move set
+     * off right away, then march on at the start of each turn. Their own
+     * tile cancels the order
+     */
+    async orderGoTo(x, y) {
+        const unit = this.state.selectedEntity;
+        const player = this.players[this.state.currentPlayerIndex];
+        if (player.isAI || this.replayData || unit.owner !== player.id || !this.map.isValid(x, y)) return;
 
-        // Trigger particle effect based on attack type
-        let effectType = 'hit';
-        if (attacker.type === 'CATAPULT') {
-            effectType = 'catapult';
-        } else if (attacker.type === 'DRAGON') {
-            effectType = 'dragon';
-        } else if (isRanged) {
-            effectType = 'ranged';
+        const group = this.selectedGroup.filter(u => u.hp > 0);
+        if (x === unit.x && y === unit.y) {
+            if (group.some(u => u.goTo)) this.ui.showMessage('Go-to order cancelled');
+            group.forEach(u => { u.goTo = null; });
+            this.deselect();
+            return;
         }
 
-        // Create particle effect at defender position
-        const targetUnit = defenderStack.units[0];
-        if (targetUnit) {
-            this.renderer.createParticleEffect(targetUnit.x, targetUnit.y, effectType);
+        if (!group.every(u => this.engine.setGoTo(u, x, y))) {
+            group.forEach(u => { u.goTo = null; });
+            this.ui.showMessage('No way there!');
+            return;
         }
 
-        if (results.defender.died && results.defender.unit.isHero) {
-            this.checkWinCondition();
-        }
-        if (results.attacker.died && results.attacker.unit.isHero) {
-            this.checkWinCondition();
+        const canMove = this.state.phase === GameState.PHASES.SELECTED && !unit.hasMoved;
+        this.deselect();
+        if (canMove) await this.advanceGoTo(unit, group);
+    }
+
+    /**
+     * Start of a human player's turn: units with go-to orders march on
+     */
+    async executeGoToOrders() {
+        const player = this.players[this.state.currentPlayerIndex];
+        if (player.isAI || this.replayData) return;
+
+        for (const unit of [...player.units]) {
+            if (this.state.currentPlayerIndex !== player.id || this.engine.isGameOver()) break;
+            if (!unit.goTo || unit.hasMoved || unit.hp <= 0) continue;
+            await this.advanceGoTo(unit, this.engine.getGoToGroup(unit));
         }
+        this.updateUI();
+    }
 
-        // Melee kill: move attacker to defender's tile (only for adjacent/melee attacks)
-        if (results.defender.died && !isRanged && !results.attacker.died) {
-            const targetX = results.defender.unit.x;
-            const targetY = results.defender.unit.y;
-            const oldX = attacker.x;
-            const oldY = attacker.y;
+    /**
+     * Walk a group along this turn's leg of its go-to order (see GameEngine.advanceGoTo)
+     */
+    async advanceGoTo(unit, group) {
+        const step = this.engine.getGoToStep(unit, group);
+        if (!step.end) {
+            const { path } = this.engine.getMovePath(unit, step.x, step.y, group);
+            await Promise.all(group.map(u => this.animateUnitPath(u, path)));
+        }
+        this.engine.advanceGoTo(unit, group);
+        this.renderMap();
+        this.renderUnits();
+    }
 
-            // Move attacker to the tile using map.moveUnit to keep spatial index in sync
-            this.map.moveUnit(attacker, targetX, targetY);
-            attacker.hasMoved = true;
+    /**
+     * Walk a unit's sprite along a path tile by tile (the engine move happens
+     * afterwards). The sprite hides while it walks through the viewer's fog
+     * @param {{x: number, y: number}[]} path - tiles stepped on, see GameEngine.getMovePath
+     */
+    async animateUnitPath(unit, path) {
+        // Get the sprite for animation
+        const sprite = this.renderer.pools.unitSprites.get(unit.id);
 
-            // Check for city capture on the new tile
-            const city = this.map.getCity(targetX, targetY);
-            if (city && city.owner !== attacker.owner) {
-                // Check if any enemy units remain
-                const remainingEnemies = this.map.getUnitsAt(targetX, targetY)
-                    .filter(u => u.owner !== attacker.owner && u.hp > 0);
-                if (remainingEnemies.length === 0) {
-                    this.captureCity(city, attacker.owner);
-                }
+        // Animate movement if sprite exists and tab is visible
+        // Skip animation when hidden - Phaser tweens use rAF which is paused in background tabs
+        if (sprite && path.length > 0 && !document.hidden) {
+            this.scene.input.enabled = false;
+            for (const step of path) {
+                await this.animateStep(sprite, step.x * CONFIG.TILE_SIZE, step.y * CONFIG.TILE_SIZE);
+                sprite.setVisible(this.isTileVisible(step.x, step.y));
             }
+            this.scene.input.enabled = !this.isSpectatorMode;
         }
+    }
+
+    /**
+     * Slide a sprite one tile
+     */
+    animateStep(sprite, targetX, targetY) {
+        return new Promise(resolve => {
+            let settled = false;
+            const finish = () => {
+                if (settled) return;
+                settled = true;
+                sprite.x = targetX;
+                sprite.y = targetY;
+                resolve();
+            };
+            this.scene.tweens.add({
+                targets: sprite,
+                x: targetX,
+                y: targetY,
+                duration: 120,
+                ease: 'Linear',
+                onComplete: finish
+            });
+            // Fallback: if the tab is hidden mid-tween, Phaser pauses and
+            // onComplete never fires - resolve anyway so the AI turn can't hang
+            setTimeout(finish, 400);
+        });
+    }
+
+    /**
+     * Attack with a human's selection or for the in-thread AI - issued as a
+     * command through GameEngine.apply, like every other player action
+     * @param {Unit[]} [group] - units fighting the battle with the attacker, attacker first
+     */
+    performAttack(attacker, defenderStack, isRanged = false, group = [attacker]) {
+        // Capture positions before combat - a melee win moves the attackers
+        const fromX = attacker.x;
+        const fromY = attacker.y;
+        const targetX = defenderStack.x;
+        const targetY = defenderStack.y;
+
+        const hpBefore = group.map(u => u.hp);
 
-        if (results.cityCaptured && !isRanged) {
-            // City capture already handled above for melee, but keep for ranged edge cases
-            this.captureCity(results.cityCaptured, attacker.owner);
+        const command = this.engine.getAttackCommand(attacker, targetX, targetY, isRanged, group);
+        if (!this.engine.apply(command)) return;
+        this.ui.hideCombatForecast();
+
+        // Create particle effect at defender position
+        this.showAttackEffect(attacker, targetX, targetY, isRanged);
+        if (group.some((u, i) => u.hp < hpBefore[i])) {
+            this.showRetaliationEffect(fromX, fromY);
         }
 
-        if (isRanged) {
-            attacker.hasAttacked = true;
+        // Units of the group that can still act stay selected, and a ranged
+        // attacker keeps its selection unless the counterattack killed it
+        const living = this.selectedGroup.filter(u => u.hp > 0);
+        const ready = living.filter(u => !u.hasMoved);
+        const armed = living.filter(u => !u.hasAttacked);
+        if (ready.length > 0) {
+            this.selectUnit(ready[0], ready);
+        } else if (this.state.phase === GameState.PHASES.MOVED && armed.length > 0) {
+            this.state.selectedEntity = armed[0];
+            this.selectedGroup = living;
+            this.showAttackTargets(living);
+            this.updateUI();
+        } else if (isRanged && attacker.hp > 0) {
             this.updateUI();
         } else {
             this.deselect();
         }
 
-        this.renderer.renderMap(this.map, this.getBlockadedCities());
-        this.renderer.renderUnits(this.map.units);
+        this.renderMap();
+        this.renderUnits();
     }
 
     /**
-     * Handle ruin exploration and give random reward
-     * @param {Unit} unit - unit that entered the ruin
-     * @param {number} x - ruin x coordinate
-     * @param {number} y - ruin y coordinate
+     * Round by round report for a stack battle a human player fought
      */
-    handleRuinExploration(unit, x, y) {
-        const player = this.players[unit.owner];
-        const rewardType = this.map.exploreRuin(x, y);
-
-        if (!rewardType) return;
-
-        switch (rewardType) {
-            case 'gold_50':
-                player.addGold(50);
-                this.ui.showMessage('Ruin found: 50 gold!');
-                break;
-
-            case 'gold_100':
-                player.addGold(100);
-                this.ui.showMessage('Ruin found: 100 gold!');
-                break;
-
-            case 'random_unit': {
-                // Get free adjacent tiles
-                const freeTiles = this.map.getAdjacentFreeTiles(x, y, unit.owner);
-
-                if (freeTiles.length === 0) {
-                    // No free space - give gold instead
-                    player.addGold(75);
-                    this.ui.showMessage('Ruin found: Gold (no space for unit)!');
-                } else {
-                    // Spawn random unit on a random free adjacent tile
-                    const spawnTile = freeTiles[Utils.randomInt(0, freeTiles.length - 1)];
-                    const unitTypes = ['LIGHT_INFANTRY', 'ARCHER', 'CAVALRY', 'HEAVY_INFANTRY'];
-                    const randomType = unitTypes[Utils.randomInt(0, unitTypes.length - 1)];
-
-                    const newUnit = new Unit(randomType, unit.owner, spawnTile.x, spawnTile.y);
-                    newUnit.hasMoved = true;
-                    newUnit.hasAttacked = true;
-                    this.map.addUnit(newUnit);
-                    player.units.push(newUnit);
-
-                    this.ui.showMessage(`Ruin found: ${UNIT_DEFINITIONS[randomType].name} joined!`);
-                }
-                break;
-            }
+    showBattleReport(battle) {
+        if (this.isSeeking || this.replayData || this.isSpectatorMode || battle.rounds.length < 2) return;
+        const { attacker, defender } = battle.rounds[0];
+        if (this.players[attacker.unit.owner].isAI && this.players[defender.unit.owner].isAI) return;
+        this.ui.showBattleReport(battle, this.players);
+    }
 
-            case 'new_city': {
-                // Build city directly on the ruin tile
-                // The exploring unit is on this tile, move them to adjacent free tile
-                const terrain = this.map.getTerrain(x, y);
-                const existingCity = this.map.getCity(x, y);
-
-                if (terrain === TERRAIN.WATER || existingCity) {
-                    // Cannot build on water or existing city - give gold
-                    player.addGold(150);
-                    this.ui.showMessage('Ruin found: Gold (cannot build here)!');
-                } else {
-                    // Build city on the ruin location
-                    // Unit stays here as garrison (city and unit can coexist)
-                    const sizes = ['small', 'medium'];
-                    const randomSize = sizes[Utils.randomInt(0, sizes.length - 1)];
-
-                    const newCity = new City(x, y, randomSize, unit.owner);
-                    this.map.addCity(newCity);
-                    player.cities.push(newCity);
-
-                    this.ui.showMessage(`Ruin found: New ${randomSize} city established!`);
-                }
-                break;
-            }
+    /**
+     * Particle effect for an attack, based on the attacker type
+     */
+    showAttackEffect(attacker, x, y, isRanged) {
+        if (!this.isTileVisible(x, y)) return;
+        let effectType = 'hit';
+        if (attacker.type === 'CATAPULT') {
+            effectType = 'catapult';
+        } else if (attacker.type === 'DRAGON') {
+            effectType = 'dragon';
+        } else if (isRanged) {
+            effectType = 'ranged';
         }
-
-        // Re-render map to remove the explored ruin visually
-        this.renderer.renderMap(this.map, this.getBlockadedCities());
-        this.renderer.renderUnits(this.map.units);
+        this.renderer.createParticleEffect(x, y, effectType);
     }
 
-    captureCity(city, newOwner) {
-        const oldOwner = city.owner;
-        city.changeOwner(newOwner);
-
-        const newPlayer = this.players[newOwner];
-        newPlayer.cities.push(city);
+    /**
+     * Counterattack hitting the attacker, just after its own blow lands
+     */
+    showRetaliationEffect(x, y) {
+        if (!this.isTileVisible(x, y)) return;
+        this.scene.time.delayedCall(250, () => this.renderer.createParticleEffect(x, y, 'hit', 0xFF8C00));
+    }
 
-        if (oldOwner !== null) {
-            const oldPlayer = this.players[oldOwner];
-            const idx = oldPlayer.cities.indexOf(city);
-            if (idx > -1) oldPlayer.cities.splice(idx, 1);
+    /**
+     * Apply a command from the AI worker through the engine's validation
+     * and show it like a local action
+     * @returns {Promise<boolean>} false if the engine rejected the command
+     */
+    async applyCommand(command) {
+        const unit = command.unitId ? this.engine.getUnit(command.unitId) : null;
+        const fromX = unit?.x, fromY = unit?.y, fromHp = unit?.hp;
+        const targetStack = unit && this.getMapView(unit.owner).getStack(command.x, command.y);
+        if (command.type === 'move' && unit && (!targetStack || targetStack.owner === unit.owner)) {
+            const group = (command.unitIds || [unit.id]).map(id => this.engine.getUnit(id)).filter(Boolean);
+            const { path } = this.engine.getMovePath(unit, command.x, command.y, group);
+            await Promise.all(group.map(u => this.animateUnitPath(u, path)));
+        }
 
-            // Check if old player lost all cities (defeated)
-            if (oldPlayer.cities.length === 0) {
-                this.defeatPlayer(oldPlayer);
-            }
+        const ok = this.engine.apply(command);
+        if (ok && command.type === 'attack') {
+            const distance = Utils.chebyshevDistance(fromX, fromY, command.x, command.y);
+            this.showAttackEffect(unit, command.x, command.y, distance > 1);
+            if (unit.hp < fromHp) this.showRetaliationEffect(fromX, fromY);
         }
 
-        this.checkWinCondition();
+        this.renderMap();
+        this.renderUnits();
+        this.updateUI();
+        return ok;
     }
 
     /**
-     * Defeat a player - remove all their units and mark as defeated
+     * Spend a hero's level-up (the AI calls this directly)
      */
-    defeatPlayer(player) {
-        if (!player.isAlive) return;
-
-        // Remove all player's units from the map
-        const unitsToRemove = this.map.units.filter(u => u.owner === player.id);
-        unitsToRemove.forEach(unit => {
-            this.map.removeUnit(unit);
-        });
+    upgradeHero(unit, type) {
+        if (!this.engine.apply({ type: GameEngine.COMMANDS.UPGRADE, unitId: unit.id, upgrade: type })) return false;
+        this.updateUI();
+        return true;
+    }
 
-        // Clear from player's unit list
-        player.units = [];
+    /**
+     * Ask the current human player to spend their heroes' level-ups, one dialog at a time
+     */
+    promptHeroUpgrades() {
+        if (this.replayData || this.isSpectatorMode || this.state.phase === GameState.PHASES.GAME_OVER) return;
 
-        // Mark as defeated
-        player.defeat();
+        const player = this.players[this.state.currentPlayerIndex];
+        if (player.isAI) return;
 
-        // Show defeat message
-        this.ui.showMessage(`${player.name} DEFEATED!`);
-        Events.emit('player:defeated', { player });
+        const hero = player.units.find(u => u.isHero && u.hp > 0 && u.pendingUpgrades > 0);
+        if (!hero) return;
 
-        // Re-render to show removed units
-        this.renderer.renderMap(this.map, this.getBlockadedCities());
-        this.renderer.renderUnits(this.map.units);
+        this.ui.showHeroUpgradeChoice(hero, (type) => {
+            this.upgradeHero(hero, type);
+            this.promptHeroUpgrades();
+        });
     }
 
     produceUnit(city, unitType) {
-        const player = this.players[this.state.currentPlayerIndex];
-        const cost = UNIT_DEFINITIONS[unitType].cost;
-
-        // Check if city is blockaded by enemy units
-        if (this.map.isCityBlockaded(city, player.id)) {
-            this.ui.showMessage('City is blockaded! Cannot produce.');
-            return false;
-        }
-
-        if (!player.spendGold(cost)) {
-            return false;
-        }
-
-        // Find spawn location - try city first, then adjacent tiles
-        let spawnX = city.x;
-        let spawnY = city.y;
-
-        // Check if city tile is occupied by a friendly unit
-        const cityOccupant = this.map.getUnitsAt(city.x, city.y).find(u => u.owner === player.id && u.hp > 0);
-        if (cityOccupant) {
-            // Find adjacent free tile
-            const adjacent = [
-                { x: city.x + 1, y: city.y },
-                { x: city.x - 1, y: city.y },
-                { x: city.x, y: city.y + 1 },
-                { x: city.x, y: city.y - 1 }
-            ].filter(p => this.map.isValid(p.x, p.y));
-
-            const freeTile = adjacent.find(p => {
-                const terrain = this.map.getTerrain(p.x, p.y);
-                const unitDef = UNIT_DEFINITIONS[unitType];
-                // Check terrain is valid and no friendly unit there
-                return unitDef.canEnter.includes(terrain) &&
-                       !this.map.getUnitsAt(p.x, p.y).some(u => u.owner === player.id && u.hp > 0);
-            });
-
-            if (!freeTile) {
-                // No free tile found - refund and abort
-                player.addGold(cost);
-                this.ui.showMessage('No free space to produce unit!');
-                return false;
-            }
-
-            spawnX = freeTile.x;
-            spawnY = freeTile.y;
-        }
-
-        const unit = new Unit(unitType, player.id, spawnX, spawnY);
-        unit.hasMoved = true;
-        unit.hasAttacked = true;
-        this.map.addUnit(unit);
-        player.units.push(unit);
-        this.ui.showMessage(`Produced ${UNIT_DEFINITIONS[unitType].name}!`);
-        this.renderer.renderUnits(this.map.units);
+        if (!this.engine.apply({ type: GameEngine.COMMANDS.PRODUCE, cityId: city.id, unitType })) return false;
+        this.renderMap();
+        this.renderUnits();
         this.updateUI();
         return true;
     }
 
     endTurn() {
-        // Don't proceed if game is over
-        if (this.state.phase === GameState.PHASES.GAME_OVER) return;
-
-        const player = this.players[this.state.currentPlayerIndex];
-
-        // Collect income
-        player.cities.forEach(city => player.addGold(city.income));
-
-        // Heal units in cities
-        this.map.healUnitsInCities();
-
-        // Reset units
-        player.units.forEach(u => u.resetTurn());
-
-        // Next player
-        this.state.nextPlayer(this.players.length);
-
-        // Skip dead players (with safety limit to prevent infinite loop)
-        let skipCount = 0;
-        const maxSkips = this.players.length;
-        while (skipCount < maxSkips && !this.players[this.state.currentPlayerIndex].isAlive) {
-            this.state.nextPlayer(this.players.length);
-            skipCount++;
-        }
-
-        // If all players are dead, end game
-        if (skipCount >= maxSkips) {
-            this.state.transition(GameState.PHASES.GAME_OVER);
-            return;
-        }
+        // Income, healing and passing the turn; false once the game is over
+        if (!this.engine.apply({ type: GameEngine.COMMANDS.END_TURN })) return;
 
+        this.renderMap();
         this.deselect();
         this.updateUI();
 
         const nextPlayer = this.players[this.state.currentPlayerIndex];
         this.ui.showMessage(`${nextPlayer.name}'s turn!`, 1500);
 
-        // Center camera on next player (smoothly)
-        this.centerCameraOnPlayer(this.state.currentPlayerIndex);
+        // Center camera on next player (smoothly) - unless fog of war hides its army
+        if (this.viewerId === null || this.viewerId === this.state.currentPlayerIndex) {
+            this.centerCameraOnPlayer(this.state.currentPlayerIndex);
+        }
 
-        // Start AI turn if next player is AI
-        this.checkAndStartAITurn();
+        // A human's go-to orders march first - the autosave comes after them
+        this.executeGoToOrders().then(() => {
+            this.autosave();
+            // Start AI turn if next player is AI, or offer a human's unspent level-ups
+            this.checkAndStartAITurn();
+            this.promptHeroUpgrades();
+        });
     }
 
     /**
@@ -1055,6 +1186,12 @@ export class WarfireGame {
             this.ui.showMessage('PAUSED - Click RESUME to continue', 2000);
         } else {
             this.ui.showMessage('RESUMED', 1000);
+        }
+
+        if (this.replayData) {
+            // Stops the playback timer when paused, restarts it when resumed
+            this.scheduleReplayStep();
+        } else if (!this.aiPaused) {
             // Restart the loop: finish the pending end-of-turn or start the AI
             if (this.ai?.lastCompletedTurnKey === this.currentTurnKey()) {
                 this.scheduleNextTurn();
@@ -1069,6 +1206,114 @@ export class WarfireGame {
      */
     setGameSpeed(speed) {
         this.gameSpeed = speed;
+        this.ai?.syncSpeed();
+    }
+
+    /**
+     * Schedule the next replay command; pauses between turns like the spectator scheduler
+     */
+    scheduleReplayStep() {
+        if (this.replayTimer) {
+            clearTimeout(this.replayTimer);
+            this.replayTimer = null;
+        }
+        const commands = this.replayData.commands;
+        if (this.aiPaused || this.replayStep >= commands.length) return;
+
+        const delay = (commands[this.replayStep].type === 'endTurn' ? 1000 : 250) / (this.gameSpeed || 1);
+        this.replayTimer = setTimeout(() => this.playReplayStep(), delay);
+    }
+
+    /**
+     * Execute one replay command and render the result
+     */
+    playReplayStep() {
+        this.replayTimer = null;
+        const command = this.replayData.commands[this.replayStep++];
+        this.engine.replayCommand(command);
+
+        if (command.type === 'attack') {
+            this.renderer.createParticleEffect(command.x, command.y, command.ranged ? 'ranged' : 'hit');
+        } else if (command.type === 'endTurn' && !this.engine.isGameOver()) {
+            this.ui.showMessage(`${this.players[this.state.currentPlayerIndex].name}'s turn!`, 1000);
+            this.centerCameraOnPlayer(this.state.currentPlayerIndex);
+        }
+
+        this.renderMap();
+        this.renderUnits();
+        this.updateUI();
+        this.scheduleReplayStep();
+    }
+
+    /**
+     * Seek the replay to a fraction of its length or by whole turns
+     * @param {number} [fraction] - 0..1 position in the command list
+     * @param {number} [turnDelta] - turns to jump from the start of the current turn
+     */
+    seekReplay(fraction, turnDelta) {
+        if (!this.replayData) return;
+        const commands = this.replayData.commands;
+
+        let target;
+        if (turnDelta !== undefined) {
+            // A turn starts right after each endTurn command
+            const turnStarts = [0];
+            commands.forEach((c, i) => { if (c.type === 'endTurn') turnStarts.push(i + 1); });
+            const currentTurn = turnStarts.filter(i => i <= this.replayStep).length - 1;
+            target = turnStarts[Utils.clamp(currentTurn + turnDelta, 0, turnStarts.length - 1)];
+        } else {
+            target = Math.round(fraction * commands.length);
+        }
+
+        this.goToReplayStep(target);
+    }
+
+    /**
+     * Jump to a replay step without animation. Commands only run forward,
+     * so seeking back rebuilds the match from its seed.
+     */
+    goToReplayStep(step) {
+        const commands = this.replayData.commands;
+        this.isSeeking = true;
+
+        if (step < this.replayStep) {
+            this.engine = new GameEngine(ReplaySystem.toGameConfig(this.replayData));
+            this.engine.initialize();
+            this.replayStep = 0;
+        }
+        while (this.replayStep < step && this.replayStep < commands.length) {
+            this.engine.replayCommand(commands[this.replayStep++]);
+        }
+
+        this.isSeeking = false;
+        this.renderMap();
+        this.renderUnits();
+        this.updateUI();
+        this.scheduleReplayStep();
+    }
+
+    /**
+     * Cycle replay playback speed 1x -> 2x -> 4x -> 8x
+     */
+    cycleReplaySpeed() {
+        if (!this.replayData) return;
+        const speeds = [1, 2, 4, 8];
+        this.setGameSpeed(speeds[(speeds.indexOf(this.gameSpeed) + 1) % speeds.length]);
+        this.scheduleReplayStep();
+        this.updateUI();
+    }
+
+    /**
+     * Download the replay of the current (or watched) match as JSON
+     */
+    downloadReplay() {
+        const replay = this.replayData || this.replay;
+        if (!replay) {
+            this.ui.showMessage('No replay recorded for this game!');
+            return;
+        }
+        ReplaySystem.download(replay);
+        this.ui.showMessage('Replay downloaded!');
     }
 
 
@@ -1122,35 +1367,29 @@ export class WarfireGame {
         }
     }
 
-    checkWinCondition() {
-        this.players.forEach(player => {
-            if (!player.isAlive) return;
-
-            const hasHero = player.units.some(u => u.isHero && u.hp > 0);
-            const hasCities = player.cities.length > 0;
-
-            if (!hasHero && !hasCities) {
-                // Player has no hero and no cities - defeat them and remove units
-                this.defeatPlayer(player);
-            }
-        });
+    /**
+     * Engine reported game over - stop scheduling turns and show the winner
+     */
+    handleGameOver(winner) {
+        // Replays stay interactive so the match can still be seeked
+        if (this.replayData) {
+            if (!this.isSeeking) this.ui.showMessage(`${winner.name} WINS!`, 3000);
+            return;
+        }
 
-        const alive = this.players.filter(p => p.isAlive);
-        if (alive.length === 1) {
-            this.state.transition(GameState.PHASES.GAME_OVER);
-            // Cancel any pending spectator turns (fallback)
-            if (this.nextTurnTimer) {
-                clearTimeout(this.nextTurnTimer);
-                this.nextTurnTimer = null;
-            }
-            // Stop tick worker
-            if (this.tickWorker) {
-                this.tickWorker.postMessage('stop');
-                this.tickWorker.terminate();
-                this.tickWorker = null;
-            }
-            this.ui.showGameOver(alive[0]);
+        // Cancel any pending spectator turns (fallback)
+        if (this.nextTurnTimer) {
+            clearTimeout(this.nextTurnTimer);
+            this.nextTurnTimer = null;
+        }
+        // Stop tick worker and AI worker
+        if (this.tickWorker) {
+            this.tickWorker.postMessage('stop');
+            this.tickWorker.terminate();
+            this.tickWorker = null;
         }
+        this.ai?.destroy();
+        this.ui.showGameOver(winner);
     }
 
     updateUI() {
@@ -1165,72 +1404,169 @@ export class WarfireGame {
 
         this.ui.updateSelected(this.state.selectedEntity, null, isBlockaded);
 
+        // Own units on the selected unit's tile, to pick who moves with it
+        const selected = this.state.selectedEntity;
+        const stackUnits = selected instanceof Unit
+            ? this.map.getUnitsAt(selected.x, selected.y).filter(u => u.owner === selected.owner && u.hp > 0)
+            : [];
+        this.ui.updateStack(stackUnits, this.selectedGroup);
+
         // Update minimap
-        this.ui.updateMinimap(this.map, this.players, this.renderer.camera.x, this.renderer.camera.y, this.renderer.zoom);
+        this.ui.updateMinimap(this.map, this.players, this.renderer.camera.x, this.renderer.camera.y, this.renderer.zoom, this.getFog());
+
+        if (this.replayData) {
+            this.ui.updateReplayProgress(this.replayStep, this.replayData.commands.length, this.gameSpeed);
+        }
+    }
+
+    renderMap() {
+        this.renderer.renderMap(this.map, this.getBlockadedCities(), this.getFog());
+    }
+
+    /**
+     * Draw the units the viewer can see, and enemies where it saw them last
+     */
+    renderUnits(selectedUnit = null) {
+        const viewMap = this.viewMap;
+        this.renderer.renderUnits(viewMap.units, selectedUnit, viewMap.rememberedUnits);
+        this.renderOrders();
+    }
+
+    /**
+     * Routes of the human player's go-to orders - one line per marching stack
+     */
+    renderOrders() {
+        const player = this.players[this.viewerId ?? this.state.currentPlayerIndex];
+        const routes = new Map();
+        if (!player.isAI && !this.replayData) {
+            const view = this.getMapView(player.id);
+            player.units.filter(u => u.goTo && u.hp > 0).forEach(unit => {
+                const key = `${unit.x},${unit.y}:${unit.goTo.x},${unit.goTo.y}`;
+                if (routes.has(key)) return;
+                const path = MovementSystem.findPath(unit, unit.goTo.x, unit.goTo.y, view);
+                if (path) routes.set(key, { from: unit, path });
+            });
+        }
+        this.renderer.showOrders([...routes.values()]);
     }
 
     /**
      * Get all cities that are currently blockaded by enemy units
      */
     getBlockadedCities() {
-        return this.map.cities.filter(city =>
-            city.owner !== null && this.map.isCityBlockaded(city, city.owner)
-        );
+        return this.engine.getBlockadedCities();
     }
 
+    /**
+     * Quick save (S key) into the quicksave slot
+     */
     saveGame() {
-        SaveSystem.save(this);
-        this.ui.showMessage('Game saved!');
+        this.saveToSlot(SaveSystem.QUICKSAVE_SLOT);
     }
 
-    loadGame() {
-        const data = SaveSystem.load();
-        if (!data) {
-            this.ui.showMessage('No save found!');
-            return;
+    /**
+     * Autosave at the start of a turn - skipped when nobody is playing (spectator games)
+     */
+    autosave() {
+        if (this.isSpectatorMode) return;
+        SaveSystem.autosave(this, this.ui.createMinimapThumbnail(this.map, this.players, this.getFog()));
+    }
+
+    /**
+     * Save into a new named slot (SAVE button)
+     */
+    saveGameAs() {
+        const name = window.prompt('Save name:', `${this.players[this.state.currentPlayerIndex].name} - Turn ${this.state.turnNumber}`);
+        if (name === null) return;
+        this.saveToSlot(SaveSystem.createSlotId(), name.trim() || undefined);
+    }
+
+    saveToSlot(slotId, name) {
+        const thumbnail = this.ui.createMinimapThumbnail(this.map, this.players, this.getFog());
+        if (SaveSystem.save(this, slotId, { name, thumbnail })) {
+            this.ui.showMessage('Game saved!');
+        } else {
+            this.ui.showMessage('Save failed - storage full?');
         }
+    }
 
-        // Restore map
-        this.map.terrain = data.map.terrain;
-        this.map.cities = data.map.cities.map(c => {
-            const city = new City(c.x, c.y, c.size, c.owner);
-            city.id = c.id;
-            return city;
-        });
-        this.map.ruins = data.map.ruins;
-        this.map.units = data.map.units.map(u => Unit.deserialize(u));
-
-        // Rebuild spatial grids for O(1) lookups
-        this.map.rebuildGrids();
-
-        // Restore players
-        this.players = data.players.map(p => {
-            const player = new Player(p.id, COLORS.players[p.id], p.name);
-            player.gold = p.gold;
-            player.isAlive = p.isAlive;
-            player.units = this.map.units.filter(u => u.owner === p.id);
-            player.cities = this.map.cities.filter(c => c.owner === p.id);
-            return player;
+    /**
+     * Quick load (L key / LOAD button) from the quicksave slot
+     */
+    loadGame(slotId = SaveSystem.QUICKSAVE_SLOT) {
+        try {
+            const data = SaveSystem.load(slotId);
+            if (!data) {
+                this.ui.showMessage('No save found!');
+                return;
+            }
+            this.applyLoadedGame(data);
+        } catch (error) {
+            this.ui.showErrorScreen('CANNOT LOAD SAVE', error.message);
+        }
+    }
+
+    /**
+     * Download the current game as a .warfire.json file (EXPORT button)
+     */
+    exportSave() {
+        SaveSystem.exportFile(SaveSystem.createSaveData(this));
+        this.ui.showMessage('Save exported!');
+    }
+
+    /**
+     * Load a .warfire.json file from disk (IMPORT button)
+     */
+    importSave() {
+        Utils.pickFile(`${SaveSystem.FILE_EXTENSION},.json,application/json`).then(text => {
+            this.applyLoadedGame(SaveSystem.parseFile(text));
+        }).catch(error => {
+            this.ui.showErrorScreen('CANNOT IMPORT SAVE', error.message);
         });
+    }
 
-        // Restore state
-        this.state.currentPlayerIndex = data.currentPlayer;
-        this.state.turnNumber = data.turn;
-        this.state.selectedEntity = null;
-        this.state.phase = GameState.PHASES.IDLE;
+    /**
+     * Replace the running game with loaded save data (current schema, checked by
+     * SaveSystem.validate). Throws before anything is replaced if the engine
+     * cannot restore the data.
+     */
+    applyLoadedGame(data) {
+        this.engine.loadState(data);
+        this.applySavedSettings(data.settings);
 
         // Recreate AI - it holds references to the replaced players array,
         // and lastCompletedTurnKey must reset for the restored turn
-        this.ai = new AISystem(this);
+        this.ai?.destroy();
+        this.ai = new AIWorkerClient(this);
         this.nextTurnAt = null;
         if (this.nextTurnTimer) {
             clearTimeout(this.nextTurnTimer);
             this.nextTurnTimer = null;
         }
 
-        this.renderer.renderMap(this.map, this.getBlockadedCities());
-        this.renderer.renderUnits(this.map.units);
+        this.renderMap();
+        this.renderUnits();
         this.updateUI();
         this.ui.showMessage('Game loaded!');
+
+        // The save may have been made on an AI player's turn
+        this.checkAndStartAITurn();
+        this.promptHeroUpgrades();
+    }
+
+    /**
+     * Restore spectator mode and speed of a save loaded mid-game
+     */
+    applySavedSettings(settings) {
+        this.setGameSpeed(settings.gameSpeed);
+        if (settings.isSpectatorMode === this.isSpectatorMode) return;
+
+        this.isSpectatorMode = settings.isSpectatorMode;
+        this.aiPaused = false;
+        this.ui.setSpectatorMode(this.isSpectatorMode);
+        this.scene.input.enabled = !this.isSpectatorMode;
+        if (this.isSpectatorMode && !this.hasSpectatorCameraControls) {
+            this.setupSpectatorCameraControls();
+        }
     }
 }
@@ -3,7 +3,7 @@ import { Events } from '../utils.js';
 
 export class City {
     constructor(x, y, size = 'small', owner = null) {
-        this.id = `city_${x}_${y}_${Date.now()}`;
+        this.id = `city_${x}_${y}`; // One city per tile
         this.x = x;
         this.y = y;
         this.size = size;
@@ -30,7 +30,15 @@ export class City {
             x: this.x,
             y: this.y,
             size: this.size,
-            owner: this.owner
+            owner: this.owner,
+            productionQueue: [...this.productionQueue]
         };
     }
+
+    static deserialize(data) {
+        const city = new City(data.x, data.y, data.size, data.owner);
+        if (data.id) city.id = data.id;
+        city.productionQueue = [...(data.productionQueue || [])];
+        return city;
+    }
 }
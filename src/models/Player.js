@@ -1,12 +1,15 @@
-import { CONFIG, COLORS } from '../constants.js';
+import { CONFIG, COLORS, AI_DIFFICULTY, DEFAULT_AI_DIFFICULTY, AI_PERSONALITIES, DEFAULT_AI_PERSONALITY } from '../constants.js';
 import { Events } from '../utils.js';
 
 export class Player {
-    constructor(id, color, name, isAI = false) {
+    constructor(id, color, name, isAI = false, difficulty = DEFAULT_AI_DIFFICULTY, personality = DEFAULT_AI_PERSONALITY, tacticalSearch = false) {
         this.id = id;
         this.color = color;
         this.name = name;
         this.isAI = isAI;
+        this.difficulty = difficulty; // AI_DIFFICULTY key, kept for humans too so the slot remembers it
+        this.personality = personality; // AI_PERSONALITIES key
+        this.tacticalSearch = tacticalSearch; // AI plans its attacks with TacticalSearch
         this.gold = CONFIG.STARTING_GOLD;
         this.units = [];
         this.cities = [];
@@ -32,6 +35,20 @@ export class Player {
         Events.emit('player:defeated', { player: this });
     }
 
+    /**
+     * Settings of this player's AI difficulty level
+     */
+    get aiSettings() {
+        return AI_DIFFICULTY[this.difficulty] || AI_DIFFICULTY[DEFAULT_AI_DIFFICULTY];
+    }
+
+    /**
+     * Weights of this player's AI personality
+     */
+    get personalitySettings() {
+        return AI_PERSONALITIES[this.personality] || AI_PERSONALITIES[DEFAULT_AI_PERSONALITY];
+    }
+
     getHero() {
         return this.units.find(u => u.isHero && u.hp > 0);
     }
@@ -40,8 +57,14 @@ export class Player {
         return {
             id: this.id,
             name: this.name,
+            color: this.color,
+            isAI: this.isAI,
+            difficulty: this.difficulty,
+            personality: this.personality,
+            tacticalSearch: this.tacticalSearch,
             gold: this.gold,
             isAlive: this.isAlive,
+            defeatedAt: this.defeatedAt,
             units: this.units.map(u => u.serialize()),
             cities: this.cities.map(c => c.serialize())
         };
@@ -27,11 +27,15 @@ export class Stack {
         return this.units[0]?.owner ?? null;
     }
 
+    /**
+     * Take units out of the stack to move them to newX, newY - the caller
+     * moves them on the map (GameMap.moveUnit keeps the unit grid in sync)
+     * @returns {Unit[]} the split off units
+     */
     split(unitIds, newX, newY) {
         const splitUnits = this.units.filter(u => unitIds.includes(u.id));
         const remaining = this.units.filter(u => !unitIds.includes(u.id));
 
-        splitUnits.forEach(u => { u.x = newX; u.y = newY; });
         this.units = remaining;
 
         Events.emit('stack:split', { original: this, splitUnits, newX, newY });
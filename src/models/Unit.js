@@ -1,43 +1,93 @@
-import { UNIT_DEFINITIONS } from '../constants.js';
+import { UNIT_DEFINITIONS, ARTIFACT_DEFINITIONS, HERO_XP, HERO_UPGRADES, UNIT_RANKS, MORALE } from '../constants.js';
 import { Utils, Events } from '../utils.js';
 
 export class Unit {
-    constructor(type, owner, x, y) {
+    // Sequential ids keep replays and saves stable - reset by GameEngine per game
+    static nextId = 1;
+
+    /**
+     * @param {string} [id] - reuse an existing id instead of taking the next one
+     */
+    constructor(type, owner, x, y, id = null) {
         const def = UNIT_DEFINITIONS[type];
         Utils.assert(def, `Unknown unit type: ${type}`);
 
-        this.id = `unit_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        this.id = id ?? `unit_${Unit.nextId++}`;
         this.type = type;
         this.owner = owner;
         this.x = x;
         this.y = y;
-        this.maxHp = def.hp;
+        this.baseMaxHp = def.hp;
         this.hp = def.hp;
         this.baseAttack = def.attack;
         this.baseDefense = def.defense;
         this.baseMovement = def.movement;
         this.range = def.range;
+        this.sight = def.sight;
+        this.canRetaliate = def.canRetaliate;
         this.cost = def.cost;
         this.isHero = def.isHero || false;
         this.canEnter = def.canEnter;
+        this.ignoresZOC = def.ignoresZOC || false;
 
         this.hasMoved = false;
         this.hasAttacked = false;
         this.buffs = [];
+        this.artifacts = []; // Heroes only - { type, name }
+
+        // Hero progression - each level-up grants one upgrade the owner picks.
+        // Regular units use xp for veterancy instead (see rank)
+        this.xp = 0;
+        this.level = 1;
+        this.pendingUpgrades = 0;
+        this.upgrades = []; // HERO_UPGRADES keys, in the order they were picked
+
+        this.morale = MORALE.START;
+
+        // Standing go-to order { x, y } - the unit marches on each turn until it arrives
+        this.goTo = null;
+    }
+
+    get maxHp() {
+        return this.baseMaxHp + this.buffs.reduce((s, b) => s + (b.hpBonus || 0), 0);
     }
 
     get effectiveAttack() {
         const buffBonus = this.buffs.reduce((s, b) => s + (b.attackBonus || 0), 0);
-        return this.baseAttack + buffBonus;
+        return this.baseAttack + buffBonus + UNIT_RANKS[this.rank].attackBonus;
     }
 
     get effectiveDefense() {
         const buffBonus = this.buffs.reduce((s, b) => s + (b.defenseBonus || 0), 0);
-        return this.baseDefense + buffBonus;
+        return this.baseDefense + buffBonus + UNIT_RANKS[this.rank].defenseBonus;
+    }
+
+    /**
+     * Veterancy rank (index into UNIT_RANKS) - derived from combat XP, heroes stay at 0
+     */
+    get rank() {
+        if (this.isHero) return 0;
+        let rank = 0;
+        while (rank + 1 < UNIT_RANKS.length && this.xp >= UNIT_RANKS[rank + 1].xp) rank++;
+        return rank;
+    }
+
+    get rankName() {
+        return UNIT_RANKS[this.rank].name;
+    }
+
+    /**
+     * Shaken, Steady or Inspired - see MORALE
+     */
+    get moraleName() {
+        if (this.morale <= MORALE.LOW) return 'Shaken';
+        if (this.morale >= MORALE.HIGH) return 'Inspired';
+        return 'Steady';
     }
 
     get effectiveMovement() {
-        return this.baseMovement;
+        const buffBonus = this.buffs.reduce((s, b) => s + (b.movementBonus || 0), 0);
+        return this.baseMovement + buffBonus;
     }
 
     get name() {
@@ -66,6 +116,89 @@ export class Unit {
         return healed;
     }
 
+    /**
+     * Carry an artifact - its bonuses become a buff, extra HP is granted immediately
+     */
+    addArtifact(type) {
+        const def = ARTIFACT_DEFINITIONS[type];
+        Utils.assert(def, `Unknown artifact type: ${type}`);
+
+        const { name, ...bonuses } = def;
+        this.artifacts.push({ type, name });
+        this.buffs.push({ source: `artifact:${type}`, ...bonuses });
+        this.hp += bonuses.hpBonus || 0;
+    }
+
+    /**
+     * Drop all artifacts and their buffs
+     * @returns {string[]} artifact types
+     */
+    removeArtifacts() {
+        const types = this.artifacts.map(a => a.type);
+        this.artifacts = [];
+        this.buffs = this.buffs.filter(b => !b.source?.startsWith('artifact:'));
+        this.hp = Math.min(this.hp, this.maxHp);
+        return types;
+    }
+
+    /**
+     * XP needed for the next hero level, or null at max level
+     */
+    get nextLevelXp() {
+        return HERO_XP.LEVELS[this.level] ?? null;
+    }
+
+    /**
+     * Number of Leadership upgrades - size of the aura bonus
+     */
+    get leadership() {
+        return this.upgrades.filter(u => u === 'LEADERSHIP').length;
+    }
+
+    /**
+     * Add hero XP
+     * @returns {number} levels gained (each one is a pending upgrade)
+     */
+    gainXp(amount) {
+        if (!this.isHero) return 0;
+        this.xp += amount;
+
+        let gained = 0;
+        while (this.nextLevelXp !== null && this.xp >= this.nextLevelXp) {
+            this.level++;
+            this.pendingUpgrades++;
+            gained++;
+        }
+        return gained;
+    }
+
+    /**
+     * Add combat XP to a regular unit
+     * @returns {boolean} true if the unit ranked up
+     */
+    gainCombatXp(amount) {
+        if (this.isHero) return false;
+        const before = this.rank;
+        this.xp += amount;
+        return this.rank > before;
+    }
+
+    /**
+     * Spend a pending level-up on an upgrade
+     */
+    applyUpgrade(type) {
+        const def = HERO_UPGRADES[type];
+        Utils.assert(def, `Unknown hero upgrade: ${type}`);
+        Utils.assert(this.pendingUpgrades > 0, 'No pending hero upgrade');
+
+        const { name, description, ...bonuses } = def;
+        this.pendingUpgrades--;
+        this.upgrades.push(type);
+        if (Object.keys(bonuses).length > 0) {
+            this.buffs.push({ source: `upgrade:${type}`, ...bonuses });
+        }
+    }
+
     resetTurn() {
         this.hasMoved = false;
         this.hasAttacked = false;
@@ -80,15 +213,32 @@ export class Unit {
             y: this.y,
             hp: this.hp,
             hasMoved: this.hasMoved,
-            hasAttacked: this.hasAttacked
+            hasAttacked: this.hasAttacked,
+            buffs: this.buffs.map(b => ({ ...b })),
+            artifacts: this.artifacts.map(a => a.type),
+            xp: this.xp,
+            level: this.level,
+            pendingUpgrades: this.pendingUpgrades,
+            upgrades: [...this.upgrades],
+            morale: this.morale,
+            goTo: this.goTo ? { ...this.goTo } : null
         };
     }
 
     static deserialize(data) {
-        const unit = new Unit(data.type, data.owner, data.x, data.y);
+        const unit = new Unit(data.type, data.owner, data.x, data.y, data.id || null);
         unit.hp = data.hp;
         unit.hasMoved = data.hasMoved;
         unit.hasAttacked = data.hasAttacked;
+        // Artifact bonuses are already part of the saved buffs
+        unit.buffs = (data.buffs || []).map(b => ({ ...b }));
+        unit.artifacts = (data.artifacts || []).map(type => ({ type, name: ARTIFACT_DEFINITIONS[type].name }));
+        unit.xp = data.xp ?? 0;
+        unit.level = data.level ?? 1;
+        unit.pendingUpgrades = data.pendingUpgrades ?? 0;
+        unit.upgrades = [...(data.upgrades || [])];
+        unit.morale = data.morale ?? MORALE.START;
+        unit.goTo = data.goTo ? { ...data.goTo } : null;
         return unit;
     }
 }
@@ -1,5 +1,9 @@
 import Phaser from 'phaser';
-import { CONFIG, COLORS, GAME_WIDTH, GAME_HEIGHT } from '../constants.js';
+import { CONFIG, COLORS, GAME_WIDTH, GAME_HEIGHT, AI_DIFFICULTY, DEFAULT_AI_DIFFICULTY, AI_PERSONALITIES, RANDOM_AI_PERSONALITY } from '../constants.js';
+import { Utils, SeededRandom } from '../utils.js';
+import { ReplaySystem } from '../systems/ReplaySystem.js';
+import { SaveSystem } from '../systems/SaveSystem.js';
+import { SaveMigrations } from '../systems/SaveMigrations.js';
 
 /**
  * Menu scene for game configuration - map size, player count, AI settings
@@ -12,11 +16,13 @@ export class MenuScene extends Phaser.Scene {
             mapHeight: 15,
             numPlayers: 2,
             players: [
-                { name: 'Player 1', isAI: false },
-                { name: 'Player 2', isAI: true },
-                { name: 'Player 3', isAI: true },
-                { name: 'Player 4', isAI: true }
-            ]
+                { name: 'Player 1', isAI: false, difficulty: DEFAULT_AI_DIFFICULTY, personality: RANDOM_AI_PERSONALITY, tacticalSearch: false },
+                { name: 'Player 2', isAI: true, difficulty: DEFAULT_AI_DIFFICULTY, personality: RANDOM_AI_PERSONALITY, tacticalSearch: false },
+                { name: 'Player 3', isAI: true, difficulty: DEFAULT_AI_DIFFICULTY, personality: RANDOM_AI_PERSONALITY, tacticalSearch: false },
+                { name: 'Player 4', isAI: true, difficulty: DEFAULT_AI_DIFFICULTY, personality: RANDOM_AI_PERSONALITY, tacticalSearch: false }
+            ],
+            seed: SeededRandom.generateSeed(),
+            fogOfWar: false
         };
         this.isMobile = CONFIG.IS_MOBILE;
     }
@@ -28,7 +34,10 @@ export class MenuScene extends Phaser.Scene {
         this.createCityRuinSection();
         this.createPlayerCountSection();
         this.createPlayerSettingsSection();
+        this.createSeedSection();
         this.createStartButton();
+        this.createReplayButton();
+        this.createLoadButton();
         this.createHelpText();
     }
 
@@ -375,9 +384,9 @@ export class MenuScene extends Phaser.Scene {
         const btnWidth = this.isMobile ? 70 : 100;
         const btnHeight = this.isMobile ? 22 : 30;
         const btnTextSize = this.isMobile ? '11px' : '14px';
-        const colorBoxX = this.isMobile ? -80 : -120;
-        const labelX = this.isMobile ? -65 : -95;
-        const btnX = this.isMobile ? 40 : 60;
+        const colorBoxX = this.isMobile ? -152 : -220;
+        const labelX = this.isMobile ? -142 : -195;
+        const btnX = this.isMobile ? -80 : -40;
 
         // Color indicator
         const colorBox = this.add.rectangle(colorBoxX, 0, boxSize, boxSize, color)
@@ -418,10 +427,84 @@ export class MenuScene extends Phaser.Scene {
             this.updatePlayerSettingItem(playerIndex);
         });
 
+        // Difficulty button - cycles through AI_DIFFICULTY, shown for AI players only
+        const difficultyWidth = this.isMobile ? 60 : 90;
+        const difficultyX = btnX + btnWidth / 2 + (this.isMobile ? 6 : 10) + difficultyWidth / 2;
+        const difficultyBg = this.add.rectangle(difficultyX, 0, difficultyWidth, btnHeight, 0x2d3748)
+            .setInteractive({ useHandCursor: true });
+        const difficultyText = this.add.text(difficultyX, 0, '', {
+            fontSize: btnTextSize,
+            fontFamily: 'Courier New, monospace',
+            color: '#ffffff'
+        }).setOrigin(0.5);
+        container.add(difficultyBg);
+        container.add(difficultyText);
+
+        difficultyBg.on('pointerdown', () => {
+            const levels = Object.keys(AI_DIFFICULTY);
+            const player = this.settings.players[playerIndex];
+            player.difficulty = levels[(levels.indexOf(player.difficulty) + 1) % levels.length];
+            this.updatePlayerSettingItem(playerIndex);
+        });
+
+        difficultyBg.on('pointerover', () => difficultyBg.setFillStyle(0x4a5568));
+        difficultyBg.on('pointerout', () => this.updatePlayerSettingItem(playerIndex));
+
+        // Personality button - cycles Random and AI_PERSONALITIES, shown for AI players only
+        const personalityWidth = this.isMobile ? 72 : 110;
+        const personalityX = difficultyX + difficultyWidth / 2 + (this.isMobile ? 6 : 10) + personalityWidth / 2;
+        const personalityBg = this.add.rectangle(personalityX, 0, personalityWidth, btnHeight, 0x2d3748)
+            .setInteractive({ useHandCursor: true });
+        const personalityText = this.add.text(personalityX, 0, '', {
+            fontSize: btnTextSize,
+            fontFamily: 'Courier New, monospace',
+            color: '#ffffff'
+        }).setOrigin(0.5);
+        container.add(personalityBg);
+        container.add(personalityText);
+
+        personalityBg.on('pointerdown', () => {
+            const choices = [RANDOM_AI_PERSONALITY, ...Object.keys(AI_PERSONALITIES)];
+            const player = this.settings.players[playerIndex];
+            player.personality = choices[(choices.indexOf(player.personality) + 1) % choices.length];
+            this.updatePlayerSettingItem(playerIndex);
+        });
+
+        personalityBg.on('pointerover', () => personalityBg.setFillStyle(0x4a5568));
+        personalityBg.on('pointerout', () => this.updatePlayerSettingItem(playerIndex));
+
+        // Tactical search toggle - shown for AI players only
+        const searchWidth = this.isMobile ? 50 : 80;
+        const searchX = personalityX + personalityWidth / 2 + (this.isMobile ? 6 : 10) + searchWidth / 2;
+        const searchBg = this.add.rectangle(searchX, 0, searchWidth, btnHeight, 0x2d3748)
+            .setInteractive({ useHandCursor: true });
+        const searchText = this.add.text(searchX, 0, 'SEARCH', {
+            fontSize: btnTextSize,
+            fontFamily: 'Courier New, monospace',
+            color: '#94a3b8'
+        }).setOrigin(0.5);
+        container.add(searchBg);
+        container.add(searchText);
+
+        searchBg.on('pointerdown', () => {
+            const player = this.settings.players[playerIndex];
+            player.tacticalSearch = !player.tacticalSearch;
+            this.updatePlayerSettingItem(playerIndex);
+        });
+
+        searchBg.on('pointerover', () => searchBg.setFillStyle(0x4a5568));
+        searchBg.on('pointerout', () => this.updatePlayerSettingItem(playerIndex));
+
         return {
             container,
             aiButtonBg,
             aiButtonText,
+            difficultyBg,
+            difficultyText,
+            personalityBg,
+            personalityText,
+            searchBg,
+            searchText,
             playerIndex
         };
     }
@@ -433,6 +516,19 @@ export class MenuScene extends Phaser.Scene {
         item.aiButtonBg.setFillStyle(isAI ? 0xEF476F : 0x06D6A0);
         item.aiButtonText.setText(isAI ? 'AI BOT' : 'HUMAN');
         item.aiButtonText.setColor('#ffffff');
+
+        const difficulty = this.settings.players[playerIndex].difficulty;
+        item.difficultyBg.setVisible(isAI).setFillStyle(0x3B5DC9);
+        item.difficultyText.setVisible(isAI).setText(AI_DIFFICULTY[difficulty].name.toUpperCase());
+
+        const personality = this.settings.players[playerIndex].personality;
+        const personalityName = personality === RANDOM_AI_PERSONALITY ? 'Random' : AI_PERSONALITIES[personality].name;
+        item.personalityBg.setVisible(isAI).setFillStyle(0x7C3AED);
+        item.personalityText.setVisible(isAI).setText(personalityName.toUpperCase());
+
+        const tacticalSearch = this.settings.players[playerIndex].tacticalSearch;
+        item.searchBg.setVisible(isAI).setFillStyle(tacticalSearch ? 0x06D6A0 : 0x2d3748);
+        item.searchText.setVisible(isAI).setColor(tacticalSearch ? '#ffffff' : '#94a3b8');
     }
 
     updatePlayerSettingsVisibility() {
@@ -459,6 +555,56 @@ export class MenuScene extends Phaser.Scene {
         }
     }
 
+    createSeedSection() {
+        const y = this.isMobile ? GAME_HEIGHT - 60 : GAME_HEIGHT - 125;
+        // Shifted left on mobile to make room for the fog of war toggle
+        const centerX = GAME_WIDTH / 2 - (this.isMobile ? 30 : 0);
+        const container = this.add.container(centerX, y);
+
+        const label = this.add.text(-130, 0, 'SEED:', {
+            fontSize: this.isMobile ? '12px' : '14px',
+            fontFamily: 'Courier New, monospace',
+            fontStyle: 'bold',
+            color: '#60a5fa'
+        }).setOrigin(0, 0.5);
+        container.add(label);
+
+        // Seed value - click to type a specific seed (shared "map of the week" seeds)
+        const valueBg = this.add.rectangle(10, 0, 140, 28, 0x2d3748)
+            .setInteractive({ useHandCursor: true });
+        this.seedValueText = this.add.text(10, 0, String(this.settings.seed), {
+            fontSize: this.isMobile ? '12px' : '14px',
+            fontFamily: 'Courier New, monospace',
+            color: '#ffffff'
+        }).setOrigin(0.5);
+        container.add(valueBg);
+        container.add(this.seedValueText);
+
+        valueBg.on('pointerdown', () => {
+            const input = window.prompt('Enter map seed (number or text):', String(this.settings.seed));
+            if (input === null || input.trim() === '') return;
+            this.settings.seed = SeededRandom.normalizeSeed(input);
+            this.seedValueText.setText(String(this.settings.seed));
+        });
+        valueBg.on('pointerover', () => valueBg.setFillStyle(0x4a5568));
+        valueBg.on('pointerout', () => valueBg.setFillStyle(0x2d3748));
+
+        // Roll a new random seed
+        const rerollBtn = this.createButton(125, 0, 'NEW', 60, () => {
+            this.settings.seed = SeededRandom.generateSeed();
+            this.seedValueText.setText(String(this.settings.seed));
+        });
+        container.add(rerollBtn.container);
+
+        // Fog of war - players only see what their units and cities see
+        const fogBtn = this.createSelectableButton(this.isMobile ? 155 : 235, 0, this.isMobile ? 'FOG' : 'FOG OF WAR', this.isMobile ? 50 : 130, () => {
+            this.settings.fogOfWar = !this.settings.fogOfWar;
+            fogBtn.setSelected(this.settings.fogOfWar);
+        });
+        fogBtn.setSelected(this.settings.fogOfWar);
+        container.add(fogBtn.container);
+    }
+
     createStartButton() {
         const btnY = this.isMobile ? GAME_HEIGHT - 25 : GAME_HEIGHT - 70;
         const btnWidth = this.isMobile ? 140 : 200;
@@ -479,6 +625,288 @@ export class MenuScene extends Phaser.Scene {
         });
     }
 
+    createLoadButton() {
+        const btnY = this.isMobile ? GAME_HEIGHT - 25 : GAME_HEIGHT - 70;
+        const btnX = GAME_WIDTH / 2 - (this.isMobile ? 130 : 220);
+        const btnWidth = this.isMobile ? 100 : 180;
+        const button = this.createButton(btnX, btnY, this.isMobile ? 'LOAD' : 'LOAD GAME', btnWidth, () => {
+            this.showLoadScreen();
+        });
+        if (SaveSystem.listSlots().length === 0 && SaveSystem.listAutosaves().length === 0) {
+            button.text.setAlpha(0.5);
+        }
+    }
+
+    /**
+     * Load Game screen - browse, load, rename, export and delete save slots, or import a save file.
+     * Saves and autosaves are on separate tabs.
+     */
+    showLoadScreen(page = 0, tab = this.loadScreenTab || 'saves') {
+        this.loadScreenTab = tab;
+        this.loadScreen?.destroy();
+        const screen = this.add.container(0, 0).setDepth(100);
+        this.loadScreen = screen;
+
+        // Block clicks to the menu underneath
+        const overlay = this.add.rectangle(0, 0, GAME_WIDTH, GAME_HEIGHT, 0x0f172a, 0.97)
+            .setOrigin(0, 0)
+            .setInteractive();
+        screen.add(overlay);
+
+        screen.add(this.add.text(GAME_WIDTH / 2, this.isMobile ? 25 : 50, 'LOAD GAME', {
+            fontSize: this.isMobile ? '24px' : '40px',
+            fontFamily: 'Courier New, monospace',
+            fontStyle: 'bold',
+            color: '#FFD23F'
+        }).setOrigin(0.5));
+
+        // Import a .warfire.json file from disk (top right, next to the title)
+        const importWidth = this.isMobile ? 70 : 110;
+        screen.add(this.createButton(GAME_WIDTH - importWidth / 2 - 10, this.isMobile ? 25 : 50, 'IMPORT', importWidth, () => {
+            this.importSaveFile();
+        }).container);
+
+        // Tabs: named saves / autosaves (listed by turn and player)
+        const tabY = this.isMobile ? 55 : 100;
+        const tabWidth = this.isMobile ? 110 : 160;
+        const autosaves = SaveSystem.listAutosaves();
+        [['saves', 'SAVES'], ['autosaves', `AUTOSAVES (${autosaves.length})`]].forEach(([key, label], i) => {
+            const x = GAME_WIDTH / 2 + (i - 0.5) * (tabWidth + 10);
+            const button = this.createSelectableButton(x, tabY, label, tabWidth, () => this.showLoadScreen(0, key));
+            button.setSelected(key === tab);
+            screen.add(button.container);
+        });
+
+        const slots = tab === 'autosaves' ? autosaves : SaveSystem.listSlots();
+        const rowHeight = this.isMobile ? 60 : 90;
+        const listTop = tabY + (this.isMobile ? 25 : 35);
+        const perPage = Math.max(1, Math.floor((GAME_HEIGHT - listTop - (this.isMobile ? 50 : 90)) / rowHeight));
+        const pageCount = Math.max(1, Math.ceil(slots.length / perPage));
+        page = Math.min(page, pageCount - 1);
+
+        if (slots.length === 0) {
+            screen.add(this.add.text(GAME_WIDTH / 2, GAME_HEIGHT / 2, tab === 'autosaves' ? 'No autosaves yet' : 'No saved games', {
+                fontSize: '16px',
+                fontFamily: 'Courier New, monospace',
+                color: '#94a3b8'
+            }).setOrigin(0.5));
+        }
+
+        slots.slice(page * perPage, (page + 1) * perPage).forEach((slot, i) => {
+            screen.add(this.createSlotRow(slot, listTop + i * rowHeight, rowHeight - 10, page));
+        });
+
+        // Paging and back
+        const bottomY = GAME_HEIGHT - (this.isMobile ? 25 : 45);
+        const back = this.createButton(GAME_WIDTH / 2, bottomY, 'BACK', 120, () => {
+            this.loadScreen.destroy();
+            this.loadScreen = null;
+        });
+        screen.add(back.container);
+        if (page > 0) {
+            screen.add(this.createButton(GAME_WIDTH / 2 - 150, bottomY, '< PREV', 110, () => this.showLoadScreen(page - 1)).container);
+        }
+        if (page < pageCount - 1) {
+            screen.add(this.createButton(GAME_WIDTH / 2 + 150, bottomY, 'NEXT >', 110, () => this.showLoadScreen(page + 1)).container);
+        }
+    }
+
+    /**
+     * One save slot row: thumbnail, name, metadata and LOAD/RENAME/EXPORT/DELETE buttons
+     */
+    createSlotRow(slot, y, height, page) {
+        const rowWidth = Math.min(GAME_WIDTH - 20, 760);
+        const row = this.add.container(GAME_WIDTH / 2 - rowWidth / 2, y);
+
+        row.add(this.add.rectangle(0, 0, rowWidth, height, 0x1e293b).setOrigin(0, 0).setStrokeStyle(1, 0x334155));
+
+        // Minimap thumbnail (loaded asynchronously from the stored data URL)
+        const thumbSize = height - 10;
+        if (slot.thumbnail) {
+            this.addSlotThumbnail(row, slot, 5, 5, thumbSize);
+        }
+
+        const textX = thumbSize + 15;
+        row.add(this.add.text(textX, 6, slot.name, {
+            fontSize: this.isMobile ? '12px' : '16px',
+            fontFamily: 'Courier New, monospace',
+            fontStyle: 'bold',
+            color: '#ffffff'
+        }));
+
+        const players = slot.players
+            .map(p => `${p.name}${p.isAI ? ' (AI)' : ''}${p.isAlive ? '' : ' x'}`)
+            .join(', ');
+        const date = new Date(slot.timestamp).toLocaleString();
+        const isSupported = SaveMigrations.isSupported(slot.schemaVersion);
+        let details = this.isMobile
+            ? `T${slot.turn} ${slot.mapWidth}x${slot.mapHeight} ${date}`
+            : `Turn ${slot.turn} | ${slot.mapWidth}x${slot.mapHeight} | ${date}\n${players}`;
+        if (!isSupported) {
+            details = `Needs newer game version${slot.gameVersion ? ` (${slot.gameVersion})` : ''}\n` + details;
+        }
+        row.add(this.add.text(textX, this.isMobile ? 24 : 30, details, {
+            fontSize: this.isMobile ? '9px' : '12px',
+            fontFamily: 'Courier New, monospace',
+            color: isSupported ? '#94a3b8' : '#EF476F',
+            lineSpacing: 4
+        }));
+
+        const btnWidth = this.isMobile ? 56 : 80;
+        const btnY = height / 2;
+        const buttons = [
+            ['LOAD', () => this.loadSlot(slot)],
+            ['RENAME', () => {
+                const name = window.prompt('Rename save:', slot.name);
+                if (name && name.trim()) {
+                    SaveSystem.renameSlot(slot.id, name.trim());
+                    this.showLoadScreen(page);
+                }
+            }],
+            ['EXPORT', () => this.exportSlot(slot)],
+            ['DELETE', () => {
+                if (window.confirm(`Delete save "${slot.name}"?`)) {
+                    SaveSystem.deleteSlot(slot.id);
+                    this.showLoadScreen(page);
+                }
+            }]
+        ].filter(([label]) => label !== 'RENAME' || !SaveSystem.isAutosave(slot.id)); // Autosaves are named by turn
+        buttons.forEach(([label, callback], i) => {
+            const x = rowWidth - (buttons.length - i) * (btnWidth + 6) + btnWidth / 2;
+            row.add(this.createButton(x, btnY, label, btnWidth, callback).container);
+        });
+
+        return row;
+    }
+
+    /**
+     * Load a slot (migrating old saves) and start the game, or show why it can't be loaded
+     */
+    loadSlot(slot) {
+        let savedGame;
+        try {
+            savedGame = SaveSystem.load(slot.id);
+        } catch (error) {
+            this.showErrorScreen('CANNOT LOAD SAVE', error.message);
+            return;
+        }
+        if (!savedGame) {
+            this.showErrorScreen('CANNOT LOAD SAVE', `"${slot.name}" is missing or corrupted.`);
+            return;
+        }
+        this.scene.start('GameScene', { savedGame });
+    }
+
+    /**
+     * Download a slot as a .warfire.json file
+     */
+    exportSlot(slot) {
+        let savedGame;
+        try {
+            savedGame = SaveSystem.load(slot.id);
+        } catch (error) {
+            this.showErrorScreen('CANNOT EXPORT SAVE', error.message);
+            return;
+        }
+        if (!savedGame) {
+            this.showErrorScreen('CANNOT EXPORT SAVE', `"${slot.name}" is missing or corrupted.`);
+            return;
+        }
+        const fileName = slot.name.replace(/[^a-z0-9_-]+/gi, '_');
+        SaveSystem.exportFile(savedGame, `${fileName}${SaveSystem.FILE_EXTENSION}`);
+    }
+
+    /**
+     * Pick a .warfire.json file and start the game it contains
+     */
+    importSaveFile() {
+        Utils.pickFile(`${SaveSystem.FILE_EXTENSION},.json,application/json`).then(text => {
+            const savedGame = SaveSystem.parseFile(text);
+            this.scene.start('GameScene', { savedGame });
+        }).catch(error => {
+            this.showErrorScreen('CANNOT IMPORT SAVE', error.message);
+        });
+    }
+
+    /**
+     * Modal error screen with an OK button
+     */
+    showErrorScreen(title, message) {
+        const screen = this.add.container(0, 0).setDepth(200);
+        const overlay = this.add.rectangle(0, 0, GAME_WIDTH, GAME_HEIGHT, 0x000000, 0.85)
+            .setOrigin(0, 0)
+            .setInteractive();
+        const boxWidth = Math.min(GAME_WIDTH - 40, 560);
+        const box = this.add.rectangle(GAME_WIDTH / 2, GAME_HEIGHT / 2, boxWidth, 220, 0x1e293b)
+            .setStrokeStyle(2, 0xEF476F);
+
+        const titleText = this.add.text(GAME_WIDTH / 2, GAME_HEIGHT / 2 - 75, title, {
+            fontSize: this.isMobile ? '16px' : '22px',
+            fontFamily: 'Courier New, monospace',
+            fontStyle: 'bold',
+            color: '#EF476F'
+        }).setOrigin(0.5);
+
+        const messageText = this.add.text(GAME_WIDTH / 2, GAME_HEIGHT / 2 - 10, message, {
+            fontSize: this.isMobile ? '11px' : '14px',
+            fontFamily: 'Courier New, monospace',
+            color: '#ffffff',
+            align: 'center',
+            wordWrap: { width: boxWidth - 40 }
+        }).setOrigin(0.5);
+
+        const ok = this.createButton(GAME_WIDTH / 2, GAME_HEIGHT / 2 + 70, 'OK', 100, () => screen.destroy());
+        screen.add([overlay, box, titleText, messageText, ok.container]);
+    }
+
+    addSlotThumbnail(row, slot, x, y, size) {
+        const key = `save_thumb_${slot.id}_${slot.timestamp}`;
+        const place = () => {
+            if (!row.active) return;
+            const image = this.add.image(x, y, key).setOrigin(0, 0);
+            image.setScale(size / Math.max(image.width, image.height));
+            row.add(image);
+        };
+
+        if (this.textures.exists(key)) {
+            place();
+            return;
+        }
+        const img = new Image();
+        img.onload = () => {
+            if (!this.textures.exists(key)) this.textures.addImage(key, img);
+            place();
+        };
+        img.src = slot.thumbnail;
+    }
+
+    createReplayButton() {
+        const btnY = this.isMobile ? GAME_HEIGHT - 25 : GAME_HEIGHT - 70;
+        const btnX = GAME_WIDTH / 2 + (this.isMobile ? 130 : 220);
+        const btnWidth = this.isMobile ? 100 : 180;
+        this.createButton(btnX, btnY, this.isMobile ? 'REPLAY' : 'WATCH REPLAY', btnWidth, () => {
+            this.openReplayFile();
+        });
+
+        this.replayErrorText = this.add.text(btnX, btnY - (this.isMobile ? 22 : 28), '', {
+            fontSize: this.isMobile ? '10px' : '12px',
+            fontFamily: 'Courier New, monospace',
+            color: '#EF476F'
+        }).setOrigin(0.5);
+    }
+
+    /**
+     * Pick a replay JSON file and start playback in GameScene
+     */
+    openReplayFile() {
+        Utils.pickFile().then(text => {
+            const replay = ReplaySystem.parse(text);
+            this.scene.start('GameScene', { replay });
+        }).catch(error => {
+            this.replayErrorText.setText(error.message);
+        });
+    }
+
     createButton(x, y, text, width, callback) {
         const container = this.add.container(x, y);
         const btnHeight = this.isMobile ? 26 : 32;
@@ -582,7 +1010,9 @@ export class MenuScene extends Phaser.Scene {
             mapHeight: this.settings.mapHeight,
             numCities: this.settings.numCities,
             numRuins: this.settings.numRuins,
-            players: activePlayers
+            players: activePlayers,
+            seed: this.settings.seed,
+            fogOfWar: this.settings.fogOfWar
         });
     }
 }
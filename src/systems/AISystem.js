@@ -1,10 +1,11 @@
-import { Utils, Events } from '../utils.js';
+import { Utils, Events, SeededRandom } from '../utils.js';
 import { MovementSystem } from './MovementSystem.js';
 import { CombatSystem } from './CombatSystem.js';
 import { GameState } from './GameState.js';
 import { StrategyPlanner } from './StrategyPlanner.js';
 import { InfluenceMap } from './InfluenceMap.js';
-import { UNIT_DEFINITIONS, CITY_INCOME, TERRAIN } from '../constants.js';
+import { TacticalSearch } from './TacticalSearch.js';
+import { UNIT_DEFINITIONS, CITY_INCOME, TERRAIN, ROAD_MOVE_COST, MAX_FLANKERS } from '../constants.js';
 
 /**
  * AI system for controlling bot players
@@ -29,6 +30,9 @@ export class AISystem {
         // Influence map for threat/safety assessment
         this.influenceMap = new InfluenceMap(game.map, game.players);
 
+        // Attack planning for players that opted into tactical search
+        this.tacticalSearch = new TacticalSearch(game);
+
         // Track which units attacked which targets this turn (for focus fire)
         this.focusFireMemory = new Map();
 
@@ -37,7 +41,18 @@ export class AISystem {
     }
 
     /**
-     * BFS distance field (tile count over passable terrain) from a target tile.
+     * Point the AI and its planners at the map they should reason about
+     */
+    setMap(gameMap) {
+        this.map = gameMap;
+        this.strategyPlanner.map = gameMap;
+        this.influenceMap.map = gameMap;
+        this.tacticalSearch.map = gameMap;
+    }
+
+    /**
+     * Distance field (movement points over passable terrain, roads and
+     * bridges included) from a target tile to every tile.
      * Cached per target + unit type for the duration of one AI turn.
      */
     getDistanceField(targetX, targetY, unitType) {
@@ -47,25 +62,35 @@ export class AISystem {
 
         const width = this.map.width;
         const height = this.map.height;
-        field = new Int32Array(width * height).fill(-1);
-
-        const queue = [targetY * width + targetX];
-        field[queue[0]] = 0;
-
-        for (let head = 0; head < queue.length; head++) {
-            const index = queue[head];
-            const x = index % width;
-            const y = (index / width) | 0;
-            const dist = field[index];
-
-            // 4-directional, matching MovementSystem
-            for (const [nx, ny] of [[x, y - 1], [x, y + 1], [x - 1, y], [x + 1, y]]) {
-                if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
-                const ni = ny * width + nx;
-                if (field[ni] !== -1) continue;
-                if (this.map.getMovementCost(nx, ny, unitType) === Infinity) continue;
-                field[ni] = dist + 1;
-                queue.push(ni);
+        field = new Float64Array(width * height).fill(-1);
+
+        // Dijkstra with one bucket per ROAD_MOVE_COST - every step cost is a multiple of it
+        const target = targetY * width + targetX;
+        const buckets = [[target]];
+        field[target] = 0;
+
+        for (let bucket = 0; bucket < buckets.length; bucket++) {
+            for (const index of buckets[bucket] || []) {
+                const dist = field[index];
+                if (dist / ROAD_MOVE_COST !== bucket) continue; // Reached cheaper later
+                const x = index % width;
+                const y = (index / width) | 0;
+
+                // 4-directional, matching MovementSystem
+                for (const [nx, ny] of [[x, y - 1], [x, y + 1], [x - 1, y], [x + 1, y]]) {
+                    if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+                    if (this.map.getMovementCost(nx, ny, unitType) === Infinity) continue;
+
+                    // A unit on the neighbour pays for stepping onto this tile - the
+                    // target itself counts as one step even where it can't be entered
+                    let step = this.map.getMovementCost(x, y, unitType, nx, ny);
+                    if (step === Infinity) step = 1;
+
+                    const ni = ny * width + nx;
+                    if (field[ni] !== -1 && field[ni] <= dist + step) continue;
+                    field[ni] = dist + step;
+                    (buckets[field[ni] / ROAD_MOVE_COST] ||= []).push(ni);
+                }
             }
         }
 
@@ -99,6 +124,9 @@ export class AISystem {
 
         const turnKey = `${this.game.state.turnNumber}:${this.game.state.currentPlayerIndex}`;
 
+        // Plan on what this player knows - under fog of war enemies out of sight are hidden
+        this.setMap(this.game.getMapView(player.id));
+
         // Reset per-turn state (focus fire tracking, pathfinding cache)
         this.focusFireMemory.clear();
         this.distanceFieldCache.clear();
@@ -113,9 +141,11 @@ export class AISystem {
         Events.emit('ai:turnStarted', { player });
 
         try {
+            this.handleHeroUpgrades(player);
             await this.handleRetreats(player);
             await this.handleUnitActions(player);
             await this.handleHeroActions(player);
+            this.handleHeroUpgrades(player);
             await this.handleProduction(player);
             await this.delay(this.thinkDelay);
         } catch (error) {
@@ -123,10 +153,17 @@ export class AISystem {
         }
 
         console.log(`[AI] Turn complete for ${player.name}, isSpectator=${this.game.isSpectatorMode}, currentPlayer=${this.game.state.currentPlayerIndex}`);
+        this.finishTurn(player, turnKey);
+    }
 
-        // Ensure game state is clean before ending turn
+    /**
+     * Mark the turn as played and hand it over - also used by AIWorkerClient
+     * when the worker has played the turn
+     */
+    finishTurn(player, turnKey) {
+        // Ensure game state is clean before ending turn (but keep a finished game over)
         this.game.state.selectedEntity = null;
-        if (this.game.state.phase !== GameState.PHASES.IDLE) {
+        if (this.game.state.phase !== GameState.PHASES.IDLE && this.game.state.phase !== GameState.PHASES.GAME_OVER) {
             this.game.state.phase = GameState.PHASES.IDLE;
         }
 
@@ -170,9 +207,9 @@ export class AISystem {
                 continue; // Skip this city, it's under siege
             }
 
-            // Use strategic plan for production when available
+            // Use strategic plan for production when available (weaker levels don't plan)
             let unitType = null;
-            if (this.currentPlan && this.currentPlan.productionPlan) {
+            if (this.currentPlan && this.currentPlan.productionPlan && player.aiSettings.productionSkill >= 1) {
                 unitType = this.currentPlan.productionPlan.get(city.id);
             }
 
@@ -291,6 +328,11 @@ export class AISystem {
         // Always build if we have gold - no limits, just prioritize needs
         if (gold < 10) return null;
 
+        // Weaker levels often just buy the cheapest unit instead of what the situation needs
+        if (this.roll(`produce:${player.id}:${city.id}`) >= player.aiSettings.productionSkill) {
+            return 'LIGHT_INFANTRY';
+        }
+
         // Priority 0: Buy hero if we don't have one
         const hero = player.getHero();
         if (!hero && gold >= 50) {
@@ -345,9 +387,10 @@ export class AISystem {
     async handleRetreats(player) {
         const damagedUnits = player.units.filter(u => {
             if (u.hp <= 0 || u.isHero) return false;
-            const def = UNIT_DEFINITIONS[u.type];
-            const healthPercent = u.hp / def.hp;
-            return healthPercent < 0.3 && !u.hasMoved; // Less than 30% HP
+            const healthPercent = u.hp / u.maxHp;
+            // Recruits fall back below 30% HP; veterans are worth saving earlier
+            const threshold = 0.3 + u.rank * 0.15;
+            return healthPercent < threshold && !u.hasMoved;
         });
 
         for (const unit of damagedUnits) {
@@ -441,6 +484,10 @@ export class AISystem {
         // Get current turn number for early game expansion prioritization
         const turnNumber = this.game.state?.turnNumber || 1;
 
+        if (player.tacticalSearch) {
+            await this.handleTacticalAttacks(player);
+        }
+
         // Sort units by tactical priority for action order
         const units = player.units
             .filter(u => u.hp > 0 && !u.isHero)
@@ -461,6 +508,28 @@ export class AISystem {
         }
     }
 
+    /**
+     * Plan the attacks of all units together with TacticalSearch, one attack at
+     * a time so each search starts from the real outcome. Units left without an
+     * attack go on to the normal per-unit logic.
+     */
+    async handleTacticalAttacks(player) {
+        // Every attack uses up a unit - bounded in case an attack is refused
+        const maxAttacks = player.units.length;
+        for (let i = 0; i < maxAttacks; i++) {
+            const units = player.units.filter(u => u.hp > 0 && !u.isHero && !u.hasAttacked);
+            const attack = this.tacticalSearch.findBestAttack(player, units);
+            if (!attack) return;
+
+            if (attack.kind === 'charge') {
+                await this.game.moveUnit(attack.unit, attack.x, attack.y);
+            } else {
+                this.performTrackedAttack(attack.unit, this.map.getStack(attack.x, attack.y), attack.kind === 'ranged');
+            }
+            await this.delay(400);
+        }
+    }
+
     /**
      * Execute a unit's turn with a strategic objective in mind
      * Moves toward the objective, but still handles tactical combat opportunities
@@ -605,6 +674,7 @@ export class AISystem {
 
                     // Prefer closer moves (less wasted movement)
                     score -= tile.cost * 2;
+                    score = this.addNoise(score, player, `move:${unit.id}:${tile.x},${tile.y}`);
 
                     if (score > bestScore) {
                         bestScore = score;
@@ -715,7 +785,7 @@ export class AISystem {
         if (!unit.hasMoved) {
             const reachable = MovementSystem.getReachableTiles(unit, this.map);
 
-            // Filter valid moves (respect 1 unit per tile)
+            // Filter valid moves - the AI keeps its units on separate tiles
             const validMoves = reachable.filter(t => {
                 const existingUnit = this.map.getUnitsAt(t.x, t.y).find(u => u.owner === player.id && u.hp > 0);
                 return !existingUnit && !t.isEnemy;
@@ -739,8 +809,8 @@ export class AISystem {
 
                     for (const enemy of enemiesAtTile) {
                         // Can we win this fight?
-                        const myDamage = CombatSystem.calculateDamage(unit, enemy, 0).damage;
-                        const enemyDamage = CombatSystem.calculateDamage(enemy, unit, this.map.getDefenseBonus(moveTile.x, moveTile.y)).damage;
+                        const myDamage = CombatSystem.estimateDamage(unit, enemy, 0).damage;
+                        const enemyDamage = CombatSystem.estimateDamage(enemy, unit, this.map.getDefenseBonus(moveTile.x, moveTile.y)).damage;
 
                         let opportunityScore = 0;
 
@@ -894,8 +964,8 @@ export class AISystem {
                     let bestScore = -Infinity;
 
                     for (const enemy of adjacentEnemies) {
-                        const myDamage = CombatSystem.calculateDamage(unit, enemy, 0).damage;
-                        const enemyDamage = CombatSystem.calculateDamage(enemy, unit, this.map.getDefenseBonus(city.x, city.y)).damage;
+                        const myDamage = CombatSystem.estimateDamage(unit, enemy, 0).damage;
+                        const enemyDamage = CombatSystem.estimateDamage(enemy, unit, this.map.getDefenseBonus(city.x, city.y)).damage;
 
                         let score = 0;
                         if (myDamage >= enemy.hp) {
@@ -986,39 +1056,38 @@ export class AISystem {
         if (enemy.isHero) score += 100;
         if (enemy.type === 'CATAPULT') score += 50;
         if (enemy.type === 'DRAGON') score += 80;
+        score += enemy.rank * 30; // Veterans hit harder - thin them out first
 
         // Focus fire: bonus for damaged enemies (easier kills)
         const damagePercent = 1 - (enemy.hp / enemyDef.hp);
         score += damagePercent * 40;
 
-        // Check if we can kill it
-        const terrainBonus = this.map.getDefenseBonus(targetX, targetY);
-        const damage = CombatSystem.calculateDamage(unit, enemy, terrainBonus).damage;
-        const canKill = damage >= enemy.hp;
-        if (canKill) {
-            score += 100; // Kill bonus - very high, attacking is always worth it
-        }
+        // The battle is fought until one side falls - a ranged volley is a single round
+        const distance = Utils.chebyshevDistance(unit.x, unit.y, targetX, targetY);
+        const battle = this.estimateBattle(unit, targetX, targetY, myDef.range > 1 && distance > 1);
+        const killChance = battle.deathChance.get(enemy.id);
+        score += 100 * killChance; // Kill bonus - very high, a likely win is always worth it
+
+        // Partial credit for the damage dealt across the stack
+        const defenders = enemyStack.units.filter(u => u.hp > 0);
+        score += defenders.reduce((sum, u) => sum + u.hp - battle.hp.get(u.id), 0) * 1.5;
 
-        // Add bonus for any damage dealt - attacking is always beneficial since there's no retaliation!
-        // (In this game, attackers deal damage without taking damage in return)
-        score += Math.min(damage, enemy.hp) * 1.5; // Partial credit for non-lethal damage
+        // Weigh the damage the unit takes like our own, and avoid battles it is not expected to survive
+        const deathChance = battle.deathChance.get(unit.id);
+        score -= (unit.hp - battle.hp.get(unit.id)) * 1.5;
+        score -= deathChance * (unit.isHero ? 300 : 100);
 
         // CITY CAPTURE BONUS with coordinated attack assessment
         const city = this.map.getCity(targetX, targetY);
         if (city && city.owner !== unit.owner) {
             const enemyOwner = this.players[city.owner];
 
-            // Check if we can actually capture (kill all defenders)
-            if (canKill) {
-                const remaining = this.map.getUnitsAt(targetX, targetY).filter(u => u.owner !== unit.owner && u.hp > 0);
-                if (remaining.length <= 1) {
-                    score += 100; // Capture bonus - very high priority
+            // Capture bonus - very high priority, as likely as wiping out all defenders
+            score += 100 * battle.winChance;
 
-                    // Extra bonus for capturing cities of weak enemies
-                    if (enemyOwner && enemyOwner.cities.length <= 2) {
-                        score += 150; // Finish them off!
-                    }
-                }
+            // Extra bonus for capturing cities of weak enemies
+            if (enemyOwner && enemyOwner.cities.length <= 2) {
+                score += 150 * battle.winChance; // Finish them off!
             }
 
             // Last city bonus - capturing this eliminates the player!
@@ -1028,7 +1097,6 @@ export class AISystem {
         }
 
         // Range efficiency: for ranged units, prefer staying at range
-        const distance = Utils.chebyshevDistance(unit.x, unit.y, targetX, targetY);
         if (myDef.range > 1) {
             if (distance > 1 && distance <= myDef.range) {
                 score += 25; // Bonus for ranged attacks
@@ -1038,6 +1106,11 @@ export class AISystem {
             }
         }
 
+        // Don't throw veterans into melee they may not survive
+        if (unit.rank > 0 && distance === 1) {
+            score -= unit.rank * 15 * deathChance;
+        }
+
         // Focus fire coordination: bonus if other units already attacked this enemy
         const enemyKey = `${targetX},${targetY}`;
         const focusCount = this.focusFireMemory.get(enemyKey) || 0;
@@ -1045,7 +1118,23 @@ export class AISystem {
             score += 15 * Math.min(focusCount, 3); // Bonus for focusing fire
         }
 
-        return score;
+        return this.addNoise(score, player, `attack:${unit.id}:${targetX},${targetY}`);
+    }
+
+    /**
+     * Would the unit likely fall in the battle an attack on the enemy's stack starts
+     */
+    isSuicidalAttack(unit, enemy) {
+        const isRanged = Utils.chebyshevDistance(unit.x, unit.y, enemy.x, enemy.y) > 1;
+        return this.estimateBattle(unit, enemy.x, enemy.y, isRanged).deathChance.get(unit.id) >= 0.5;
+    }
+
+    /**
+     * Likely outcome of the unit attacking the enemies on (x, y) - see CombatSystem.estimateBattle
+     */
+    estimateBattle(unit, x, y, isRanged) {
+        const defenders = this.map.getUnitsAt(x, y).filter(u => u.owner !== unit.owner && u.hp > 0);
+        return CombatSystem.estimateBattle([unit], defenders, this.map, { isRanged });
     }
 
     /**
@@ -1072,6 +1161,7 @@ export class AISystem {
             let score = this.evaluateStrategicMove(unit, tile.x, tile.y, player, isRangedUnit, isFastUnit, priorityTarget);
             // Prefer closer moves (less wasted movement)
             score -= tile.cost * 1.5;
+            score = this.addNoise(score, player, `move:${unit.id}:${tile.x},${tile.y}`);
             return { ...tile, score };
         });
 
@@ -1107,14 +1197,14 @@ export class AISystem {
                 unitsInRange++;
                 // Estimate damage this unit could deal
                 const terrainBonus = this.map.getDefenseBonus(city.x, city.y);
-                const damage = CombatSystem.calculateDamage(unit, defenders[0], terrainBonus).damage;
+                const damage = CombatSystem.estimateDamage(unit, defenders[0], terrainBonus).damage;
                 pendingDamage += damage;
                 totalAttackPower += unit.effectiveAttack + unit.hp;
             }
         }
 
         // Add this unit's contribution
-        const thisUnitDamage = CombatSystem.calculateDamage(thisUnit, defenders[0], 0).damage;
+        const thisUnitDamage = CombatSystem.estimateDamage(thisUnit, defenders[0], 0).damage;
         pendingDamage += thisUnitDamage;
         totalAttackPower += thisUnit.effectiveAttack + thisUnit.hp;
         unitsInRange++;
@@ -1188,6 +1278,7 @@ export class AISystem {
         const economicAdvantage = this.calculateEconomicAdvantage(player);
         const isEconomicallyDominant = economicAdvantage.cityRatio >= 1.5 || economicAdvantage.incomeRatio >= 1.5;
         const isNearingEndgame = player.cities.length >= 6; // Late game = more aggressive
+        const profile = player.personalitySettings;
 
         // 1. NEUTRAL EMPTY CITIES - highest priority for expansion
         for (const city of this.map.cities) {
@@ -1203,6 +1294,7 @@ export class AISystem {
                 // Empty neutral city - highest priority! Higher score for closer cities
                 score = 1000 - dist * 2; // Very low distance penalty so all neutral cities are attractive
             }
+            score *= profile.expansion;
 
             if (score > bestScore) {
                 bestScore = score;
@@ -1228,6 +1320,7 @@ export class AISystem {
                     score += 200; // Extra bonus when we're ahead - finish the game!
                 }
             }
+            score *= profile.aggression;
 
             if (score > bestScore) {
                 bestScore = score;
@@ -1240,7 +1333,7 @@ export class AISystem {
             const dist = Utils.manhattanDistance(startX, startY, ruin.x, ruin.y);
             if (dist > maxDistance * 2) continue;
 
-            let score = 600 - dist * 8;
+            const score = (600 - dist * 8) * profile.ruinHunting;
 
             if (score > bestScore) {
                 bestScore = score;
@@ -1323,6 +1416,7 @@ export class AISystem {
                     // Even if can't capture, still approach - can still attack nearby enemies
                     score = 200 - dist * 8;
                 }
+                score *= profile.aggression;
 
                 if (score > bestScore) {
                     bestScore = score;
@@ -1372,6 +1466,15 @@ export class AISystem {
         return bestTarget;
     }
 
+    /**
+     * Personality weight for a findPriorityTarget target, by its priority
+     */
+    targetWeight(priority, profile) {
+        if (priority === 1) return profile.expansion;
+        if (priority === 3) return profile.ruinHunting;
+        return profile.aggression;
+    }
+
     /**
      * Check if a position is near the front line (close to enemy units/cities)
      */
@@ -1413,8 +1516,10 @@ export class AISystem {
     evaluateStrategicMove(unit, x, y, player, isRangedUnit, isFastUnit, priorityTarget = null) {
         let score = 0;
         const def = UNIT_DEFINITIONS[unit.type];
+        const profile = player.personalitySettings;
 
         // 1. CITY DEFENSE: Protect own cities - ESPECIALLY blockaded ones
+        let defenseScore = 0;
         for (const city of player.cities) {
             const distToCity = Utils.manhattanDistance(x, y, city.x, city.y);
 
@@ -1427,45 +1532,46 @@ export class AISystem {
             if (isBlockaded) {
                 if (distToCity === 0) {
                     // We're IN the blockaded city - stay and defend!
-                    score += 200; // Massive bonus for defending from inside
+                    defenseScore += 200; // Massive bonus for defending from inside
 
                     // If there are enemies adjacent, we can attack - even better
                     const adjacentEnemies = this.getAdjacentEnemies(city.x, city.y, player);
                     if (adjacentEnemies.length > 0 && !unit.hasAttacked) {
                         // Can we win against them?
                         for (const enemy of adjacentEnemies) {
-                            const myDamage = CombatSystem.calculateDamage(unit, enemy, 0).damage;
+                            const myDamage = CombatSystem.estimateDamage(unit, enemy, 0).damage;
                             if (myDamage >= enemy.hp) {
-                                score += 150; // Huge bonus - we can kill the blocker!
+                                defenseScore += 150; // Huge bonus - we can kill the blocker!
                             } else {
-                                score += 50; // Still good to damage them
+                                defenseScore += 50; // Still good to damage them
                             }
                         }
                     }
                 } else if (distToCity <= 1) {
                     // Adjacent to blockaded city - move in to defend
-                    score += 120; // Very high priority to enter the city
+                    defenseScore += 120; // Very high priority to enter the city
                 } else if (distToCity <= 3) {
                     // Within range - approach to help
-                    score += 80; // High priority to approach blockaded city
+                    defenseScore += 80; // High priority to approach blockaded city
                 }
             }
             // Threatened but not blockaded
             else if (hasEnemyAdjacent) {
                 if (distToCity <= 1) {
-                    score += 100; // High priority - enemy is at the gates
+                    defenseScore += 100; // High priority - enemy is at the gates
                 } else if (distToCity <= 2) {
-                    score += 60;
+                    defenseScore += 60;
                 }
             }
             // General city defense (no immediate threat)
             else if (hasEnemyNearby && distToCity <= 2) {
-                score += 40; // Moderate priority for general defense
+                defenseScore += 40; // Moderate priority for general defense
             }
             else if (distToCity <= 1) {
-                score += 15; // Small bonus for staying near owned city
+                defenseScore += 15; // Small bonus for staying near owned city
             }
         }
+        score += defenseScore * profile.cityDefense;
 
         // 2. PRIORITY TARGET SYSTEM: Follow the priority list
         // Target is computed once per unit by the caller - it does not depend on the candidate tile
@@ -1474,30 +1580,32 @@ export class AISystem {
         if (priorityTargetFromCurrent) {
             const distToTarget = Utils.manhattanDistance(x, y, priorityTargetFromCurrent.x, priorityTargetFromCurrent.y);
             const distBefore = priorityTargetFromCurrent.distance;
+            let targetBonus = 0;
 
             // Big bonus for reaching the target
             if (distToTarget === 0) {
                 switch (priorityTargetFromCurrent.priority) {
-                    case 1: score += 300; break; // Neutral city - massive bonus
-                    case 2: score += 250; break; // Enemy empty city
-                    case 3: score += 200; break; // Ruin
-                    case 4: score += 150; break; // Enemy defended city
+                    case 1: targetBonus = 300; break; // Neutral city - massive bonus
+                    case 2: targetBonus = 250; break; // Enemy empty city
+                    case 3: targetBonus = 200; break; // Ruin
+                    case 4: targetBonus = 150; break; // Enemy defended city
                 }
             } else if (distToTarget < distBefore) {
                 // INCREASED bonuses for getting closer to priority target - higher than movement cost
                 switch (priorityTargetFromCurrent.priority) {
-                    case 1: score += 80; break;  // Neutral city - very high priority
-                    case 2: score += 70; break;  // Enemy empty city
-                    case 3: score += 60; break;  // Ruin
-                    case 4: score += 50; break;  // Enemy defended city
+                    case 1: targetBonus = 80; break;  // Neutral city - very high priority
+                    case 2: targetBonus = 70; break;  // Enemy empty city
+                    case 3: targetBonus = 60; break;  // Ruin
+                    case 4: targetBonus = 50; break;  // Enemy defended city
                 }
             }
+            score += targetBonus * this.targetWeight(priorityTargetFromCurrent.priority, profile);
         }
 
         // 3. RUIN EXPLORATION - any unit can now explore ruins
         const ruin = this.map.getRuin(x, y);
         if (ruin) {
-            score += 90; // High priority for ruins
+            score += 90 * profile.ruinHunting; // High priority for ruins
         }
 
         // 4. ENHANCED CITY CAPTURE: Different priorities for city types
@@ -1507,14 +1615,17 @@ export class AISystem {
 
             if (city.owner === null && defenders.length === 0) {
                 // NEUTRAL EMPTY - highest priority
-                score += 150;
+                score += 150 * profile.expansion;
             } else if (city.owner !== null && defenders.length === 0) {
                 // ENEMY EMPTY - high priority
-                score += 120;
+                score += 120 * profile.aggression;
             } else if (defenders.length > 0) {
-                // Defended city - always worth approaching since attacks are free (no retaliation)
-                // No penalty - attacking is always beneficial
-                score += 30;
+                // Defended city - the battle for it is fought until one side falls, so
+                // weigh the damage taken and the risk of losing the unit as evaluateAttackTarget does
+                score += 30 * profile.aggression;
+                const battle = this.estimateBattle(unit, city.x, city.y, false);
+                score -= (unit.hp - battle.hp.get(unit.id)) * 1.5;
+                score -= battle.deathChance.get(unit.id) * (unit.isHero ? 300 : 100);
             }
         }
 
@@ -1529,9 +1640,9 @@ export class AISystem {
             if (defenders.length === 0 && distToCity < distBefore) {
                 // Higher bonus for approaching neutral cities
                 if (targetCity.owner === null) {
-                    score += 50;
+                    score += 50 * profile.expansion;
                 } else {
-                    score += 40;
+                    score += 40 * profile.aggression;
                 }
             }
         }
@@ -1561,6 +1672,14 @@ export class AISystem {
             }
         }
 
+        // FLANKS: an enemy next to this tile that our other units already border
+        // takes extra damage from all of us (CombatSystem.getFlankers)
+        for (const enemy of this.getAdjacentEnemies(x, y, player)) {
+            const flankers = player.units.filter(u => u !== unit && u.hp > 0 && (u.x !== x || u.y !== y) &&
+                Utils.chebyshevDistance(u.x, u.y, enemy.x, enemy.y) === 1).length;
+            score += Math.min(flankers, MAX_FLANKERS) * 12 * profile.aggression;
+        }
+
         // 4. RANGED POSITIONING: Ranged units want line of sight to enemies
         if (isRangedUnit) {
             for (const otherUnit of this.map.units) {
@@ -1607,12 +1726,12 @@ export class AISystem {
                 if (enemyDist === 1) {
                     // Adjacent to enemy - check if we can win the fight
                     const terrainBonus = this.map.getDefenseBonus(x, y);
-                    const myDamage = CombatSystem.calculateDamage(unit, otherUnit, 0).damage; // Enemy terrain bonus handled elsewhere
-                    const enemyDamage = CombatSystem.calculateDamage(otherUnit, unit, terrainBonus).damage;
+                    const myDamage = CombatSystem.estimateDamage(unit, otherUnit, 0).damage; // Enemy terrain bonus handled elsewhere
+                    const enemyDamage = CombatSystem.estimateDamage(otherUnit, unit, terrainBonus).damage;
 
                     // If we'd lose the exchange, penalty
                     if (enemyDamage > myDamage && !unit.isHero) {
-                        score -= 30;
+                        score -= 30 / profile.aggression; // Aggressive personalities accept worse trades
                     } else {
                         score += 10; // We can win, good position
                     }
@@ -1653,16 +1772,16 @@ export class AISystem {
 
             // Strong bonus for moving closer to neutral city - higher than movement cost
             if (distAfter < distBefore) {
-                score += 35; // Base bonus for moving closer
+                score += 35 * profile.expansion; // Base bonus for moving closer
             }
             // Extra bonus for each tile closer
             const tilesCloser = distBefore - distAfter;
             if (tilesCloser >= 1) {
-                score += tilesCloser * 15; // +15 per tile
+                score += tilesCloser * 15 * profile.expansion; // +15 per tile
             }
             // Massive bonus for reaching the city
             if (distAfter === 0) {
-                score += 100;
+                score += 100 * profile.expansion;
             }
 
             // 9b. OPPORTUNITY TARGETS: Check for interesting things along the way
@@ -1678,7 +1797,7 @@ export class AISystem {
 
                 if (defenders.length === 0 && distToOtherFromNew < distToOtherFromOld && distToOtherFromNew <= 2) {
                     // We're getting closer to another capturable city
-                    score += 30; // Bonus for efficient path that captures multiple cities
+                    score += 30 * profile.expansion; // Bonus for efficient path that captures multiple cities
                 }
             }
 
@@ -1690,7 +1809,7 @@ export class AISystem {
 
                 if (distToRuinFromNew < distToRuinFromOld && distToRuinFromNew <= 3) {
                     // We're approaching a ruin - good side trip
-                    score += 25; // Moderate bonus for efficient path
+                    score += 25 * profile.ruinHunting; // Moderate bonus for efficient path
                 }
             }
 
@@ -1707,10 +1826,10 @@ export class AISystem {
 
                     if (defenders.length === 0) {
                         // Empty enemy city - very good to approach
-                        score += 40;
+                        score += 40 * profile.aggression;
                     } else {
                         // Defended city - some reconnaissance value
-                        score += 15;
+                        score += 15 * profile.aggression;
                     }
                 }
             }
@@ -1745,10 +1864,10 @@ export class AISystem {
                 const distAfter = Utils.manhattanDistance(x, y, nearestEnemyTarget.x, nearestEnemyTarget.y);
 
                 if (distAfter < distBefore) {
-                    score += 20;
+                    score += 20 * profile.aggression;
                 }
                 if (distBefore - distAfter >= 2) {
-                    score += 10;
+                    score += 10 * profile.aggression;
                 }
             }
         }
@@ -1826,6 +1945,38 @@ export class AISystem {
         return enemies;
     }
 
+    /**
+     * Spend pending hero level-ups
+     */
+    handleHeroUpgrades(player) {
+        player.units
+            .filter(u => u.isHero && u.hp > 0)
+            .forEach(hero => {
+                // Stop if an upgrade is refused (e.g. maxed out) - pendingUpgrades would never drop
+                while (hero.pendingUpgrades > 0) {
+                    if (!this.game.upgradeHero(hero, this.chooseHeroUpgrade(hero, player))) break;
+                }
+            });
+    }
+
+    /**
+     * Upgrade policy: Leadership when leading a stack, one Movement early for
+     * reach, Defense while hurt or in the late game, otherwise alternate Attack/Defense
+     * @returns {string} HERO_UPGRADES key
+     */
+    chooseHeroUpgrade(hero, player) {
+        const taken = (type) => hero.upgrades.filter(u => u === type).length;
+
+        const stackSize = this.map.getUnitsAt(hero.x, hero.y).filter(u => u.owner === player.id && u.hp > 0).length;
+        if (stackSize >= 3 && taken('LEADERSHIP') < 2) return 'LEADERSHIP';
+
+        if (taken('MOVEMENT') === 0 && this.currentPlan?.phase === 'EARLY') return 'MOVEMENT';
+
+        if (hero.hp < hero.maxHp * 0.5 || this.currentPlan?.phase === 'LATE') return 'DEFENSE';
+
+        return taken('ATTACK') <= taken('DEFENSE') ? 'ATTACK' : 'DEFENSE';
+    }
+
     /**
      * Handle hero-specific actions with care for survival
      */
@@ -1852,7 +2003,7 @@ export class AISystem {
                     if (dist === 1) {
                         // Would be adjacent to enemy - check if we could die
                         const terrainBonus = this.map.getDefenseBonus(t.x, t.y);
-                        const enemyDamage = CombatSystem.calculateDamage(unit, hero, terrainBonus).damage;
+                        const enemyDamage = CombatSystem.estimateDamage(unit, hero, terrainBonus).damage;
                         if (enemyDamage >= hero.hp) {
                             return false; // Too dangerous
                         }
@@ -1883,7 +2034,8 @@ export class AISystem {
                     let bestScore = -Infinity;
 
                     for (const enemy of adjacentEnemies) {
-                        const myDamage = CombatSystem.calculateDamage(hero, enemy, 0).damage;
+                        if (this.isSuicidalAttack(hero, enemy)) continue;
+                        const myDamage = CombatSystem.estimateDamage(hero, enemy, 0).damage;
                         let score = myDamage;
                         if (enemy.isHero) score += 100;
                         if (enemy.type === 'DRAGON') score += 50;
@@ -1917,7 +2069,7 @@ export class AISystem {
 
                     // Attack immediately after moving in
                     const adjacentEnemies = this.getAdjacentEnemies(blockadedCity.x, blockadedCity.y, player);
-                    if (adjacentEnemies.length > 0 && !hero.hasAttacked) {
+                    if (adjacentEnemies.length > 0 && !hero.hasAttacked && !this.isSuicidalAttack(hero, adjacentEnemies[0])) {
                         const enemyStack = this.map.getStack(adjacentEnemies[0].x, adjacentEnemies[0].y);
                         if (enemyStack) {
                             this.performTrackedAttack(hero, enemyStack, false);
@@ -1956,8 +2108,8 @@ export class AISystem {
 
                 for (const enemy of enemiesHere) {
                     // Calculate combat outcome
-                    const myDamage = CombatSystem.calculateDamage(hero, enemy, 0).damage;
-                    const enemyDamage = CombatSystem.calculateDamage(enemy, hero, this.map.getDefenseBonus(moveTile.x, moveTile.y)).damage;
+                    const myDamage = CombatSystem.estimateDamage(hero, enemy, 0).damage;
+                    const enemyDamage = CombatSystem.estimateDamage(enemy, hero, this.map.getDefenseBonus(moveTile.x, moveTile.y)).damage;
 
                     let oppScore = 0;
                     let safeToAttack = true;
@@ -2052,8 +2204,8 @@ export class AISystem {
             return;
         }
 
-        // Priority 3: Explore ruins (if safe)
-        const ruin = safeMoves.find(t => this.map.getRuin(t.x, t.y));
+        // Priority 3: Explore ruins or claim dropped artifacts (if safe)
+        const ruin = safeMoves.find(t => this.map.getRuin(t.x, t.y) || this.map.getItemsAt(t.x, t.y).length > 0);
         if (ruin) {
             await this.game.moveUnit(hero, ruin.x, ruin.y);
             await this.delay(300);
@@ -2159,11 +2311,31 @@ export class AISystem {
         return nearest;
     }
 
+    /**
+     * Deterministic pseudo-random value in [0, 1) for a decision. Hashed from the
+     * game seed, turn and key instead of drawing from the game RNG, so replays
+     * stay in sync and the worker and in-thread AI decide the same.
+     */
+    roll(key) {
+        return SeededRandom.hashString(`${this.game.seed}:${this.game.state.turnNumber}:${key}`) / 4294967296;
+    }
+
+    /**
+     * Spread a decision score by the player's difficulty noise
+     */
+    addNoise(score, player, key) {
+        const noise = player.aiSettings.noise;
+        if (!noise) return score;
+        return score + (this.roll(`${player.id}:${key}`) * 2 - 1) * noise * (Math.abs(score) + 50);
+    }
+
     /**
      * Utility: delay for async operations
-     * Uses 0ms when tab is hidden to avoid browser throttling
+     * Uses 0ms when tab is hidden to avoid browser throttling, none when headless
      */
     delay(ms) {
+        // Headless (Node) simulation - nobody is watching, don't wait
+        if (typeof document === 'undefined') return Promise.resolve();
         if (document.hidden) {
             // Use MessageChannel to bypass setTimeout throttling in background tabs
             return new Promise(resolve => {
@@ -1,4 +1,6 @@
-import { Utils, Events } from '../utils.js';
+import { Utils, Events, Random, SeededRandom } from '../utils.js';
+import { HERO_XP, UNIT_XP, RETALIATION_DAMAGE, FLANKING_BONUS, MAX_FLANKERS, MAX_BATTLE_ROUNDS, BATTLE_ESTIMATE } from '../constants.js';
+import { MoraleSystem } from './MoraleSystem.js';
 
 /**
  * Combat type advantages matrix (attacker vs defender)
@@ -16,10 +18,11 @@ const TYPE_ADVANTAGES = {
 
 export class CombatSystem {
     /**
-     * Calculate damage with randomization, critical hits, and type advantages
-     * @returns {Object} { damage: number, isCritical: boolean, typeMultiplier: number }
+     * Deterministic part of the damage formula shared by real and estimated damage
+     * @param {number} flankers - see getFlankers
+     * @returns {Object} { rawDamage: number, typeMultiplier: number, critChance: number }
      */
-    static calculateDamage(attacker, defender, terrainBonus = 0) {
+    static getBaseDamage(attacker, defender, terrainBonus = 0, flankers = 0) {
         const baseAttack = attacker.effectiveAttack;
         const baseDefense = defender.effectiveDefense + terrainBonus;
 
@@ -35,16 +38,29 @@ export class CombatSystem {
         const minBaseDamage = Math.floor(defender.maxHp * 0.15);
         rawDamage = Math.max(minBaseDamage, rawDamage);
 
-        // Randomization: 80% - 120% (variance without too much randomness)
-        const randomFactor = 0.8 + Math.random() * 0.4;
-        let damage = rawDamage * randomFactor;
+        // Flanking and the attacker's morale
+        rawDamage *= this.getFlankingMultiplier(flankers) * MoraleSystem.getDamageMultiplier(attacker);
 
         // Critical hits: 20% chance for double damage
         let critChance = 0.20;
         if (typeMultiplier > 1.2) critChance += 0.10; // +10% with advantage
         if (typeMultiplier < 0.9) critChance -= 0.10; // -10% with disadvantage
 
-        const isCritical = Math.random() < critChance;
+        return { rawDamage, typeMultiplier, critChance };
+    }
+
+    /**
+     * Calculate damage with randomization, critical hits, and type advantages
+     * @returns {Object} { damage: number, isCritical: boolean, typeMultiplier: number }
+     */
+    static calculateDamage(attacker, defender, terrainBonus = 0, flankers = 0) {
+        const { rawDamage, typeMultiplier, critChance } = this.getBaseDamage(attacker, defender, terrainBonus, flankers);
+
+        // Randomization: 80% - 120% (variance without too much randomness)
+        const randomFactor = 0.8 + Random.next() * 0.4;
+        let damage = rawDamage * randomFactor;
+
+        const isCritical = Random.next() < critChance;
         if (isCritical) {
             damage *= 2.0; // DOUBLE damage on crit
         }
@@ -60,6 +76,153 @@ export class CombatSystem {
         };
     }
 
+    /**
+     * Expected damage without rolling the RNG - for AI evaluation, so thinking
+     * about an attack never changes the outcome of the next real one
+     * @returns {Object} { damage: number, isCritical: false, typeMultiplier: number }
+     */
+    static estimateDamage(attacker, defender, terrainBonus = 0, flankers = 0) {
+        const { rawDamage, typeMultiplier, critChance } = this.getBaseDamage(attacker, defender, terrainBonus, flankers);
+
+        return {
+            damage: Math.floor(rawDamage * (1 + critChance)),
+            isCritical: false,
+            typeMultiplier,
+            rawDamage: Math.floor(rawDamage)
+        };
+    }
+
+    /**
+     * Possible outcomes of calculateDamage without rolling the RNG - the random
+     * factor is split into equally likely bands, each with and without a crit
+     * @param {number} flankers - see getFlankers
+     * @param {number} bands - number of random factor bands
+     * @returns {Array<{ damage: number, probability: number }>} sorted by damage
+     */
+    static getDamageOutcomes(attacker, defender, terrainBonus = 0, flankers = 0, bands = 5) {
+        const { rawDamage, critChance } = this.getBaseDamage(attacker, defender, terrainBonus, flankers);
+        const outcomes = new Map();
+        const add = (damage, probability) => outcomes.set(damage, (outcomes.get(damage) || 0) + probability);
+
+        for (let i = 0; i < bands; i++) {
+            // Middle of the band within the 80% - 120% random factor
+            const randomFactor = 0.8 + 0.4 * (i + 0.5) / bands;
+            add(Math.floor(rawDamage * randomFactor), (1 - critChance) / bands);
+            add(Math.floor(rawDamage * randomFactor * 2.0), critChance / bands);
+        }
+
+        return [...outcomes]
+            .map(([damage, probability]) => ({ damage, probability }))
+            .sort((a, b) => a.damage - b.damage);
+    }
+
+    /**
+     * What an attack on a stack can do, without rolling the RNG - for the
+     * forecast shown before the player commits to an attack. The damage and
+     * counter figures are for the first exchange, the win chance and losses
+     * for the whole battle (see estimateBattle)
+     * @param {Unit[]} attackers - the attacking group, attackers[0] strikes first
+     * @returns {Object|null} { defender, terrain, terrainBonus, typeMultiplier, flankers,
+     *   flankingMultiplier, moraleMultiplier, critChance, minDamage, maxDamage, expectedDamage, counter,
+     *   winChance, attackersLost, defendersLost, stackSize }
+     *   stackSize is the number of living defenders in the battle;
+     *   counter is { minDamage, maxDamage, expectedDamage } if the defender survives, or null
+     *   when it cannot strike back; attackersLost and defendersLost are expected unit losses
+     */
+    static getForecast(attackers, defenderStack, gameMap, isRanged = false) {
+        const attacker = attackers[0];
+        const defender = defenderStack.getCombatUnit();
+        if (!defender) return null;
+
+        const terrainBonus = gameMap.getDefenseBonus(defender.x, defender.y);
+        const flankers = this.getFlankers(attacker, defender, gameMap);
+        const { rawDamage, typeMultiplier, critChance } = this.getBaseDamage(attacker, defender, terrainBonus, flankers);
+
+        const defenders = defenderStack.units.filter(u => u.hp > 0);
+        const battle = this.estimateBattle(attackers, defenders, gameMap, { isRanged });
+        const expectedLosses = (units) => units.reduce((sum, u) => sum + (battle.deathChance.get(u.id) ?? 0), 0);
+
+        return {
+            defender,
+            terrain: gameMap.getTerrain(defender.x, defender.y),
+            terrainBonus,
+            typeMultiplier,
+            flankers,
+            flankingMultiplier: this.getFlankingMultiplier(flankers),
+            moraleMultiplier: MoraleSystem.getDamageMultiplier(attacker),
+            critChance,
+            minDamage: Math.floor(rawDamage * 0.8),
+            // 1.2 itself is never rolled
+            maxDamage: Math.ceil(rawDamage * 1.2 * 2.0) - 1,
+            expectedDamage: this.estimateDamage(attacker, defender, terrainBonus, flankers).damage,
+            counter: this.canRetaliate(defender, attacker) ? this.getRetaliationForecast(defender, attacker, gameMap) : null,
+            winChance: battle.winChance,
+            attackersLost: expectedLosses(attackers),
+            defendersLost: expectedLosses(defenders),
+            stackSize: defenders.length
+        };
+    }
+
+    /**
+     * Counter-damage range of a defender that survives the attack
+     */
+    static getRetaliationForecast(defender, attacker, gameMap) {
+        const terrainBonus = gameMap.getDefenseBonus(attacker.x, attacker.y);
+        const flankers = this.getFlankers(defender, attacker, gameMap);
+        const { rawDamage } = this.getBaseDamage(defender, attacker, terrainBonus, flankers);
+        return {
+            minDamage: Math.floor(Math.floor(rawDamage * 0.8) * RETALIATION_DAMAGE),
+            maxDamage: Math.floor((Math.ceil(rawDamage * 1.2 * 2.0) - 1) * RETALIATION_DAMAGE),
+            expectedDamage: this.estimateRetaliation(defender, attacker, terrainBonus, flankers)
+        };
+    }
+
+    /**
+     * A surviving defender strikes back if its type can retaliate and the
+     * attacker is within its own range - archers shooting from afar are safe
+     * from melee units
+     */
+    static canRetaliate(defender, attacker) {
+        return defender.canRetaliate && defender.hp > 0 &&
+            Utils.chebyshevDistance(defender.x, defender.y, attacker.x, attacker.y) <= defender.range;
+    }
+
+    /**
+     * Counter-damage - a normal hit scaled down by RETALIATION_DAMAGE
+     */
+    static calculateRetaliation(defender, attacker, terrainBonus = 0, flankers = 0) {
+        const result = this.calculateDamage(defender, attacker, terrainBonus, flankers);
+        return { ...result, damage: Math.floor(result.damage * RETALIATION_DAMAGE) };
+    }
+
+    /**
+     * Expected counter-damage without rolling the RNG - for AI evaluation
+     */
+    static estimateRetaliation(defender, attacker, terrainBonus = 0, flankers = 0) {
+        return Math.floor(this.estimateDamage(defender, attacker, terrainBonus, flankers).damage * RETALIATION_DAMAGE);
+    }
+
+    /**
+     * Number of the attacker's allies flanking the defender: tiles next to the
+     * defender, other than the attacker's own, holding a unit of the attacker's owner
+     */
+    static getFlankers(attacker, defender, gameMap) {
+        let flankers = 0;
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                const x = defender.x + dx;
+                const y = defender.y + dy;
+                if ((dx === 0 && dy === 0) || (x === attacker.x && y === attacker.y) || !gameMap.isValid(x, y)) continue;
+                if (gameMap.getUnitsAt(x, y).some(u => u.owner === attacker.owner && u.hp > 0)) flankers++;
+            }
+        }
+        return flankers;
+    }
+
+    static getFlankingMultiplier(flankers) {
+        return 1 + FLANKING_BONUS * Math.min(flankers, MAX_FLANKERS);
+    }
+
     static getTypeAdvantage(attackerType, defenderType) {
         if (!attackerType || !defenderType) return 1.0;
         const advantages = TYPE_ADVANTAGES[attackerType];
@@ -73,25 +236,176 @@ export class CombatSystem {
         return distance <= attacker.range && !attacker.hasAttacked;
     }
 
+    /**
+     * Battle between a group of attackers from one tile and the whole stack on
+     * the target tile, fought round by round: in every round each surviving
+     * attacker in turn strikes the stack's current combat unit (which may strike
+     * back, see performAttack), until one side is eliminated. A ranged volley
+     * is a single round - defenders out of reach cannot fight back
+     * @returns {Object} { rounds, attackersLost, defendersLost, cityCaptured }
+     *   rounds holds the performAttack results in order
+     */
+    static resolveBattle(attackers, defenderStack, gameMap, isRanged = false) {
+        const rounds = [];
+        for (let round = 0; round < (isRanged ? 1 : MAX_BATTLE_ROUNDS); round++) {
+            const living = attackers.filter(u => u.hp > 0);
+            if (living.length === 0 || !defenderStack.getCombatUnit()) break;
+            for (const attacker of living) {
+                if (attacker.hp <= 0) continue;
+                const results = this.performAttack(attacker, defenderStack, gameMap);
+                if (!results) break; // stack destroyed
+                rounds.push(results);
+            }
+        }
+
+        const battle = {
+            rounds,
+            attackersLost: rounds.filter(r => r.attacker.died).map(r => r.attacker.unit),
+            defendersLost: rounds.filter(r => r.defender.died).map(r => r.defender.unit),
+            cityCaptured: rounds.at(-1)?.cityCaptured ?? null
+        };
+        if (rounds.length > 0) Events.emit('battle:resolved', battle);
+        return battle;
+    }
+
+    /**
+     * Likely outcome of resolveBattle without rolling the game RNG or touching
+     * the units - for the AI, tactical search and the forecast. The battle is
+     * fought BATTLE_ESTIMATE.SAMPLES times on copies of the units' hp, each blow
+     * drawn from getDamageOutcomes by a generator with a fixed seed, so the same
+     * position always gets the same estimate
+     * @param {Unit[]} attackers - fighting from the first one's tile, in strike order
+     * @param {Unit[]} defenders - the units on the target tile, in stack order
+     * @param {Object} [options]
+     * @param {boolean} [options.isRanged] - a single volley from afar
+     * @param {Map} [options.hp] - unit id -> hp to fight with instead of the unit's own
+     * @param {{x: number, y: number}} [options.at] - tile the defenders hold, if not their own
+     * @returns {Object} { winChance, hp, deathChance, won, held }
+     *   winChance is the share of battles that wipe out the defenders; hp (expected hp
+     *   left) and deathChance are maps of unit id for both sides; won and held map
+     *   unit ids to the expected hp left in the battles the attackers won and in the
+     *   others (null when there were none)
+     */
+    static estimateBattle(attackers, defenders, gameMap, { isRanged = false, hp = null, at = null } = {}) {
+        const startHp = (unit) => hp?.get(unit.id) ?? unit.hp;
+        attackers = attackers.filter(u => startHp(u) > 0);
+        defenders = defenders.filter(u => startHp(u) > 0);
+        const units = [...attackers, ...defenders];
+
+        // Melee is fought next to the target - a charge steps up first
+        const from = attackers[0] ?? at ?? defenders[0];
+        const target = at ?? defenders[0] ?? from;
+        const distance = isRanged ? Math.max(2, Utils.chebyshevDistance(from.x, from.y, target.x, target.y)) : 1;
+
+        // Damage outcomes per attacker and defender pair - a counter is a hit scaled by RETALIATION_DAMAGE
+        const pairs = new Map();
+        const getPair = (attacker, defender) => {
+            const key = `${attacker.id}>${defender.id}`;
+            if (!pairs.has(key)) {
+                const hits = this.getDamageOutcomes(attacker, defender, gameMap.getDefenseBonus(target.x, target.y),
+                    this.getFlankers({ owner: attacker.owner, x: from.x, y: from.y }, target, gameMap), BATTLE_ESTIMATE.DAMAGE_BANDS);
+                const counters = defender.canRetaliate && distance <= defender.range
+                    ? this.getDamageOutcomes(defender, attacker, gameMap.getDefenseBonus(from.x, from.y),
+                        this.getFlankers({ owner: defender.owner, x: target.x, y: target.y }, from, gameMap), BATTLE_ESTIMATE.DAMAGE_BANDS)
+                        .map(o => ({ damage: Math.floor(o.damage * RETALIATION_DAMAGE), probability: o.probability }))
+                    : null;
+                pairs.set(key, { hits, counters });
+            }
+            return pairs.get(key);
+        };
+
+        const rng = new SeededRandom(0);
+        const draw = (outcomes) => {
+            let roll = rng.next();
+            for (const outcome of outcomes) {
+                roll -= outcome.probability;
+                if (roll < 0) return outcome.damage;
+            }
+            return outcomes.at(-1).damage;
+        };
+
+        const totals = new Map(units.map(u => [u.id, { hp: 0, deaths: 0, won: 0, held: 0 }]));
+        let wins = 0;
+        for (let sample = 0; sample < BATTLE_ESTIMATE.SAMPLES; sample++) {
+            const left = new Map(units.map(u => [u.id, startHp(u)]));
+            // Same pick as Stack.getCombatUnit
+            const combatUnit = () => {
+                let best = null;
+                let bestScore = -Infinity;
+                for (const unit of defenders) {
+                    const unitHp = left.get(unit.id);
+                    if (unitHp <= 0) continue;
+                    const score = unit.effectiveAttack + unit.effectiveDefense + unitHp;
+                    if (score > bestScore) {
+                        bestScore = score;
+                        best = unit;
+                    }
+                }
+                return best;
+            };
+
+            for (let round = 0; round < (isRanged ? 1 : MAX_BATTLE_ROUNDS); round++) {
+                if (!attackers.some(u => left.get(u.id) > 0) || !combatUnit()) break;
+                for (const attacker of attackers) {
+                    if (left.get(attacker.id) <= 0) continue;
+                    const defender = combatUnit();
+                    if (!defender) break;
+                    const { hits, counters } = getPair(attacker, defender);
+                    const defenderHp = left.get(defender.id) - draw(hits);
+                    left.set(defender.id, defenderHp);
+                    if (defenderHp > 0 && counters) left.set(attacker.id, left.get(attacker.id) - draw(counters));
+                }
+            }
+
+            const won = !combatUnit();
+            if (won) wins++;
+            for (const unit of units) {
+                const total = totals.get(unit.id);
+                const unitHp = Math.max(0, left.get(unit.id));
+                total.hp += unitHp;
+                if (unitHp <= 0) total.deaths++;
+                total[won ? 'won' : 'held'] += unitHp;
+            }
+        }
+
+        const held = BATTLE_ESTIMATE.SAMPLES - wins;
+        const average = (key, samples) => samples > 0
+            ? new Map([...totals].map(([id, total]) => [id, total[key] / samples]))
+            : null;
+        return {
+            winChance: wins / BATTLE_ESTIMATE.SAMPLES,
+            hp: average('hp', BATTLE_ESTIMATE.SAMPLES),
+            deathChance: average('deaths', BATTLE_ESTIMATE.SAMPLES),
+            won: average('won', wins),
+            held: average('held', held)
+        };
+    }
+
     static performAttack(attacker, defenderStack, gameMap) {
         const defender = defenderStack.getCombatUnit();
         if (!defender) return null;
 
         const terrainBonus = gameMap.getDefenseBonus(defender.x, defender.y);
-        const attackResult = this.calculateDamage(attacker, defender, terrainBonus);
+        const attackResult = this.calculateDamage(attacker, defender, terrainBonus, this.getFlankers(attacker, defender, gameMap));
 
         const results = {
             attacker: {
                 unit: attacker,
                 damageDealt: attackResult.damage,
                 damageInfo: attackResult,
-                died: false
+                died: false,
+                xpGained: 0,
+                levelsGained: 0,
+                rankedUp: false
             },
             defender: {
                 unit: defender,
                 damageDealt: 0,
                 damageInfo: null,
-                died: false
+                died: false,
+                xpGained: 0,
+                levelsGained: 0,
+                rankedUp: false
             },
             cityCaptured: null
         };
@@ -104,6 +418,38 @@ export class CombatSystem {
             gameMap.removeUnit(defender);
         }
 
+        // A surviving defender strikes back
+        if (!results.defender.died && this.canRetaliate(defender, attacker)) {
+            const counterResult = this.calculateRetaliation(defender, attacker,
+                gameMap.getDefenseBonus(attacker.x, attacker.y), this.getFlankers(defender, attacker, gameMap));
+            results.defender.damageDealt = counterResult.damage;
+            results.defender.damageInfo = counterResult;
+            results.attacker.died = attacker.takeDamage(counterResult.damage);
+            if (results.attacker.died) {
+                gameMap.removeUnit(attacker);
+            }
+        }
+
+        // Heroes earn XP for winning a fight
+        if (results.defender.died && attacker.isHero) {
+            results.attacker.xpGained = HERO_XP.COMBAT_WIN;
+            results.attacker.levelsGained = attacker.gainXp(HERO_XP.COMBAT_WIN);
+        }
+        if (results.attacker.died && defender.isHero) {
+            results.defender.xpGained = HERO_XP.COMBAT_WIN;
+            results.defender.levelsGained = defender.gainXp(HERO_XP.COMBAT_WIN);
+        }
+
+        // Regular units gain veterancy from every fight they survive
+        if (!attacker.isHero && !results.attacker.died) {
+            results.attacker.xpGained = results.defender.died ? UNIT_XP.KILL : UNIT_XP.ATTACK;
+            results.attacker.rankedUp = attacker.gainCombatXp(results.attacker.xpGained);
+        }
+        if (!results.defender.died && !defender.isHero) {
+            results.defender.xpGained = results.attacker.died ? UNIT_XP.KILL : UNIT_XP.DEFEND;
+            results.defender.rankedUp = defender.gainCombatXp(results.defender.xpGained);
+        }
+
         // Mark attacker as having attacked (even if they died from counter)
         attacker.hasMoved = true;
         attacker.hasAttacked = true;
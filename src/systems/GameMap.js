@@ -1,5 +1,5 @@
-import { CONFIG, TERRAIN, TERRAIN_DEFENSE, UNIT_DEFINITIONS, RUIN_REWARD_TYPES } from '../constants.js';
-import { Utils, Events } from '../utils.js';
+import { CONFIG, TERRAIN, TERRAIN_DEFENSE, FEATURES, ROAD_MOVE_COST, UNIT_DEFINITIONS, RUIN_REWARD_TYPES } from '../constants.js';
+import { Utils, Events, Random } from '../utils.js';
 import { City } from '../models/City.js';
 import { Stack } from '../models/Stack.js';
 
@@ -8,9 +8,11 @@ export class GameMap {
         this.width = width;
         this.height = height;
         this.terrain = [];
+        this.features = []; // Roads and bridges per tile (FEATURES), laid over the terrain
         this.cities = [];
         this.ruins = [];
         this.units = [];
+        this.items = []; // Artifacts lying on the ground - { x, y, type }
         this.decorations = []; // Visual-only decorative elements
 
         // Spatial index for O(1) lookups (instead of O(n) find/filter)
@@ -25,8 +27,10 @@ export class GameMap {
         // Initialize terrain
         for (let y = 0; y < this.height; y++) {
             this.terrain[y] = [];
+            this.features[y] = [];
             for (let x = 0; x < this.width; x++) {
                 this.terrain[y][x] = TERRAIN.PLAINS;
+                this.features[y][x] = FEATURES.NONE;
             }
         }
 
@@ -109,7 +113,7 @@ export class GameMap {
                 this.terrain[y][x] = type;
                 placed++;
                 this.getNeighbors(x, y).forEach(n => {
-                    if (Math.random() < 0.5 && placed < target && this.terrain[n.y][n.x] === TERRAIN.PLAINS) {
+                    if (Random.next() < 0.5 && placed < target && this.terrain[n.y][n.x] === TERRAIN.PLAINS) {
                         this.terrain[n.y][n.x] = type;
                         placed++;
                     }
@@ -132,14 +136,28 @@ export class GameMap {
         return this.isValid(x, y) ? this.terrain[y][x] : null;
     }
 
+    getFeature(x, y) {
+        return this.isValid(x, y) ? this.features[y][x] : FEATURES.NONE;
+    }
+
     getDefenseBonus(x, y) {
         return TERRAIN_DEFENSE[this.getTerrain(x, y)] || 0;
     }
 
-    getMovementCost(x, y, unitType) {
+    /**
+     * Movement points to enter (x, y). A step from a road tile onto another
+     * one costs ROAD_MOVE_COST on any terrain, and bridges carry land units over water
+     * @param {number} [fromX] - tile the unit steps from; without it roads don't count
+     * @param {number} [fromY]
+     */
+    getMovementCost(x, y, unitType, fromX = null, fromY = null) {
         const terrain = this.getTerrain(x, y);
+        const feature = this.getFeature(x, y);
         const def = UNIT_DEFINITIONS[unitType];
-        if (!def.canEnter.includes(terrain)) return Infinity;
+        if (!def.canEnter.includes(terrain) && feature !== FEATURES.BRIDGE) return Infinity;
+        if (feature !== FEATURES.NONE && fromX !== null && this.getFeature(fromX, fromY) !== FEATURES.NONE) {
+            return ROAD_MOVE_COST;
+        }
         return terrain === TERRAIN.MOUNTAINS ? 2 : 1;
     }
 
@@ -162,6 +180,14 @@ export class GameMap {
         return this.unitGrid[y][x].filter(u => u.hp > 0);
     }
 
+    /**
+     * Enemy units a player last saw but can no longer see - the full map hides
+     * nothing, only fog-of-war views (VisionSystem.getMapView) remember units
+     */
+    get rememberedUnits() {
+        return [];
+    }
+
     getStack(x, y) {
         const units = this.getUnitsAt(x, y);
         return units.length > 0 ? Stack.fromUnits(units, x, y) : null;
@@ -227,8 +253,11 @@ export class GameMap {
         Events.emit('unit:removed', { unit });
     }
 
-    addRuin(x, y) {
-        const ruin = { x, y, explored: false };
+    /**
+     * @param {string} [reward] - RUIN_REWARD_TYPES value decided at generation; rolled on exploration if omitted
+     */
+    addRuin(x, y, reward = null) {
+        const ruin = { x, y, explored: false, reward };
         this.ruins.push(ruin);
         // Add to spatial grid
         if (this.isValid(x, y)) {
@@ -245,6 +274,28 @@ export class GameMap {
         return types[Utils.randomInt(0, types.length - 1)];
     }
 
+    /**
+     * Drop an artifact on a tile (a hero walking there picks it up)
+     */
+    addItem(x, y, type) {
+        this.items.push({ x, y, type });
+        Events.emit('item:dropped', { x, y, type });
+    }
+
+    getItemsAt(x, y) {
+        return this.items.filter(i => i.x === x && i.y === y);
+    }
+
+    /**
+     * Remove and return all artifacts on a tile
+     * @returns {string[]} artifact types
+     */
+    takeItemsAt(x, y) {
+        const taken = this.getItemsAt(x, y);
+        this.items = this.items.filter(i => !taken.includes(i));
+        return taken.map(i => i.type);
+    }
+
     /**
      * Find adjacent free tiles for spawning unit/city
      * @param {number} x - center x
@@ -301,7 +352,7 @@ export class GameMap {
         const ruin = this.ruinGrid[y][x]; // O(1) lookup
         if (!ruin) return null;
 
-        const rewardType = this.getRandomRuinReward();
+        const rewardType = ruin.reward || this.getRandomRuinReward();
         Events.emit('ruin:explored', { x, y, rewardType });
 
         // Remove the ruin permanently
@@ -379,9 +430,12 @@ export class GameMap {
             width: this.width,
             height: this.height,
             terrain: this.terrain.map(row => [...row]),
+            features: this.features.map(row => [...row]),
             cities: this.cities.map(c => c.serialize()),
             ruins: this.ruins.map(r => ({ ...r })),
-            units: this.units.map(u => u.serialize())
+            units: this.units.map(u => u.serialize()),
+            items: this.items.map(i => ({ ...i })),
+            decorations: this.decorations.map(d => ({ ...d }))
         };
     }
 }
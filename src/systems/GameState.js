@@ -29,7 +29,10 @@ export class GameState {
             [GameState.PHASES.GAME_OVER]: []
         };
 
-        if (!validTransitions[this.phase].includes(to)) {
+        // The game can end from any phase (a capture or kill mid-action)
+        const isGameEnding = to === GameState.PHASES.GAME_OVER && this.phase !== to;
+
+        if (!isGameEnding && !validTransitions[this.phase].includes(to)) {
             console.warn(`Invalid transition: ${this.phase} -> ${to}`);
             return false;
         }
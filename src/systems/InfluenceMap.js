@@ -37,8 +37,8 @@ export class InfluenceMap {
         this.enemyInfluence.fill(0);
         this.threatLevel.fill(0);
 
-        // Add influence from units
-        for (const unit of this.map.units) {
+        // Add influence from units - under fog of war also from enemies last seen elsewhere
+        for (const unit of [...this.map.units, ...this.map.rememberedUnits]) {
             if (unit.hp <= 0) continue;
             const isFriendly = unit.owner === playerId;
             const influence = isFriendly
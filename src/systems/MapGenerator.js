@@ -1,5 +1,5 @@
-import { CONFIG, TERRAIN, CITY_INCOME, RUIN_REWARD_TYPES } from '../constants.js';
-import { Utils } from '../utils.js';
+import { CONFIG, TERRAIN, FEATURES, CITY_INCOME, RUIN_REWARD_TYPES } from '../constants.js';
+import { Utils, Random } from '../utils.js';
 import { City } from '../models/City.js';
 import { Unit } from '../models/Unit.js';
 
@@ -38,11 +38,11 @@ export class MapGenerator {
                 const waterChance = isEdge ? 0.4 : 0.1;
                 const mountainChance = isEdge ? 0.1 : 0.15;
 
-                if (Math.random() < waterChance) {
+                if (Random.next() < waterChance) {
                     this.map.terrain[y][x] = TERRAIN.WATER;
-                } else if (Math.random() < mountainChance) {
+                } else if (Random.next() < mountainChance) {
                     this.map.terrain[y][x] = TERRAIN.MOUNTAINS;
-                } else if (Math.random() < 0.3) {
+                } else if (Random.next() < 0.3) {
                     this.map.terrain[y][x] = TERRAIN.FOREST;
                 } else {
                     this.map.terrain[y][x] = TERRAIN.PLAINS;
@@ -375,7 +375,7 @@ export class MapGenerator {
      */
     weightedRandom(items, weights) {
         const total = weights.reduce((a, b) => a + b, 0);
-        let random = Math.random() * total;
+        let random = Random.next() * total;
         for (let i = 0; i < items.length; i++) {
             random -= weights[i];
             if (random <= 0) return items[i];
@@ -405,10 +405,10 @@ export class MapGenerator {
     }
 
     /**
-     * Find key paths between important locations
+     * Find key paths between important locations, and lay the roads between cities
      */
     findKeyPaths() {
-        const paths = [];
+        const paths = this.layRoads();
         const corners = [
             { x: 1, y: 1 },
             { x: this.map.width - 2, y: this.map.height - 2 },
@@ -444,6 +444,90 @@ export class MapGenerator {
         return paths;
     }
 
+    /**
+     * Link every city to the road network: one by one, the city closest to a
+     * city already on it gets a road there (a spanning tree by distance).
+     * Roads on water tiles are bridges
+     * @returns {{x: number, y: number}[][]} the roads, each from city to city
+     */
+    layRoads() {
+        const remaining = [...this.map.cities];
+        const linked = remaining.splice(0, 1);
+        const roads = [];
+
+        while (remaining.length > 0) {
+            let best = null;
+            for (const city of remaining) {
+                for (const hub of linked) {
+                    const distance = Utils.manhattanDistance(city.x, city.y, hub.x, hub.y);
+                    if (!best || distance < best.distance) best = { city, hub, distance };
+                }
+            }
+            remaining.splice(remaining.indexOf(best.city), 1);
+            linked.push(best.city);
+
+            const road = this.findRoadPath(best.hub.x, best.hub.y, best.city.x, best.city.y);
+            road.forEach(({ x, y }) => {
+                this.map.features[y][x] = this.map.getTerrain(x, y) === TERRAIN.WATER ? FEATURES.BRIDGE : FEATURES.ROAD;
+            });
+            if (road.length > 0) roads.push(road);
+        }
+        return roads;
+    }
+
+    /**
+     * Cheapest route to build a road along (A*): it follows existing roads
+     * where it can, avoids forests and mountains and bridges water only where
+     * going around is longer
+     * @returns {{x: number, y: number}[]} tiles from start to end, both included
+     */
+    findRoadPath(startX, startY, endX, endY) {
+        const BUILD_COST = { [TERRAIN.PLAINS]: 1, [TERRAIN.FOREST]: 2, [TERRAIN.MOUNTAINS]: 3, [TERRAIN.WATER]: 3 };
+        const EXISTING_ROAD_COST = 0.5;
+        const index = (x, y) => y * this.map.width + x;
+        const estimate = (x, y) => (Math.abs(endX - x) + Math.abs(endY - y)) * EXISTING_ROAD_COST;
+
+        const costs = new Map([[index(startX, startY), 0]]);
+        const cameFrom = new Map();
+        const open = [{ x: startX, y: startY, cost: 0, score: estimate(startX, startY) }];
+
+        while (open.length > 0) {
+            let best = 0;
+            for (let i = 1; i < open.length; i++) {
+                if (open[i].score < open[best].score) best = i;
+            }
+            const { x, y, cost } = open.splice(best, 1)[0];
+            if (costs.get(index(x, y)) < cost) continue;
+
+            if (x === endX && y === endY) {
+                const path = [{ x, y }];
+                for (let key = index(x, y); cameFrom.has(key); key = cameFrom.get(key)) {
+                    const from = cameFrom.get(key);
+                    path.unshift({ x: from % this.map.width, y: Math.floor(from / this.map.width) });
+                }
+                return path;
+            }
+
+            for (const [dx, dy] of [[0, -1], [0, 1], [-1, 0], [1, 0]]) {
+                const nx = x + dx;
+                const ny = y + dy;
+                if (!this.map.isValid(nx, ny)) continue;
+
+                const step = this.map.getFeature(nx, ny) !== FEATURES.NONE
+                    ? EXISTING_ROAD_COST
+                    : BUILD_COST[this.map.getTerrain(nx, ny)];
+                const key = index(nx, ny);
+                const total = cost + step;
+                if (costs.has(key) && costs.get(key) <= total) continue;
+                costs.set(key, total);
+                cameFrom.set(key, index(x, y));
+                open.push({ x: nx, y: ny, cost: total, score: total + estimate(nx, ny) });
+            }
+        }
+
+        return [];
+    }
+
     /**
      * Simple pathfinding using BFS
      */
@@ -546,10 +630,11 @@ export class MapGenerator {
      * Generate random ruin reward
      */
     generateRuinReward() {
-        const rand = Math.random();
-        if (rand < 0.35) return RUIN_REWARD_TYPES.GOLD_50;
-        if (rand < 0.60) return RUIN_REWARD_TYPES.GOLD_100;
-        if (rand < 0.85) return RUIN_REWARD_TYPES.RANDOM_UNIT;
+        const rand = Random.next();
+        if (rand < 0.30) return RUIN_REWARD_TYPES.GOLD_50;
+        if (rand < 0.50) return RUIN_REWARD_TYPES.GOLD_100;
+        if (rand < 0.70) return RUIN_REWARD_TYPES.RANDOM_UNIT;
+        if (rand < 0.85) return RUIN_REWARD_TYPES.ARTIFACT;
         return RUIN_REWARD_TYPES.NEW_CITY;
     }
 
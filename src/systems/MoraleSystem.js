@@ -0,0 +1,98 @@
+import { Utils, Events, Random } from '../utils.js';
+import { MORALE } from '../constants.js';
+
+/**
+ * Unit morale: it falls when nearby comrades die or the army's hero falls,
+ * recovers near own cities and heroes, and a unit at rock bottom may rout.
+ * Heroes are fearless - their morale never changes
+ */
+export class MoraleSystem {
+    /**
+     * Multiplier for the damage a unit deals
+     */
+    static getDamageMultiplier(unit) {
+        if (unit.morale <= MORALE.LOW) return MORALE.LOW_DAMAGE;
+        if (unit.morale >= MORALE.HIGH) return MORALE.HIGH_DAMAGE;
+        return 1;
+    }
+
+    static adjust(unit, amount) {
+        if (unit.isHero || unit.hp <= 0) return;
+        unit.morale = Utils.clamp(unit.morale + amount, 0, MORALE.MAX);
+    }
+
+    /**
+     * A unit died: its comrades nearby lose heart - the whole army if it was the hero
+     * @param {Unit[]} army - the owner's units
+     */
+    static onUnitDied(unit, army) {
+        for (const comrade of army) {
+            if (comrade === unit) continue;
+            if (Utils.chebyshevDistance(comrade.x, comrade.y, unit.x, unit.y) <= MORALE.RADIUS) {
+                this.adjust(comrade, MORALE.ALLY_DIED);
+            }
+            if (unit.isHero) this.adjust(comrade, MORALE.HERO_FELL);
+        }
+    }
+
+    /**
+     * End of the player's turn: units near an own city or a living hero regain morale
+     */
+    static rally(player) {
+        const heroes = player.units.filter(u => u.isHero && u.hp > 0);
+        for (const unit of player.units) {
+            const isNear = (x, y) => Utils.chebyshevDistance(unit.x, unit.y, x, y) <= MORALE.RADIUS;
+            if (player.cities.some(city => isNear(city.x, city.y))) this.adjust(unit, MORALE.NEAR_CITY);
+            if (heroes.some(hero => hero !== unit && isNear(hero.x, hero.y))) this.adjust(unit, MORALE.NEAR_HERO);
+        }
+    }
+
+    /**
+     * Start of the player's turn: shaken units with an enemy close by may rout -
+     * they fall back one tile away from the enemy and lose their turn.
+     * Garrisons of own cities hold their walls
+     * @returns {Unit[]} the routed units
+     */
+    static checkRouts(player, gameMap) {
+        const enemies = gameMap.units.filter(u => u.owner !== player.id && u.hp > 0);
+        const enemyDistance = (x, y) => Math.min(...enemies.map(e => Utils.chebyshevDistance(x, y, e.x, e.y)));
+        const routed = [];
+
+        for (const unit of player.units) {
+            if (unit.isHero || unit.hp <= 0 || unit.morale > MORALE.ROUT) continue;
+            if (gameMap.getCity(unit.x, unit.y)?.owner === player.id) continue;
+            if (enemyDistance(unit.x, unit.y) > MORALE.RADIUS) continue;
+            if (Random.next() >= MORALE.ROUT_CHANCE) continue;
+
+            const retreat = this.findRetreat(unit, gameMap, enemyDistance);
+            if (retreat) gameMap.moveUnit(unit, retreat.x, retreat.y);
+            unit.hasMoved = true;
+            unit.hasAttacked = true;
+            routed.push(unit);
+            Events.emit('unit:routed', { unit, retreat });
+        }
+        return routed;
+    }
+
+    /**
+     * Free adjacent tile farthest from the enemy, or null if none gets the unit further away.
+     * Routing units avoid cities and ruins - they run, they don't conquer
+     */
+    static findRetreat(unit, gameMap, enemyDistance) {
+        let best = null;
+        let bestDistance = enemyDistance(unit.x, unit.y);
+        for (const [dx, dy] of [[0, 1], [0, -1], [1, 0], [-1, 0]]) {
+            const x = unit.x + dx;
+            const y = unit.y + dy;
+            if (!gameMap.isValid(x, y) || gameMap.getMovementCost(x, y, unit.type) === Infinity) continue;
+            if (gameMap.getUnitsAt(x, y).length > 0 || gameMap.getCity(x, y) || gameMap.getRuin(x, y)) continue;
+
+            const distance = enemyDistance(x, y);
+            if (distance > bestDistance) {
+                best = { x, y };
+                bestDistance = distance;
+            }
+        }
+        return best;
+    }
+}
@@ -1,5 +1,18 @@
 import { Utils } from '../utils.js';
-
+import { CONFIG, ZOC_EXIT_COST, ROAD_MOVE_COST } from '../constants.js';
+
+/**
+ * Movement rules and pathfinding.
+ *
+ * Zone of control (ZOC): the tiles next to an enemy stack (4 directions).
+ * - Entering an enemy's zone ends the move - the unit may stop there, but
+ *   not walk on through it
+ * - Leaving the zone the unit starts its move in costs ZOC_EXIT_COST extra
+ *   movement points, on top of the terrain cost of the first step
+ * - Units with ignoresZOC in UNIT_DEFINITIONS (Cavalry, Dragon) skip both rules
+ * Friendly units don't exert a zone on their own side, and an enemy stack's
+ * tile itself is never entered - moving onto it is a melee attack.
+ */
 export class MovementSystem {
     /**
      * Check if position is adjacent to an enemy unit (Zone of Control)
@@ -34,54 +47,50 @@ export class MovementSystem {
         return enemies;
     }
 
+    /**
+     * Tiles the unit can move to (or attack from where it stands) this turn,
+     * each with the cheapest movement cost and the path there.
+     * @returns {Object[]} { x, y, cost, movesLeft, path, isEnemy, isMerge?, isZOC? } -
+     *   path lists the tiles stepped on, without the start tile and ending with this one
+     */
     static getReachableTiles(unit, gameMap) {
+        // Cheapest known cost per tile - a tile is expanded again when a
+        // cheaper path to it turns up (mountains cost more, roads less)
         const visited = new Map();
-        const queue = [{ x: unit.x, y: unit.y, cost: 0 }];
+        const queue = [{ x: unit.x, y: unit.y, cost: 0, path: [] }];
         visited.set(`${unit.x},${unit.y}`, 0);
 
-        const result = [];
-
-        // Check if starting position is in Zone of Control
-        const startsInZOC = this.isInZoneOfControl(unit.x, unit.y, unit, gameMap);
+        const result = new Map();
 
-        // Pre-compute ZOC for all tiles that could be reached (bounded exploration)
-        const maxRange = unit.effectiveMovement;
+        // Zones of control (see the class comment) - leaving the zone the unit
+        // starts in costs extra, entering one ends the move
+        const obeysZOC = !unit.ignoresZOC;
+        const startsInZOC = obeysZOC && this.isInZoneOfControl(unit.x, unit.y, unit, gameMap);
         const zocCache = new Map();
 
         const directions = [[0, 1], [0, -1], [1, 0], [-1, 0]];
 
         while (queue.length > 0) {
             const current = queue.shift();
+            // A cheaper path to this tile was found after it was queued
+            if (visited.get(`${current.x},${current.y}`) < current.cost) continue;
 
             for (const [dx, dy] of directions) {
                 const nx = current.x + dx;
                 const ny = current.y + dy;
                 const key = `${nx},${ny}`;
 
-                if (!gameMap.isValid(nx, ny) || visited.has(key)) continue;
+                if (!gameMap.isValid(nx, ny)) continue;
 
-                const cost = gameMap.getMovementCost(nx, ny, unit.type);
+                let cost = gameMap.getMovementCost(nx, ny, unit.type, current.x, current.y);
                 if (cost === Infinity) continue;
-
-                // Zone of Control logic:
-                // If starting in ZOC, can only move to adjacent tiles (cost 1)
-                // Cannot move through or past enemy units
-                if (startsInZOC) {
-                    // Can only move 1 tile when in ZOC
-                    if (current.cost >= 1) continue;
-                } else {
-                    // Check if entering ZOC - compute once and cache
-                    if (!zocCache.has(key)) {
-                        zocCache.set(key, this.isInZoneOfControl(nx, ny, unit, gameMap));
-                    }
-                    const enteringZOC = zocCache.get(key);
-                    if (enteringZOC && current.cost >= unit.effectiveMovement - 1) {
-                        // Can move into ZOC only if we have exactly 1 movement left
-                    }
-                }
+                if (startsInZOC && current.path.length === 0) cost += ZOC_EXIT_COST;
 
                 const totalCost = current.cost + cost;
                 if (totalCost > unit.effectiveMovement) continue;
+                if (visited.has(key) && visited.get(key) <= totalCost) continue;
+                const path = [...current.path, { x: nx, y: ny }];
+                const movesLeft = unit.effectiveMovement - totalCost;
 
                 // Check if trying to move past an enemy (cannot move through ZOC tiles)
                 const targetStack = gameMap.getStack(nx, ny);
@@ -90,35 +99,121 @@ export class MovementSystem {
                     const distToEnemy = Utils.chebyshevDistance(unit.x, unit.y, nx, ny);
                     if (distToEnemy <= unit.range) {
                         // Enemy is attackable - show as attack target
-                        result.push({ x: nx, y: ny, cost: totalCost, isEnemy: true });
+                        visited.set(key, totalCost);
+                        result.set(key, { x: nx, y: ny, cost: totalCost, movesLeft, path, isEnemy: true });
                     }
                     // Cannot move past enemy tiles regardless
                     continue;
                 }
 
-                // Check if trying to stop on a friendly unit (1 unit per tile limit)
-                // Units can pass through friendly tiles but cannot stop there
-                if (targetStack && targetStack.owner === unit.owner) {
-                    // Can pass through but not stop - don't add to result as a valid stop
-                    // Still need to continue BFS for paths through this tile
-                    visited.set(key, totalCost);
-                    queue.push({ x: nx, y: ny, cost: totalCost });
-                    continue;
+                if (obeysZOC && !zocCache.has(key)) {
+                    zocCache.set(key, this.isInZoneOfControl(nx, ny, unit, gameMap));
                 }
-
-                // If entering Zone of Control, mark it (use cached value)
-                const isEnteringZOC = !startsInZOC && (zocCache.get(key) || false);
+                const entersZOC = obeysZOC && zocCache.get(key);
 
                 visited.set(key, totalCost);
-                queue.push({ x: nx, y: ny, cost: totalCost });
+                // The move ends in an enemy's zone - nothing beyond it is reached from here
+                if (!entersZOC) queue.push({ x: nx, y: ny, cost: totalCost, path });
 
-                result.push({ x: nx, y: ny, cost: totalCost, isEnemy: false, isZOC: isEnteringZOC });
+                // Units pass through friendly tiles and can stop there to join
+                // the stack while it has room (CONFIG.MAX_STACK_SIZE)
+                if (targetStack && targetStack.owner === unit.owner) {
+                    if (targetStack.units.length < CONFIG.MAX_STACK_SIZE) {
+                        result.set(key, { x: nx, y: ny, cost: totalCost, movesLeft: entersZOC ? 0 : movesLeft, path, isEnemy: false, isMerge: true, isZOC: entersZOC });
+                    }
+                    continue;
+                }
+
+                result.set(key, { x: nx, y: ny, cost: totalCost, movesLeft: entersZOC ? 0 : movesLeft, path, isEnemy: false, isZOC: entersZOC });
             }
         }
 
+        return [...result.values()];
+    }
+
+    /**
+     * Tiles a group of units from one tile can move to together: every unit
+     * must be able to reach the tile, and a friendly stack there needs room
+     * for the whole group
+     */
+    static getGroupReachableTiles(units, gameMap) {
+        if (units.length === 1) return this.getReachableTiles(units[0], gameMap);
+
+        // The group walks the path of its most restricted member - one that can't
+        // fly and obeys zones of control - which the others can walk as well
+        const lead = [...units].sort((a, b) => a.canEnter.length - b.canEnter.length || a.ignoresZOC - b.ignoresZOC)[0];
+        const others = units.filter(u => u !== lead);
+        const othersTiles = others.map(u => new Map(this.getReachableTiles(u, gameMap).map(t => [`${t.x},${t.y}`, t])));
+
+        const result = [];
+        for (const tile of this.getReachableTiles(lead, gameMap)) {
+            const key = `${tile.x},${tile.y}`;
+            if (!othersTiles.every(tiles => tiles.has(key))) continue;
+            if (tile.isMerge && gameMap.getUnitsAt(tile.x, tile.y).length + units.length > CONFIG.MAX_STACK_SIZE) continue;
+
+            // The group moves at the pace of its slowest member
+            const cost = Math.max(tile.cost, ...othersTiles.map(tiles => tiles.get(key).cost));
+            const movesLeft = Math.min(tile.movesLeft, ...othersTiles.map(tiles => tiles.get(key).movesLeft));
+            result.push({ ...tile, cost, movesLeft });
+        }
         return result;
     }
 
+    /**
+     * Cheapest path to a tile at any distance (A* weighted by movement cost) -
+     * for orders that take several turns. Enemy stacks block the way, friendly
+     * ones are walked through
+     * @returns {{x: number, y: number}[]|null} tiles stepped on, without the start
+     *   tile and ending with the target, or null if there is no way there
+     */
+    static findPath(unit, targetX, targetY, gameMap) {
+        if (!gameMap.isValid(targetX, targetY)) return null;
+
+        const index = (x, y) => y * gameMap.width + x;
+        // No step is cheaper than one along a road - keeps the estimate admissible
+        const estimate = (x, y) => (Math.abs(targetX - x) + Math.abs(targetY - y)) * ROAD_MOVE_COST;
+        const costs = new Map([[index(unit.x, unit.y), 0]]);
+        const cameFrom = new Map();
+        const open = [{ x: unit.x, y: unit.y, cost: 0, score: estimate(unit.x, unit.y) }];
+        const directions = [[0, 1], [0, -1], [1, 0], [-1, 0]];
+
+        while (open.length > 0) {
+            // Lowest score first - ties go to the earliest queued, so paths are deterministic
+            let best = 0;
+            for (let i = 1; i < open.length; i++) {
+                if (open[i].score < open[best].score) best = i;
+            }
+            const current = open.splice(best, 1)[0];
+            if (costs.get(index(current.x, current.y)) < current.cost) continue;
+
+            if (current.x === targetX && current.y === targetY) {
+                const path = [];
+                for (let key = index(targetX, targetY); cameFrom.has(key); key = cameFrom.get(key)) {
+                    path.unshift({ x: key % gameMap.width, y: Math.floor(key / gameMap.width) });
+                }
+                return path;
+            }
+
+            for (const [dx, dy] of directions) {
+                const nx = current.x + dx;
+                const ny = current.y + dy;
+                if (!gameMap.isValid(nx, ny)) continue;
+
+                const cost = gameMap.getMovementCost(nx, ny, unit.type, current.x, current.y);
+                if (cost === Infinity) continue;
+                if (gameMap.getUnitsAt(nx, ny).some(u => u.owner !== unit.owner)) continue;
+
+                const key = index(nx, ny);
+                const totalCost = current.cost + cost;
+                if (costs.has(key) && costs.get(key) <= totalCost) continue;
+                costs.set(key, totalCost);
+                cameFrom.set(key, index(current.x, current.y));
+                open.push({ x: nx, y: ny, cost: totalCost, score: totalCost + estimate(nx, ny) });
+            }
+        }
+        return null;
+    }
+
     /**
      * Get attack targets within range (for after movement)
      * Optimized: only search within range instead of entire map
@@ -1,4 +1,4 @@
-import { CONFIG, COLORS, VIEWPORT_WIDTH, VIEWPORT_HEIGHT } from '../constants.js';
+import { CONFIG, COLORS, FEATURES, VIEWPORT_WIDTH, VIEWPORT_HEIGHT } from '../constants.js';
 
 export class RenderSystem {
     constructor(scene) {
@@ -28,6 +28,8 @@ export class RenderSystem {
         // World containers - these will be scrolled by camera
         this.containers.map = this.scene.add.container(0, 0);
         this.containers.highlights = this.scene.add.container(0, 0);
+        this.containers.orders = this.scene.add.container(0, 0);
+        this.containers.path = this.scene.add.container(0, 0);
         this.containers.units = this.scene.add.container(0, 0);
         this.containers.hover = this.scene.add.container(0, 0);
 
@@ -55,6 +57,8 @@ export class RenderSystem {
         // Apply mask to all world containers
         this.containers.map.setMask(mask);
         this.containers.highlights.setMask(mask);
+        this.containers.orders.setMask(mask);
+        this.containers.path.setMask(mask);
         this.containers.units.setMask(mask);
         this.containers.hover.setMask(mask);
 
@@ -113,6 +117,10 @@ export class RenderSystem {
         this.containers.map.setScale(scale);
         this.containers.highlights.setPosition(-this.camera.x * scale, -this.camera.y * scale);
         this.containers.highlights.setScale(scale);
+        this.containers.orders.setPosition(-this.camera.x * scale, -this.camera.y * scale);
+        this.containers.orders.setScale(scale);
+        this.containers.path.setPosition(-this.camera.x * scale, -this.camera.y * scale);
+        this.containers.path.setScale(scale);
         this.containers.units.setPosition(-this.camera.x * scale, -this.camera.y * scale);
         this.containers.units.setScale(scale);
         this.containers.hover.setPosition(-this.camera.x * scale, -this.camera.y * scale);
@@ -188,6 +196,16 @@ export class RenderSystem {
         };
     }
 
+    /**
+     * Convert tile coordinates to the screen position of the tile's top-left corner
+     */
+    tileToScreen(x, y) {
+        return {
+            x: (x * CONFIG.TILE_SIZE - this.camera.x) * this.zoom,
+            y: (y * CONFIG.TILE_SIZE - this.camera.y) * this.zoom
+        };
+    }
+
     /**
      * Check if point is within viewport (not UI area)
      */
@@ -202,7 +220,11 @@ export class RenderSystem {
         graphics.generateTexture(name, CONFIG.TILE_SIZE, CONFIG.TILE_SIZE);
     }
 
-    renderMap(gameMap, blockadedCities = []) {
+    /**
+     * @param {Object} [fog] - viewer's fog of war { isVisible(x, y), isExplored(x, y) },
+     *   null shows the whole map
+     */
+    renderMap(gameMap, blockadedCities = [], fog = null) {
         // Stop all tweens on map objects before removing them
         this.containers.map.list.forEach(obj => this.scene.tweens.killTweensOf(obj));
         this.containers.map.removeAll(true);
@@ -328,6 +350,24 @@ export class RenderSystem {
             });
         }
 
+        // Render roads and bridges - each tile picks the piece joining its road neighbours
+        if (gameMap.features) {
+            const hasFeature = (x, y) => gameMap.isValid(x, y) && gameMap.getFeature(x, y) !== FEATURES.NONE;
+            for (let y = 0; y < gameMap.height; y++) {
+                for (let x = 0; x < gameMap.width; x++) {
+                    const feature = gameMap.getFeature(x, y);
+                    if (feature === FEATURES.NONE) continue;
+                    // Neighbour mask: N = 1, E = 2, S = 4, W = 8
+                    const mask = (hasFeature(x, y - 1) ? 1 : 0) | (hasFeature(x + 1, y) ? 2 : 0) |
+                        (hasFeature(x, y + 1) ? 4 : 0) | (hasFeature(x - 1, y) ? 8 : 0);
+                    const name = feature === FEATURES.BRIDGE ? 'bridge' : 'road';
+                    const road = this.scene.add.image(x * CONFIG.TILE_SIZE, y * CONFIG.TILE_SIZE, `${name}_${mask}`);
+                    road.setOrigin(0, 0);
+                    this.containers.map.add(road);
+                }
+            }
+        }
+
         // Render ruins
         gameMap.ruins.forEach(ruin => {
             if (!ruin.explored) {
@@ -407,6 +447,24 @@ export class RenderSystem {
             }
         });
 
+        // Render artifacts lying on the ground - a glowing gem in the tile corner
+        (gameMap.items || []).forEach(item => {
+            const g = this.scene.add.graphics();
+            const gx = item.x * CONFIG.TILE_SIZE + CONFIG.TILE_SIZE - 14;
+            const gy = item.y * CONFIG.TILE_SIZE + 14;
+
+            g.fillStyle(0xFFD700, 0.35);
+            g.fillCircle(gx, gy, 9);
+            g.fillStyle(0xB266FF, 1);
+            g.fillTriangle(gx, gy - 7, gx - 6, gy, gx + 6, gy);
+            g.fillStyle(0x7A3DC2, 1);
+            g.fillTriangle(gx - 6, gy, gx + 6, gy, gx, gy + 7);
+            g.fillStyle(0xFFFFFF, 0.8);
+            g.fillRect(gx - 2, gy - 4, 2, 2);
+
+            this.containers.map.add(g);
+        });
+
         // Render cities with animated elements
         this.cityAnimations = []; // Store references to animated elements
         gameMap.cities.forEach(city => {
@@ -479,9 +537,9 @@ export class RenderSystem {
                 this.containers.map.add(text);
             }
 
-            // Blockade indicator - red border around city
+            // Blockade indicator - red border around city (the blockaders may hide in the fog)
             const cityKey = `${city.x},${city.y}`;
-            if (this.blockadedCities && this.blockadedCities.has(cityKey)) {
+            if (this.blockadedCities && this.blockadedCities.has(cityKey) && (!fog || fog.isVisible(city.x, city.y))) {
                 const blockadeBorder = this.scene.add.graphics();
                 blockadeBorder.lineStyle(4, 0xFF0000, 0.8); // Red border
                 blockadeBorder.strokeRect(cx + 2, cy + 2, CONFIG.TILE_SIZE - 4, CONFIG.TILE_SIZE - 4);
@@ -514,9 +572,27 @@ export class RenderSystem {
                 });
             }
         });
+
+        // Fog of war - unexplored land is shrouded, land out of sight dimmed
+        if (fog) {
+            const shroud = this.scene.add.graphics();
+            for (let y = 0; y < gameMap.height; y++) {
+                for (let x = 0; x < gameMap.width; x++) {
+                    if (fog.isVisible(x, y)) continue;
+                    shroud.fillStyle(0x000000, fog.isExplored(x, y) ? 0.4 : 0.75);
+                    shroud.fillRect(x * CONFIG.TILE_SIZE, y * CONFIG.TILE_SIZE, CONFIG.TILE_SIZE, CONFIG.TILE_SIZE);
+                }
+            }
+            this.containers.map.add(shroud);
+        }
     }
 
-    renderUnits(units, selectedUnit = null) {
+    /**
+     * @param {Unit[]} units
+     * @param {Unit} [selectedUnit]
+     * @param {Unit[]} [rememberedUnits] - enemies out of sight, drawn faded where they were last seen
+     */
+    renderUnits(units, selectedUnit = null, rememberedUnits = []) {
         // Stop all tweens on unit objects before removing them
         this.containers.units.list.forEach(obj => this.scene.tweens.killTweensOf(obj));
         // Clear old unit sprites
@@ -524,6 +600,14 @@ export class RenderSystem {
         this.pools.unitSprites.clear();
         this.containers.units.removeAll(true);
 
+        // Last known enemy positions - faded, still and without status icons
+        rememberedUnits.forEach(unit => {
+            const ghost = this.scene.add.image(unit.x * CONFIG.TILE_SIZE, unit.y * CONFIG.TILE_SIZE, `${unit.type}_${unit.owner}`);
+            ghost.setOrigin(0, 0);
+            ghost.setAlpha(0.45);
+            this.containers.units.add(ghost);
+        });
+
         // Group by position
         const groups = new Map();
         units.filter(u => u.hp > 0).forEach(unit => {
@@ -535,7 +619,8 @@ export class RenderSystem {
         // Render groups
         groups.forEach((groupUnits, key) => {
             const [x, y] = key.split(',').map(Number);
-            const topUnit = groupUnits[0];
+            // A stack shows its selected unit on top, so moves animate the right sprite
+            const topUnit = groupUnits.includes(selectedUnit) ? selectedUnit : groupUnits[0];
             const px = x * CONFIG.TILE_SIZE;
             const py = y * CONFIG.TILE_SIZE;
 
@@ -635,7 +720,35 @@ export class RenderSystem {
                 this.containers.units.add(attacked);
             }
 
-            // Note: Stack counter removed - 1 unit per tile limit
+            // Veterancy chevrons in the bottom-right corner - one per rank above Recruit
+            if (topUnit.rank > 0) {
+                const chevrons = this.scene.add.graphics();
+                const cx = px + CONFIG.TILE_SIZE - 12;
+                let cy = py + CONFIG.TILE_SIZE - 8;
+                for (let i = 0; i < topUnit.rank; i++) {
+                    chevrons.fillStyle(0x000000, 0.8);
+                    chevrons.fillRect(cx - 1, cy - 1, 10, 6);
+                    chevrons.lineStyle(2, 0xFFD700, 1);
+                    chevrons.beginPath();
+                    chevrons.moveTo(cx, cy);
+                    chevrons.lineTo(cx + 4, cy + 3);
+                    chevrons.lineTo(cx + 8, cy);
+                    chevrons.strokePath();
+                    cy -= 6;
+                }
+                this.containers.units.add(chevrons);
+            }
+
+            // Stack size in the top-right corner
+            if (groupUnits.length > 1) {
+                const count = this.scene.add.text(px + CONFIG.TILE_SIZE - 4, py + 4, String(groupUnits.length), {
+                    fontSize: '9px',
+                    fontFamily: 'Press Start 2P',
+                    color: '#FFFFFF',
+                    backgroundColor: '#000000'
+                }).setOrigin(1, 0);
+                this.containers.units.add(count);
+            }
 
             // Selection highlight with hop animation
             if (selectedUnit && groupUnits.includes(selectedUnit)) {
@@ -674,6 +787,7 @@ export class RenderSystem {
         // Stop all tweens on highlight objects before removing them
         this.containers.highlights.list.forEach(obj => this.scene.tweens.killTweensOf(obj));
         this.containers.highlights.removeAll(true);
+        this.clearPath();
 
         tiles.forEach(tile => {
             const texture = tile.isEnemy ? 'highlight_attack' :
@@ -716,6 +830,86 @@ export class RenderSystem {
         // Stop all tweens on highlight objects before removing them
         this.containers.highlights.list.forEach(obj => this.scene.tweens.killTweensOf(obj));
         this.containers.highlights.removeAll(true);
+        this.clearPath();
+    }
+
+    /**
+     * Arrow from a unit's tile along a movement path, with the movement
+     * points left at its end
+     * @param {{x: number, y: number}} from - start tile
+     * @param {{x: number, y: number}[]} path - tiles stepped on, ending at the destination
+     * @param {number} movesLeft
+     */
+    showPath(from, path, movesLeft) {
+        this.clearPath();
+        if (path.length === 0) return;
+
+        const half = CONFIG.TILE_SIZE / 2;
+        const points = [from, ...path].map(tile => ({
+            x: tile.x * CONFIG.TILE_SIZE + half,
+            y: tile.y * CONFIG.TILE_SIZE + half
+        }));
+        const end = points[points.length - 1];
+        const before = points[points.length - 2];
+        const angle = Math.atan2(end.y - before.y, end.x - before.x);
+
+        // Shaft stops short of the tile center, the head covers the rest
+        const headLength = 16;
+        const shaft = [...points.slice(0, -1), {
+            x: end.x - Math.cos(angle) * headLength,
+            y: end.y - Math.sin(angle) * headLength
+        }];
+        const arrow = this.scene.add.graphics();
+        [[10, 0x000000, 0.5], [6, 0xFFFFFF, 0.9]].forEach(([width, color, alpha]) => {
+            arrow.lineStyle(width, color, alpha);
+            arrow.strokePoints(shaft);
+        });
+
+        // Arrow head pointing along the last step
+        const tip = { x: end.x + Math.cos(angle) * 4, y: end.y + Math.sin(angle) * 4 };
+        const wing = (side) => ({
+            x: tip.x - Math.cos(angle + side * 0.6) * (headLength + 6),
+            y: tip.y - Math.sin(angle + side * 0.6) * (headLength + 6)
+        });
+        const left = wing(1);
+        const right = wing(-1);
+        arrow.fillStyle(0xFFFFFF, 0.9);
+        arrow.lineStyle(2, 0x000000, 0.5);
+        arrow.fillTriangle(tip.x, tip.y, left.x, left.y, right.x, right.y);
+        arrow.strokeTriangle(tip.x, tip.y, left.x, left.y, right.x, right.y);
+        this.containers.path.add(arrow);
+
+        const label = this.scene.add.text(end.x, end.y - half + 4, String(movesLeft), {
+            fontSize: '10px',
+            fontFamily: 'Press Start 2P',
+            color: movesLeft > 0 ? '#FFFFFF' : '#FFD23F',
+            backgroundColor: '#000000'
+        }).setOrigin(0.5, 0);
+        this.containers.path.add(label);
+    }
+
+    clearPath() {
+        this.containers.path.removeAll(true);
+    }
+
+    /**
+     * Faint lines along the routes of standing go-to orders, with a ring at
+     * each destination
+     * @param {{from: {x: number, y: number}, path: {x: number, y: number}[]}[]} routes
+     */
+    showOrders(routes) {
+        this.containers.orders.removeAll(true);
+
+        const half = CONFIG.TILE_SIZE / 2;
+        const center = tile => ({ x: tile.x * CONFIG.TILE_SIZE + half, y: tile.y * CONFIG.TILE_SIZE + half });
+        routes.filter(route => route.path.length > 0).forEach(route => {
+            const line = this.scene.add.graphics();
+            line.lineStyle(3, 0xFFFFFF, 0.35);
+            line.strokePoints([route.from, ...route.path].map(center));
+            const end = center(route.path[route.path.length - 1]);
+            line.strokeCircle(end.x, end.y, half / 2);
+            this.containers.orders.add(line);
+        });
     }
 
     /**
@@ -0,0 +1,107 @@
+import { CONFIG } from '../constants.js';
+import { Utils } from '../utils.js';
+
+/**
+ * Replay log - the RNG seed, the game setup and every command issued by
+ * humans and AI. Replaying the commands on a fresh engine with the same
+ * seed reproduces the match exactly - under the rules it was recorded with.
+ */
+export class ReplaySystem {
+    static FORMAT = 'warfire-replay';
+    // v2 - maps with roads: the same seed no longer generates a v1 replay's map
+    static FORMAT_VERSION = 2;
+    // Bump with every change to the rules or map generation that alters what a
+    // seed and its commands produce (combat, movement, morale, vision, ...).
+    // Replays recorded under other rules are refused, and dropped from saves.
+    // 2 - stack battles fought to the end, production fills the city's stack first
+    static RULES_VERSION = 2;
+    static COMMAND_TYPES = ['move', 'attack', 'produce', 'upgrade', 'endTurn'];
+
+    /**
+     * Start a new replay log for a game
+     * @param {number} seed - normalized RNG seed
+     * @param {Object} setup - { mapWidth, mapHeight, numCities, numRuins, fogOfWar, players }
+     */
+    static create(seed, setup) {
+        return {
+            format: ReplaySystem.FORMAT,
+            version: ReplaySystem.FORMAT_VERSION,
+            rulesVersion: ReplaySystem.RULES_VERSION,
+            gameVersion: CONFIG.VERSION,
+            createdAt: Date.now(),
+            seed,
+            setup: {
+                mapWidth: setup.mapWidth,
+                mapHeight: setup.mapHeight,
+                numCities: setup.numCities,
+                numRuins: setup.numRuins,
+                fogOfWar: !!setup.fogOfWar,
+                players: setup.players.map(p => ({ name: p.name, isAI: !!p.isAI, difficulty: p.difficulty, personality: p.personality, tacticalSearch: !!p.tacticalSearch }))
+            },
+            commands: []
+        };
+    }
+
+    /**
+     * Game config that recreates the replay's starting position
+     */
+    static toGameConfig(replay) {
+        return { ...replay.setup, seed: replay.seed };
+    }
+
+    /**
+     * Parse and validate replay JSON
+     * @throws {Error} if the data is not a usable replay
+     */
+    static parse(json) {
+        let replay;
+        try {
+            replay = typeof json === 'string' ? JSON.parse(json) : json;
+        } catch (e) {
+            throw new Error('Replay file is not valid JSON');
+        }
+
+        if (!replay || replay.format !== ReplaySystem.FORMAT) {
+            throw new Error('Not a Warfire replay file');
+        }
+        if (replay.version > ReplaySystem.FORMAT_VERSION) {
+            throw new Error(`Replay version ${replay.version} is newer than supported (${ReplaySystem.FORMAT_VERSION})`);
+        }
+        if (!(replay.version >= ReplaySystem.FORMAT_VERSION)) {
+            throw new Error(`Replay v${replay.version} was recorded on older maps - it can no longer be played back`);
+        }
+        if (!ReplaySystem.hasCurrentRules(replay)) {
+            throw new Error('This replay was recorded under different game rules - it can no longer be played back');
+        }
+        if (!Number.isFinite(replay.seed) || !replay.setup || !Array.isArray(replay.setup.players) || !Array.isArray(replay.commands)) {
+            throw new Error('Replay file is incomplete');
+        }
+        const badCommand = replay.commands.find(c => !ReplaySystem.COMMAND_TYPES.includes(c?.type));
+        if (badCommand) {
+            throw new Error(`Unknown replay command: ${badCommand?.type}`);
+        }
+
+        return replay;
+    }
+
+    /**
+     * Whether the replay was recorded under this game's rules (see RULES_VERSION)
+     */
+    static hasCurrentRules(replay) {
+        return replay.rulesVersion === ReplaySystem.RULES_VERSION;
+    }
+
+    /**
+     * Number of turns (endTurn commands) in the replay
+     */
+    static countTurns(replay) {
+        return replay.commands.filter(c => c.type === 'endTurn').length;
+    }
+
+    /**
+     * Offer the replay as a downloadable JSON file (browser only)
+     */
+    static download(replay, filename = `warfire-replay-${replay.seed}.json`) {
+        Utils.downloadJSON(replay, filename);
+    }
+}
@@ -0,0 +1,220 @@
+import { COLORS, MORALE, FEATURES } from '../constants.js';
+import { ReplaySystem } from './ReplaySystem.js';
+
+/**
+ * Save schema versioning. Every save stores `schemaVersion`; older saves are
+ * upgraded one step at a time by the migration chain below.
+ *
+ * When a model field or unit stat changes: bump SAVE_SCHEMA_VERSION and add a
+ * migration from the previous version that rewrites old data into the new shape.
+ */
+export const SAVE_SCHEMA_VERSION = 11;
+
+/**
+ * Thrown for saves written by a newer game version than this one
+ */
+export class SaveVersionError extends Error {
+    constructor(saveVersion, gameVersion) {
+        super(`This save uses format v${saveVersion}${gameVersion ? ` (game ${gameVersion})` : ''}, ` +
+            `but this game only supports up to v${SAVE_SCHEMA_VERSION}. Please update the game to load it.`);
+        this.name = 'SaveVersionError';
+        this.saveVersion = saveVersion;
+    }
+}
+
+/**
+ * Migrations keyed by the version they upgrade FROM; each returns data for version + 1
+ */
+const MIGRATIONS = {
+    // v0 - saves from before versioning (single slot, random ids, no RNG state)
+    0: (data) => {
+        const map = data.map;
+
+        // City ids were `city_x_y_<timestamp>` - now stable per tile, also in the players' city lists
+        const cityIds = new Map(map.cities.map(city => [city.id, `city_${city.x}_${city.y}`]));
+        map.cities.forEach(city => {
+            city.id = cityIds.get(city.id);
+        });
+        data.players.forEach(player => player.cities?.forEach(city => {
+            city.id = cityIds.get(city.id) ?? city.id;
+        }));
+
+        // Old unit ids were `unit_<timestamp>_<random>` - they stay valid, new
+        // units continue from a sequential counter that cannot collide with them
+        const nextUnitId = map.units.length + 1;
+
+        return {
+            ...data,
+            seed: data.seed ?? null,
+            rng: data.rng ?? null,
+            nextUnitId: data.nextUnitId ?? nextUnitId,
+            // Commands before this point were never recorded
+            replay: null
+        };
+    },
+
+    // v1 - no game config, settings, colors, buffs, production queues or decorations
+    1: (data) => {
+        const { state, ...rest } = data;
+        const map = data.map;
+        const players = data.players.map(p => ({
+            ...p,
+            color: p.color ?? COLORS.players[p.id],
+            defeatedAt: p.defeatedAt ?? null
+        }));
+
+        map.units.forEach(unit => {
+            unit.buffs = unit.buffs || [];
+        });
+        map.cities.forEach(city => {
+            city.productionQueue = city.productionQueue || [];
+        });
+        // Decorations stay missing - GameEngine.loadState regenerates them
+
+        return {
+            ...rest,
+            config: data.replay?.setup ?? {
+                mapWidth: map.width,
+                mapHeight: map.height,
+                numCities: map.cities.length,
+                numRuins: map.ruins.length,
+                players: players.map(p => ({ name: p.name, isAI: !!p.isAI }))
+            },
+            settings: {
+                isSpectatorMode: players.every(p => p.isAI),
+                gameSpeed: 1
+            },
+            players
+        };
+    },
+
+    // v2 - no hero artifacts or artifacts lying on the map
+    2: (data) => {
+        data.map.units.forEach(unit => {
+            unit.artifacts = unit.artifacts || [];
+        });
+        data.map.items = data.map.items || [];
+        return data;
+    },
+
+    // v3 - no hero experience
+    3: (data) => {
+        data.map.units.forEach(unit => {
+            unit.xp = unit.xp ?? 0;
+            unit.level = unit.level ?? 1;
+            unit.pendingUpgrades = unit.pendingUpgrades ?? 0;
+            unit.upgrades = unit.upgrades || [];
+        });
+        return data;
+    },
+
+    // v4 - AI difficulty per player; older games were played by the full-strength AI
+    4: (data) => {
+        data.players.forEach(player => {
+            player.difficulty = player.difficulty || 'HARD';
+        });
+        data.config?.players?.forEach(player => {
+            player.difficulty = player.difficulty || 'HARD';
+        });
+        return data;
+    },
+
+    // v5 - AI personality per player; older games were played without one
+    5: (data) => {
+        data.players.forEach(player => {
+            player.personality = player.personality || 'BALANCED';
+        });
+        data.config?.players?.forEach(player => {
+            player.personality = player.personality || 'BALANCED';
+        });
+        return data;
+    },
+
+    // v6 - opt-in tactical search per AI player, off for older games
+    6: (data) => {
+        data.players.forEach(player => {
+            player.tacticalSearch = player.tacticalSearch ?? false;
+        });
+        data.config?.players?.forEach(player => {
+            player.tacticalSearch = player.tacticalSearch ?? false;
+        });
+        return data;
+    },
+
+    // v7 - no unit morale
+    7: (data) => {
+        data.map.units.forEach(unit => {
+            unit.morale = unit.morale ?? MORALE.START;
+        });
+        return data;
+    },
+
+    // v8 - no fog of war
+    8: (data) => {
+        if (data.config) data.config.fogOfWar = data.config.fogOfWar ?? false;
+        data.vision = data.vision ?? null;
+        return data;
+    },
+
+    // v9 - no go-to orders
+    9: (data) => {
+        data.map.units.forEach(unit => {
+            unit.goTo = unit.goTo ?? null;
+        });
+        return data;
+    },
+
+    // v10 - no roads or bridges. The replay (format v1) is dropped - its seed
+    // now generates a map with roads, so it would desync; the game plays on without one
+    10: (data) => {
+        data.map.features = data.map.features ?? data.map.terrain.map(row => row.map(() => FEATURES.NONE));
+        if (data.replay && !(data.replay.version >= 2)) data.replay = null;
+        return data;
+    }
+};
+
+export class SaveMigrations {
+    /**
+     * Schema version of save data (saves without one are v0)
+     */
+    static getVersion(data) {
+        return Number.isInteger(data?.schemaVersion) ? data.schemaVersion : 0;
+    }
+
+    /**
+     * Upgrade save data to the current schema version and drop a replay
+     * recorded under other rules (see ReplaySystem.RULES_VERSION)
+     * @throws {SaveVersionError} if the save is newer than this game supports
+     * @throws {Error} if a migration step is missing
+     */
+    static migrate(data) {
+        let version = this.getVersion(data);
+        if (version > SAVE_SCHEMA_VERSION) {
+            throw new SaveVersionError(version, data.version);
+        }
+
+        let migrated = data;
+        while (version < SAVE_SCHEMA_VERSION) {
+            const step = MIGRATIONS[version];
+            if (!step) {
+                throw new Error(`No save migration from schema v${version}`);
+            }
+            migrated = step(migrated);
+            version++;
+            migrated.schemaVersion = version;
+        }
+
+        // A replay recorded under other rules would desync - the game plays on without one
+        if (migrated.replay && !ReplaySystem.hasCurrentRules(migrated.replay)) {
+            migrated.replay = null;
+        }
+        return migrated;
+    }
+
+    /**
+     * True if this game can load saves with the given schema version
+     */
+    static isSupported(version) {
+        return (version ?? 0) <= SAVE_SCHEMA_VERSION;
+    }
+}
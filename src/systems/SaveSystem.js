@@ -1,38 +1,432 @@
-import { CONFIG } from '../constants.js';
-import { Events } from '../utils.js';
+import { CONFIG, TERRAIN, FEATURES, UNIT_DEFINITIONS, CITY_INCOME, ARTIFACT_DEFINITIONS, HERO_UPGRADES, AI_DIFFICULTY, AI_PERSONALITIES, MORALE, RUIN_REWARD_TYPES } from '../constants.js';
+import { Utils, Events, Random } from '../utils.js';
+import { Unit } from '../models/Unit.js';
+import { SAVE_SCHEMA_VERSION, SaveMigrations } from './SaveMigrations.js';
+import { ReplaySystem } from './ReplaySystem.js';
 
+/**
+ * localStorage persistence with named slots. Each slot's game data lives under
+ * its own key; the index key holds per-slot metadata for the load screen.
+ */
 export class SaveSystem {
-    static save(game) {
-        const data = {
+    static INDEX_KEY = 'warfire_saves';
+    static SLOT_PREFIX = 'warfire_save_';
+    static LEGACY_KEY = 'warfire_save';
+    static QUICKSAVE_SLOT = 'quicksave';
+    static AUTOSAVE_PREFIX = 'autosave_';
+    static AUTOSAVE_NEXT_KEY = 'warfire_autosave_next';
+    static FILE_FORMAT = 'warfire-save';
+    static FILE_EXTENSION = '.warfire.json';
+
+    /**
+     * Complete save data for a game. Loading it with GameEngine.loadState and
+     * serializing again yields identical data (see scripts/check-saves.js).
+     * @param {Object} game - GameEngine or WarfireGame
+     * @param {Object} settings - { isSpectatorMode, gameSpeed } of the Phaser adapter
+     */
+    static serialize(game, settings = {}) {
+        return {
+            schemaVersion: SAVE_SCHEMA_VERSION,
             version: CONFIG.VERSION,
-            timestamp: Date.now(),
-            state: game.state,
+            seed: game.seed,
+            rng: Random.getState(),
+            nextUnitId: Unit.nextId,
+            config: game.setup ? structuredClone(game.setup) : null,
+            settings: {
+                isSpectatorMode: settings.isSpectatorMode ?? game.players.every(p => p.isAI),
+                gameSpeed: settings.gameSpeed || 1
+            },
+            replay: game.replay ? structuredClone(game.replay) : null,
             map: game.map.serialize(),
+            vision: game.vision ? game.vision.serialize() : null,
             players: game.players.map(p => p.serialize()),
             currentPlayer: game.state.currentPlayerIndex,
             turn: game.state.turnNumber
         };
-        localStorage.setItem('warfire_save', JSON.stringify(data));
-        Events.emit('game:saved', data);
+    }
+
+    /**
+     * Timestamped save data for the running game (what slots and files store)
+     * @param {Object} game - WarfireGame
+     */
+    static createSaveData(game) {
+        return {
+            ...this.serialize(game, { isSpectatorMode: game.isSpectatorMode, gameSpeed: game.gameSpeed }),
+            timestamp: Date.now()
+        };
+    }
+
+    /**
+     * Save the game into a slot (overwrites it)
+     * @param {Object} game - WarfireGame
+     * @param {string} slotId - defaults to the quicksave slot
+     * @param {Object} options - { name, thumbnail } - name defaults to the existing slot name
+     * @returns {boolean} false if storage failed (e.g. quota exceeded)
+     */
+    static save(game, slotId = SaveSystem.QUICKSAVE_SLOT, options = {}) {
+        const data = this.createSaveData(game);
+
+        const index = this.getIndex();
+        const existing = index.find(s => s.id === slotId);
+        const name = options.name || existing?.name || this.getDefaultSlotName(slotId, data);
+        const metadata = this.createMetadata(slotId, name, data, options.thumbnail ?? null);
+
+        try {
+            localStorage.setItem(this.SLOT_PREFIX + slotId, JSON.stringify(data));
+            this.writeIndex([metadata, ...index.filter(s => s.id !== slotId)]);
+        } catch (e) {
+            console.error('Failed to save game:', e);
+            return false;
+        }
+
+        Events.emit('game:saved', { slotId, data });
         return true;
     }
 
-    static load() {
-        const json = localStorage.getItem('warfire_save');
+    /**
+     * Load game data from a slot, upgraded to the current schema version
+     * @returns {Object|null} save data, or null if missing/corrupt
+     * @throws {SaveVersionError} if the save comes from a newer game version
+     * @throws {Error} if the save does not describe a playable game
+     */
+    static load(slotId = SaveSystem.QUICKSAVE_SLOT) {
+        this.migrateLegacySave();
+        const json = localStorage.getItem(this.SLOT_PREFIX + slotId);
         if (!json) return null;
+
+        let data;
         try {
-            return JSON.parse(json);
+            data = JSON.parse(json);
         } catch (e) {
             console.error('Failed to load save:', e);
             return null;
         }
+        const migrated = SaveMigrations.migrate(data);
+        this.validate(migrated);
+        return migrated;
+    }
+
+    /**
+     * Autosave at the start of a turn into a ring buffer of CONFIG.AUTOSAVE_TURNS
+     * slots - each autosave overwrites the oldest one
+     * @returns {boolean} false if disabled or storage failed
+     */
+    static autosave(game, thumbnail = null) {
+        const size = CONFIG.AUTOSAVE_TURNS;
+        if (size <= 0) return false;
+
+        // Drop slots left over from a larger ring
+        this.listAutosaves()
+            .filter(s => this.getAutosaveIndex(s.id) >= size)
+            .forEach(s => this.deleteSlot(s.id));
+
+        const next = (parseInt(localStorage.getItem(this.AUTOSAVE_NEXT_KEY), 10) || 0) % size;
+        const player = game.players[game.state.currentPlayerIndex];
+        const name = `Turn ${game.state.turnNumber} - ${player.name}`;
+        if (!this.save(game, this.AUTOSAVE_PREFIX + next, { name, thumbnail })) return false;
+
+        try {
+            localStorage.setItem(this.AUTOSAVE_NEXT_KEY, String((next + 1) % size));
+        } catch (e) {
+            console.error('Failed to advance autosave slot:', e);
+        }
+        return true;
+    }
+
+    static isAutosave(slotId) {
+        return slotId.startsWith(this.AUTOSAVE_PREFIX);
+    }
+
+    static getAutosaveIndex(slotId) {
+        return parseInt(slotId.slice(this.AUTOSAVE_PREFIX.length), 10);
+    }
+
+    static hasSave(slotId = SaveSystem.QUICKSAVE_SLOT) {
+        this.migrateLegacySave();
+        return !!localStorage.getItem(this.SLOT_PREFIX + slotId);
+    }
+
+    /**
+     * Download save data as a .warfire.json file (browser only)
+     */
+    static exportFile(data, filename = `warfire-turn-${data.turn}${SaveSystem.FILE_EXTENSION}`) {
+        Utils.downloadJSON({ format: SaveSystem.FILE_FORMAT, ...data }, filename);
     }
 
-    static hasSave() {
-        return !!localStorage.getItem('warfire_save');
+    /**
+     * Parse an exported save file, upgraded to the current schema version
+     * @throws {SaveVersionError} if the save comes from a newer game version
+     * @throws {Error} if the file is not a valid save
+     */
+    static parseFile(json) {
+        let file;
+        try {
+            file = JSON.parse(json);
+        } catch (e) {
+            throw new Error('Save file is not valid JSON');
+        }
+        if (!file || file.format !== SaveSystem.FILE_FORMAT) {
+            throw new Error('Not a Warfire save file');
+        }
+
+        const { format, ...data } = file;
+        const migrated = SaveMigrations.migrate(data);
+        this.validate(migrated);
+        return migrated;
+    }
+
+    /**
+     * Check that save data (current schema) describes a playable game
+     * @throws {Error} naming the first problem found
+     */
+    static validate(data) {
+        const fail = (problem) => {
+            throw new Error(`Save file is damaged: ${problem}`);
+        };
+        const isInt = (value, min = 0) => Number.isInteger(value) && value >= min;
+
+        const map = data.map;
+        if (!map || !isInt(map.width, 1) || !isInt(map.height, 1)) fail('invalid map size');
+        const inBounds = (e) => isInt(e?.x) && isInt(e?.y) && e.x < map.width && e.y < map.height;
+
+        const terrainTypes = Object.values(TERRAIN);
+        if (!Array.isArray(map.terrain) || map.terrain.length !== map.height ||
+            map.terrain.some(row => !Array.isArray(row) || row.length !== map.width || row.some(t => !terrainTypes.includes(t)))) {
+            fail('terrain does not match the map size');
+        }
+        const featureTypes = Object.values(FEATURES);
+        if (!Array.isArray(map.features) || map.features.length !== map.height ||
+            map.features.some(row => !Array.isArray(row) || row.length !== map.width || row.some(f => !featureTypes.includes(f)))) {
+            fail('roads do not match the map size');
+        }
+        // Saves before v2 have no decorations - GameEngine.loadState regenerates them
+        if (map.decorations !== undefined && (!Array.isArray(map.decorations) ||
+            map.decorations.some(d => !d || typeof d !== 'object'))) {
+            fail('invalid decorations');
+        }
+
+        const players = data.players;
+        if (!Array.isArray(players) || players.length < 2) fail('needs at least two players');
+        players.forEach((p, i) => {
+            if (p?.id !== i || typeof p.name !== 'string' || !Number.isFinite(p.gold) ||
+                !Number.isFinite(p.color) || typeof p.isAlive !== 'boolean') {
+                fail(`invalid player ${i + 1}`);
+            }
+            if (!AI_DIFFICULTY[p.difficulty]) fail(`unknown AI difficulty for player ${i + 1}`);
+            if (!AI_PERSONALITIES[p.personality]) fail(`unknown AI personality for player ${i + 1}`);
+            if (typeof p.tacticalSearch !== 'boolean') fail(`invalid tactical search setting for player ${i + 1}`);
+        });
+        const isPlayer = (owner) => Number.isInteger(owner) && owner >= 0 && owner < players.length;
+
+        if (!Array.isArray(map.cities) || !Array.isArray(map.ruins) || !Array.isArray(map.units) || !Array.isArray(map.items)) {
+            fail('missing cities, ruins, units or items');
+        }
+        map.cities.forEach(city => {
+            if (!inBounds(city) || !(city.size in CITY_INCOME) || (city.owner !== null && !isPlayer(city.owner))) {
+                fail(`invalid city at ${city?.x},${city?.y}`);
+            }
+        });
+        // Ruin rewards are decided at generation - ruins of older saves roll theirs on exploration
+        const rewardTypes = Object.values(RUIN_REWARD_TYPES);
+        map.ruins.forEach(ruin => {
+            if (!inBounds(ruin) || typeof ruin.explored !== 'boolean' || (ruin.reward != null && !rewardTypes.includes(ruin.reward))) {
+                fail(`invalid ruin at ${ruin?.x},${ruin?.y}`);
+            }
+        });
+        const unitIds = new Set();
+        map.units.forEach(unit => {
+            if (typeof unit?.id !== 'string' || !inBounds(unit) || !UNIT_DEFINITIONS[unit.type] || !isPlayer(unit.owner) || !Number.isFinite(unit.hp)) {
+                fail(`invalid unit ${unit?.id}`);
+            }
+            if (unitIds.has(unit.id)) fail(`duplicate unit ${unit.id}`);
+            unitIds.add(unit.id);
+            if (typeof unit.hasMoved !== 'boolean' || typeof unit.hasAttacked !== 'boolean') fail(`invalid turn state on unit ${unit.id}`);
+            if (!Array.isArray(unit.artifacts) || unit.artifacts.some(type => !ARTIFACT_DEFINITIONS[type])) {
+                fail(`unknown artifact on unit ${unit.id}`);
+            }
+            if (!isInt(unit.xp) || !isInt(unit.level, 1) || !isInt(unit.pendingUpgrades) ||
+                !Array.isArray(unit.upgrades) || unit.upgrades.some(type => !HERO_UPGRADES[type])) {
+                fail(`invalid experience on unit ${unit.id}`);
+            }
+            // Buffs hold a source and numeric bonuses (see Unit.addArtifact, upgrade and leadership auras)
+            if (!Array.isArray(unit.buffs) || unit.buffs.some(buff => !buff || typeof buff !== 'object' ||
+                Object.entries(buff).some(([key, value]) => key === 'source' ? typeof value !== 'string' : !Number.isFinite(value)))) {
+                fail(`invalid buffs on unit ${unit.id}`);
+            }
+            if (!Number.isFinite(unit.morale) || unit.morale < 0 || unit.morale > MORALE.MAX) fail(`invalid morale on unit ${unit.id}`);
+            if (unit.goTo !== null && !inBounds(unit.goTo)) fail(`invalid go-to order on unit ${unit.id}`);
+        });
+        map.items.forEach(item => {
+            if (!inBounds(item) || !ARTIFACT_DEFINITIONS[item.type]) fail(`invalid item at ${item?.x},${item?.y}`);
+        });
+
+        // Players list their own units and cities, in the order the AI iterates them
+        const unitsById = new Map(map.units.map(u => [u.id, u]));
+        const citiesById = new Map(map.cities.map(c => [c.id, c]));
+        players.forEach((p, i) => {
+            if (!Array.isArray(p.units) || p.units.some(u => unitsById.get(u?.id)?.owner !== p.id)) {
+                fail(`invalid unit list for player ${i + 1}`);
+            }
+            if (!Array.isArray(p.cities) || p.cities.some(c => citiesById.get(c?.id)?.owner !== p.id)) {
+                fail(`invalid city list for player ${i + 1}`);
+            }
+        });
+
+        // New units continue from nextUnitId - it must not hand out an id already in use
+        // (saves before v1 keep `unit_<timestamp>_<random>` ids that cannot collide)
+        const maxUnitId = Math.max(0, ...map.units.map(u => Number(/^unit_(\d+)$/.exec(u.id)?.[1] ?? 0)));
+        if (!isInt(data.nextUnitId, 1) || data.nextUnitId <= maxUnitId) fail('unit id counter is behind the saved units');
+
+        if (!isPlayer(data.currentPlayer) || !isInt(data.turn, 1)) fail('invalid turn');
+
+        const config = data.config;
+        if (!config || !isInt(config.mapWidth, 1) || !isInt(config.mapHeight, 1) || typeof config.fogOfWar !== 'boolean' ||
+            !Array.isArray(config.players) || config.players.length !== players.length) {
+            fail('invalid game setup');
+        }
+        const settings = data.settings;
+        if (!settings || !Number.isFinite(settings.gameSpeed) || settings.gameSpeed <= 0 || typeof settings.isSpectatorMode !== 'boolean') {
+            fail('invalid game settings');
+        }
+        if (data.seed !== null && !Number.isFinite(data.seed)) fail('invalid seed');
+        if (data.rng !== null && (!isInt(data.rng?.seed) || !isInt(data.rng?.state))) fail('invalid random generator state');
+
+        // Vision is saved for fog of war games: explored tiles as '0'/'1' strings and
+        // remembered enemy units per player
+        if (data.vision !== null) {
+            const { explored, memory } = data.vision ?? {};
+            if (!Array.isArray(explored) || explored.length !== players.length ||
+                explored.some(tiles => typeof tiles !== 'string' || tiles.length !== map.width * map.height || /[^01]/.test(tiles))) {
+                fail('invalid explored tiles');
+            }
+            if (!Array.isArray(memory) || memory.length !== players.length || memory.some(records => !Array.isArray(records) ||
+                records.some(r => !inBounds(r) || !UNIT_DEFINITIONS[r.type] || !isPlayer(r.owner) || !Number.isFinite(r.hp)))) {
+                fail('invalid remembered units');
+            }
+        }
+
+        if (data.replay !== null) {
+            try {
+                ReplaySystem.parse(data.replay);
+            } catch (e) {
+                fail(`invalid replay - ${e.message}`);
+            }
+        }
+    }
+
+    /**
+     * Metadata of quicksave and named slots, newest first
+     */
+    static listSlots() {
+        return this.getIndex()
+            .filter(s => !this.isAutosave(s.id))
+            .sort((a, b) => b.timestamp - a.timestamp);
+    }
+
+    /**
+     * Metadata of autosave slots, latest turn first
+     */
+    static listAutosaves() {
+        return this.getIndex()
+            .filter(s => this.isAutosave(s.id))
+            .sort((a, b) => b.turn - a.turn || b.timestamp - a.timestamp);
+    }
+
+    static renameSlot(slotId, name) {
+        const index = this.getIndex();
+        const slot = index.find(s => s.id === slotId);
+        if (!slot || !name) return false;
+        slot.name = name;
+        this.writeIndex(index);
+        return true;
+    }
+
+    static deleteSlot(slotId) {
+        localStorage.removeItem(this.SLOT_PREFIX + slotId);
+        this.writeIndex(this.getIndex().filter(s => s.id !== slotId));
     }
 
     static clear() {
-        localStorage.removeItem('warfire_save');
+        this.deleteSlot(this.QUICKSAVE_SLOT);
+    }
+
+    /**
+     * Unique id for a new named slot
+     */
+    static createSlotId() {
+        return `slot_${Date.now()}`;
+    }
+
+    static getDefaultSlotName(slotId, data) {
+        return slotId === this.QUICKSAVE_SLOT ? 'Quicksave' : `Turn ${data.turn}`;
+    }
+
+    /**
+     * Slot metadata shown on the load screen
+     */
+    static createMetadata(slotId, name, data, thumbnail) {
+        return {
+            id: slotId,
+            name,
+            schemaVersion: SaveMigrations.getVersion(data),
+            gameVersion: data.version,
+            timestamp: data.timestamp,
+            turn: data.turn,
+            currentPlayer: data.players[data.currentPlayer]?.name ?? null,
+            mapWidth: data.map.width,
+            mapHeight: data.map.height,
+            players: data.players.map(p => ({ name: p.name, isAI: !!p.isAI, isAlive: p.isAlive })),
+            thumbnail
+        };
+    }
+
+    static getIndex() {
+        this.migrateLegacySave();
+        return this.readIndex();
+    }
+
+    static readIndex() {
+        try {
+            const index = JSON.parse(localStorage.getItem(this.INDEX_KEY) || '[]');
+            return Array.isArray(index) ? index : [];
+        } catch (e) {
+            console.error('Failed to read save index:', e);
+            return [];
+        }
+    }
+
+    static writeIndex(index) {
+        localStorage.setItem(this.INDEX_KEY, JSON.stringify(index));
+    }
+
+    /**
+     * Move a save from the old single-key format into the quicksave slot,
+     * or into its own named slot if a quicksave already exists
+     */
+    static migrateLegacySave() {
+        const json = localStorage.getItem(this.LEGACY_KEY);
+        if (!json) return;
+
+        const hasQuicksave = !!localStorage.getItem(this.SLOT_PREFIX + this.QUICKSAVE_SLOT);
+        const slotId = hasQuicksave ? this.createSlotId() : this.QUICKSAVE_SLOT;
+        let metadata;
+        try {
+            metadata = this.createMetadata(slotId, hasQuicksave ? 'Legacy save' : 'Quicksave', JSON.parse(json), null);
+        } catch (e) {
+            console.error('Failed to migrate old save:', e);
+            localStorage.removeItem(this.LEGACY_KEY);
+            return;
+        }
+
+        try {
+            localStorage.setItem(this.SLOT_PREFIX + slotId, json);
+            this.writeIndex([metadata, ...this.readIndex().filter(s => s.id !== slotId)]);
+        } catch (e) {
+            // Keep the old key so the save is not lost, e.g. when storage is full
+            console.error('Failed to migrate old save:', e);
+            localStorage.removeItem(this.SLOT_PREFIX + slotId);
+            return;
+        }
+        localStorage.removeItem(this.LEGACY_KEY);
     }
 }
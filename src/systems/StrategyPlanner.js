@@ -47,6 +47,7 @@ export class StrategyPlanner {
      */
     identifyObjectives(player, phase) {
         const objectives = [];
+        const profile = player.personalitySettings;
 
         // CRITICAL: Defend blockaded cities
         for (const city of player.cities) {
@@ -55,7 +56,7 @@ export class StrategyPlanner {
                     type: 'DEFEND_CITY',
                     x: city.x,
                     y: city.y,
-                    priority: 100,
+                    priority: 100 * profile.cityDefense,
                     city,
                     requiredUnits: 2
                 });
@@ -71,7 +72,7 @@ export class StrategyPlanner {
                     type: 'DEFEND_CITY',
                     x: city.x,
                     y: city.y,
-                    priority: 70,
+                    priority: 70 * profile.cityDefense,
                     city,
                     requiredUnits: 1
                 });
@@ -95,7 +96,7 @@ export class StrategyPlanner {
                 type: 'DEFEND_CITY',
                 x: city.x,
                 y: city.y,
-                priority: enemyDist <= 6 ? 55 : 40,
+                priority: (enemyDist <= 6 ? 55 : 40) * profile.cityDefense,
                 city,
                 requiredUnits: 1
             });
@@ -106,7 +107,7 @@ export class StrategyPlanner {
             if (city.owner !== null) continue;
             const defenders = this.map.getUnitsAt(city.x, city.y).filter(u => u.hp > 0);
             if (defenders.length === 0) {
-                const priority = phase === 'EARLY' ? 80 : phase === 'MID' ? 50 : 40;
+                const priority = (phase === 'EARLY' ? 80 : phase === 'MID' ? 50 : 40) * profile.expansion;
                 objectives.push({
                     type: 'CAPTURE_CITY',
                     x: city.x,
@@ -121,7 +122,7 @@ export class StrategyPlanner {
                     type: 'CAPTURE_CITY',
                     x: city.x,
                     y: city.y,
-                    priority: phase === 'EARLY' ? 60 : 45,
+                    priority: (phase === 'EARLY' ? 60 : 45) * profile.expansion,
                     city,
                     requiredUnits: Math.min(defenders.length + 1, 3)
                 });
@@ -137,7 +138,7 @@ export class StrategyPlanner {
             if (defenders.length === 0) {
                 // Empty enemy city — easy pick
                 const isLastCity = enemyPlayer && enemyPlayer.isAlive && enemyPlayer.cities.length <= 1;
-                const priority = isLastCity ? 95 : (phase === 'LATE' ? 70 : 55);
+                const priority = (isLastCity ? 95 : (phase === 'LATE' ? 70 : 55)) * profile.aggression;
                 objectives.push({
                     type: 'CAPTURE_CITY',
                     x: city.x,
@@ -149,7 +150,7 @@ export class StrategyPlanner {
             } else {
                 // Defended enemy city — need coordinated attack
                 const isLastCity = enemyPlayer && enemyPlayer.isAlive && enemyPlayer.cities.length <= 1;
-                const basePriority = isLastCity ? 85 : (phase === 'LATE' ? 55 : 40);
+                const basePriority = (isLastCity ? 85 : (phase === 'LATE' ? 55 : 40)) * profile.aggression;
                 objectives.push({
                     type: 'CAPTURE_CITY',
                     x: city.x,
@@ -173,7 +174,7 @@ export class StrategyPlanner {
                 type: 'EXPLORE_RUIN',
                 x: ruin.x,
                 y: ruin.y,
-                priority: phase === 'EARLY' ? 45 : 30,
+                priority: (phase === 'EARLY' ? 45 : 30) * profile.ruinHunting,
                 ruin,
                 requiredUnits: 1
             });
@@ -189,7 +190,7 @@ export class StrategyPlanner {
                     type: 'ATTACK_ARMY',
                     x: group.x,
                     y: group.y,
-                    priority: phase === 'LATE' ? 50 : 35,
+                    priority: (phase === 'LATE' ? 50 : 35) * profile.aggression,
                     requiredUnits: Math.min(group.count + 1, 3)
                 });
             }
@@ -208,6 +209,9 @@ export class StrategyPlanner {
      */
     assignUnitsToObjectives(player, objectives) {
         const assignments = new Map();
+        // Lower difficulty levels don't coordinate - every unit picks its own target
+        if (!player.aiSettings.coordination) return assignments;
+
         const availableUnits = player.units.filter(u => u.hp > 0 && !u.isHero);
 
         // Track how many units assigned to each objective
@@ -390,7 +394,7 @@ export class StrategyPlanner {
         let enemyUnitsNearby = 0;
         let friendlyUnitsNearby = 0;
 
-        for (const unit of this.map.units) {
+        for (const unit of this.getKnownUnits()) {
             const dist = Utils.manhattanDistance(city.x, city.y, unit.x, unit.y);
             if (unit.owner !== player.id && unit.hp > 0) {
                 nearestEnemyDist = Math.min(nearestEnemyDist, dist);
@@ -444,15 +448,14 @@ export class StrategyPlanner {
         if (isFrontLine) {
             // Need ranged support at the front?
             const rangedRatio = (composition.ARCHER || 0) + (composition.CATAPULT || 0);
-            if (rangedRatio < totalUnits * 0.2 && gold >= 15) return 'ARCHER';
+            if (rangedRatio < totalUnits * 0.2 * this.mixWeight(player, 'ARCHER') && gold >= 15) return 'ARCHER';
 
             // Need tanks?
             const heavyRatio = (composition.HEAVY_INFANTRY || 0);
-            if (heavyRatio < totalUnits * 0.25 && gold >= 20) return 'HEAVY_INFANTRY';
+            if (heavyRatio < totalUnits * 0.25 * this.mixWeight(player, 'HEAVY_INFANTRY') && gold >= 20) return 'HEAVY_INFANTRY';
 
             // Default front line: heavy infantry
-            if (gold >= 20) return 'HEAVY_INFANTRY';
-            if (gold >= 10) return 'LIGHT_INFANTRY';
+            return this.preferredUnit(player, ['HEAVY_INFANTRY', 'LIGHT_INFANTRY'], gold);
         }
 
         // Back line city: produce based on phase and army needs
@@ -462,9 +465,7 @@ export class StrategyPlanner {
                 // Check for nearby neutral cities to capture
                 const captureObjectives = nearbyObjectives.filter(o => o.type === 'CAPTURE_CITY' && o.priority >= 50);
                 if (captureObjectives.length > 0 && gold >= 30) return 'CAVALRY'; // Fast capture
-                if (gold >= 15) return 'ARCHER'; // Cheap ranged support
-                if (gold >= 10) return 'LIGHT_INFANTRY';
-                return null;
+                return this.preferredUnit(player, ['ARCHER', 'LIGHT_INFANTRY'], gold); // Cheap ranged support
             }
 
             case 'MID': {
@@ -473,32 +474,25 @@ export class StrategyPlanner {
                 const rangedPercent = totalUnits > 0
                     ? ((composition.ARCHER || 0) + (composition.CATAPULT || 0)) / totalUnits
                     : 0;
-                if (rangedPercent < 0.2 && gold >= 15) return 'ARCHER';
+                if (rangedPercent < 0.2 * this.mixWeight(player, 'ARCHER') && gold >= 15) return 'ARCHER';
 
                 // Ensure we have cavalry for flanking
                 const cavPercent = totalUnits > 0 ? (composition.CAVALRY || 0) / totalUnits : 0;
-                if (cavPercent < 0.15 && gold >= 30) return 'CAVALRY';
+                if (cavPercent < 0.15 * this.mixWeight(player, 'CAVALRY') && gold >= 30) return 'CAVALRY';
 
                 // Ensure heavy infantry backbone
                 const heavyPercent = totalUnits > 0 ? (composition.HEAVY_INFANTRY || 0) / totalUnits : 0;
-                if (heavyPercent < 0.25 && gold >= 20) return 'HEAVY_INFANTRY';
+                if (heavyPercent < 0.25 * this.mixWeight(player, 'HEAVY_INFANTRY') && gold >= 20) return 'HEAVY_INFANTRY';
 
                 // Default mid: heavy infantry for solid front
-                if (gold >= 20) return 'HEAVY_INFANTRY';
-                if (gold >= 15) return 'ARCHER';
-                if (gold >= 10) return 'LIGHT_INFANTRY';
-                return null;
+                return this.preferredUnit(player, ['HEAVY_INFANTRY', 'ARCHER', 'LIGHT_INFANTRY'], gold);
             }
 
             case 'LATE': {
                 // Late game: powerful units to close the game
                 if (gold >= 100 && (composition.DRAGON || 0) < 2) return 'DRAGON';
-                if (gold >= 40 && (composition.CATAPULT || 0) < totalUnits * 0.1) return 'CATAPULT';
-                if (gold >= 30) return 'CAVALRY';
-                if (gold >= 20) return 'HEAVY_INFANTRY';
-                if (gold >= 15) return 'ARCHER';
-                if (gold >= 10) return 'LIGHT_INFANTRY';
-                return null;
+                if (gold >= 40 && (composition.CATAPULT || 0) < totalUnits * 0.1 * this.mixWeight(player, 'CATAPULT')) return 'CATAPULT';
+                return this.preferredUnit(player, ['CAVALRY', 'HEAVY_INFANTRY', 'ARCHER', 'LIGHT_INFANTRY'], gold);
             }
         }
 
@@ -507,6 +501,25 @@ export class StrategyPlanner {
         return null;
     }
 
+    /**
+     * Weight of a unit type in the player's personality unit mix
+     */
+    mixWeight(player, unitType) {
+        return player.personalitySettings.unitMix[unitType] ?? 1;
+    }
+
+    /**
+     * The affordable unit the personality likes best - on a tie the first listed
+     */
+    preferredUnit(player, unitTypes, gold) {
+        let best = null;
+        for (const type of unitTypes) {
+            if (UNIT_DEFINITIONS[type].cost > gold) continue;
+            if (!best || this.mixWeight(player, type) > this.mixWeight(player, best)) best = type;
+        }
+        return best;
+    }
+
     /**
      * Analyze the player's own army composition
      */
@@ -525,12 +538,19 @@ export class StrategyPlanner {
 
     // ─── Helper Methods ────────────────────────────────────────────
 
+    /**
+     * Units on the map plus, under fog of war, enemies at their last known position
+     */
+    getKnownUnits() {
+        return [...this.map.units, ...this.map.rememberedUnits];
+    }
+
     /**
      * Distance to the nearest enemy unit or enemy city
      */
     nearestEnemyDistance(x, y, player) {
         let min = Infinity;
-        for (const unit of this.map.units) {
+        for (const unit of this.getKnownUnits()) {
             if (unit.owner !== player.id && unit.hp > 0) {
                 min = Math.min(min, Utils.manhattanDistance(x, y, unit.x, unit.y));
             }
@@ -559,11 +579,12 @@ export class StrategyPlanner {
     findEnemyClusters(player, radius = 2) {
         const clusters = [];
         const visited = new Set();
+        const units = this.getKnownUnits();
 
-        for (const unit of this.map.units) {
+        for (const unit of units) {
             if (unit.owner === player.id || unit.hp <= 0 || visited.has(unit.id)) continue;
 
-            const nearby = this.map.units.filter(u =>
+            const nearby = units.filter(u =>
                 u.owner !== player.id && u.hp > 0 && !visited.has(u.id) &&
                 Utils.chebyshevDistance(unit.x, unit.y, u.x, u.y) <= radius
             );
@@ -0,0 +1,365 @@
+import { Utils } from '../utils.js';
+import { MovementSystem } from './MovementSystem.js';
+import { CombatSystem } from './CombatSystem.js';
+import { UNIT_DEFINITIONS, TACTICAL_SEARCH } from '../constants.js';
+
+/**
+ * Tactical search for AI combat (opt-in per AI player)
+ * Plans the attacks of all units in an engagement together: a bounded
+ * expectimax over the outcomes of the battles they start (see
+ * CombatSystem.estimateBattle) looks a few attacks ahead, finishes each line
+ * greedily and scores the result by value destroyed and lost, cities captured
+ * and the enemy's best reply.
+ * Never touches the game RNG or the map - the search runs on its own hp table.
+ */
+export class TacticalSearch {
+    constructor(game) {
+        this.game = game;
+        this.map = game.map;
+        this.players = game.players;
+        this.evaluations = 0;
+    }
+
+    /**
+     * Best next attack for the given units, or null when no attack is worth it.
+     * Called again after every attack, so each search starts from the real outcome.
+     * @returns {{ unit, x, y, kind: 'ranged'|'melee'|'charge' }|null}
+     *   kind 'charge' is a melee attack on a reachable tile (issued as a move)
+     */
+    findBestAttack(player, units) {
+        const area = this.buildEngagement(player, units);
+        if (area.attackers.length === 0) return null;
+
+        // A fixed budget, not a time limit - the same position always gets the same plan
+        this.evaluations = 0;
+
+        let best = null;
+        let bestValue = this.evaluate(area, area.start); // not attacking at all
+        for (const attack of this.candidateAttacks(area, area.start).slice(0, TACTICAL_SEARCH.BRANCHING)) {
+            const value = this.expectAttack(area, area.start, attack, TACTICAL_SEARCH.DEPTH - 1);
+            if (value > bestValue) {
+                bestValue = value;
+                best = attack;
+            }
+        }
+
+        if (!best) return null;
+        return { unit: best.attacker.unit, x: best.target.x, y: best.target.y, kind: best.kind };
+    }
+
+    /**
+     * Units that can attack, the enemy tiles they can hit and the enemies that
+     * could strike back at them next turn
+     */
+    buildEngagement(player, units) {
+        const targets = new Map();
+        const getTarget = (x, y) => {
+            const key = `${x},${y}`;
+            if (!targets.has(key)) {
+                targets.set(key, {
+                    x,
+                    y,
+                    units: this.map.getUnitsAt(x, y).filter(u => u.owner !== player.id && u.hp > 0),
+                    city: this.map.getCity(x, y),
+                    terrainBonus: this.map.getDefenseBonus(x, y)
+                });
+            }
+            return targets.get(key);
+        };
+
+        const attackers = [];
+        for (const unit of units) {
+            if (unit.hp <= 0 || unit.hasAttacked) continue;
+
+            const options = [];
+            const inRange = new Set();
+            for (const t of MovementSystem.getAttackTargets(unit, this.map)) {
+                inRange.add(`${t.x},${t.y}`);
+                options.push({ target: getTarget(t.x, t.y), kind: t.isRanged ? 'ranged' : 'melee', cache: new Map() });
+            }
+            // Moving onto a reachable enemy is a melee attack from where the unit stands
+            if (!unit.hasMoved) {
+                for (const t of MovementSystem.getReachableTiles(unit, this.map)) {
+                    if (!t.isEnemy || inRange.has(`${t.x},${t.y}`)) continue;
+                    options.push({ target: getTarget(t.x, t.y), kind: 'charge', cache: new Map() });
+                }
+            }
+            if (options.length > 0) {
+                attackers.push({ unit, value: this.unitValue(unit), options });
+            }
+        }
+
+        // Enemy units that can reach one of our fighting units or a tile it may advance to
+        const spots = [...attackers.map(a => a.unit), ...targets.values()];
+        const threats = this.map.units.filter(enemy =>
+            enemy.owner !== null && enemy.owner !== player.id && enemy.hp > 0 &&
+            spots.some(spot => this.inReach(enemy, spot))
+        );
+
+        const area = {
+            player,
+            attackers,
+            attackerById: new Map(attackers.map(a => [a.unit.id, a])),
+            threats: [],
+            lossCache: new Map(),
+            start: {
+                hp: new Map(), // unit id -> hp, for enemies hit in the search
+                used: new Set(),
+                moved: new Map(), // unit id -> tile, for attackers that advanced after a kill
+                captured: new Set(),
+                value: 0
+            }
+        };
+
+        // What each threat can do to the attackers where they stand, worst first
+        area.threats = threats.map(enemy => ({
+            enemy,
+            losses: attackers
+                .filter(a => this.inReach(enemy, a.unit))
+                .map(a => ({ id: a.unit.id, loss: this.expectedLoss(area, enemy, a, a.unit) }))
+                .sort((a, b) => b.loss - a.loss)
+        }));
+        return area;
+    }
+
+    /**
+     * Can an enemy move and attack a tile next turn
+     */
+    inReach(enemy, pos) {
+        return Utils.chebyshevDistance(enemy.x, enemy.y, pos.x, pos.y) <= enemy.effectiveMovement + enemy.range;
+    }
+
+    /**
+     * Expected value of an attack over the outcomes of its battle
+     */
+    expectAttack(area, state, attack, depth) {
+        let value = 0;
+        for (const branch of attack.branches) {
+            value += branch.probability * this.decide(area, this.applyAttack(area, state, attack, branch), depth);
+        }
+        return value;
+    }
+
+    /**
+     * Value of the best continuation - another attack or stopping here
+     */
+    decide(area, state, depth) {
+        if (depth <= 0 || this.evaluations >= TACTICAL_SEARCH.MAX_EVALUATIONS) {
+            return this.rollout(area, state);
+        }
+
+        let best = this.evaluate(area, state);
+        for (const attack of this.candidateAttacks(area, state).slice(0, TACTICAL_SEARCH.BRANCHING)) {
+            best = Math.max(best, this.expectAttack(area, state, attack, depth - 1));
+        }
+        return best;
+    }
+
+    /**
+     * Finish a line greedily, taking the likelier outcome of each battle
+     */
+    rollout(area, state) {
+        let current = state;
+        for (;;) {
+            let best = null;
+            for (const attack of this.candidateAttacks(area, current, false)) {
+                if (!best || attack.gain > best.gain) best = attack;
+            }
+            if (!best || best.gain <= 0) break;
+
+            const likely = best.branches.reduce((a, b) => (b.probability > a.probability ? b : a));
+            current = this.applyAttack(area, current, best, likely);
+        }
+        return this.evaluate(area, current);
+    }
+
+    /**
+     * Attacks still possible in a state, best expected gain first
+     * @param {boolean} sorted - false skips sorting when only the best one is needed
+     */
+    candidateAttacks(area, state, sorted = true) {
+        const candidates = [];
+        const tiles = new Map();
+        for (const attacker of area.attackers) {
+            if (state.used.has(attacker.unit.id)) continue;
+
+            for (const option of attacker.options) {
+                this.evaluations++;
+                const { target, kind } = option;
+                if (!tiles.has(target)) tiles.set(target, this.tileState(state, target));
+                const { defender, key } = tiles.get(target);
+                if (!defender) continue;
+
+                // An attack's gain only depends on the state of its tile - cached per option
+                if (!option.cache.has(key)) {
+                    const attack = { attacker, target, kind, branches: null, gain: 0 };
+                    attack.branches = this.getBranches(attack, state);
+                    for (const branch of attack.branches) {
+                        attack.gain += branch.probability * this.attackGain(area, state, attack, branch).gain;
+                    }
+                    option.cache.set(key, attack);
+                }
+                candidates.push(option.cache.get(key));
+            }
+        }
+        return sorted ? candidates.sort((a, b) => b.gain - a.gain) : candidates;
+    }
+
+    /**
+     * Outcomes of the battle an attack starts, folded into two branches: the
+     * attacker wins the tile or its defenders hold it
+     * @returns {Array<{ won: boolean, probability: number, hp: Map, deathChance: Map }>}
+     *   hp and deathChance of the attacker and the defenders, see CombatSystem.estimateBattle
+     */
+    getBranches(attack, state) {
+        const { attacker, target, kind } = attack;
+        const battle = CombatSystem.estimateBattle([attacker.unit], target.units, this.map,
+            { isRanged: kind === 'ranged', hp: state.hp });
+        return [
+            { won: true, probability: battle.winChance, ...battle.won },
+            { won: false, probability: 1 - battle.winChance, ...battle.held }
+        ].filter(branch => branch.probability > 0);
+    }
+
+    /**
+     * Defender of a tile in a state and a key for everything an attack on it depends on
+     */
+    tileState(state, target) {
+        const defender = this.defenderAt(state, target);
+        // Most tiles hold one unit and no city - their hp is enough
+        const key = target.units.length === 1 && !target.city
+            ? this.hpOf(state, target.units[0])
+            : `${target.units.map(u => this.hpOf(state, u)).join('/')}:${!!target.city && state.captured.has(target.city.id)}`;
+        return { defender, key };
+    }
+
+    /**
+     * Hp of a unit in a state
+     */
+    hpOf(state, unit) {
+        return state.hp.get(unit.id) ?? unit.hp;
+    }
+
+    /**
+     * Unit that defends a tile in a state - same pick as Stack.getCombatUnit
+     */
+    defenderAt(state, target) {
+        let best = null;
+        let bestScore = -Infinity;
+        for (const unit of target.units) {
+            const hp = this.hpOf(state, unit);
+            if (hp <= 0) continue;
+            const score = unit.effectiveAttack + unit.effectiveDefense + hp;
+            if (score > bestScore) {
+                bestScore = score;
+                best = unit;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Value gained by an attack with the given outcome - destroyed on the
+     * target tile minus lost by the attacker
+     * @returns {{ gain: number, won: boolean, capturedCity: Object|null }}
+     */
+    attackGain(area, state, attack, branch) {
+        const { attacker, target, kind } = attack;
+
+        let gain = 0;
+        for (const unit of target.units) {
+            const hp = this.hpOf(state, unit);
+            if (hp <= 0) continue;
+            gain += this.lossValue(unit, this.unitValue(unit), hp, branch.hp.get(unit.id), branch.deathChance.get(unit.id));
+        }
+        // The defenders strike back all through the battle
+        gain -= this.lossValue(attacker.unit, attacker.value, this.hpOf(state, attacker.unit),
+            branch.hp.get(attacker.unit.id), branch.deathChance.get(attacker.unit.id));
+        if (!attacker.unit.hasMoved) gain -= TACTICAL_SEARCH.MOVE_COST;
+
+        // A melee win walks into the city
+        let capturedCity = null;
+        const city = target.city;
+        if (branch.won && kind !== 'ranged' && city && city.owner !== area.player.id && !state.captured.has(city.id)) {
+            capturedCity = city;
+            gain += TACTICAL_SEARCH.CITY_VALUE;
+            const owner = this.players[city.owner];
+            if (owner && owner.isAlive && owner.cities.length === 1) gain += TACTICAL_SEARCH.LAST_CITY_VALUE;
+        }
+
+        return { gain, won: branch.won, capturedCity };
+    }
+
+    /**
+     * State after an attack with the given outcome
+     */
+    applyAttack(area, state, attack, branch) {
+        const { attacker, target, kind } = attack;
+        const { gain, won, capturedCity } = this.attackGain(area, state, attack, branch);
+
+        const next = {
+            hp: new Map([...state.hp, ...branch.hp]),
+            used: new Set(state.used).add(attacker.unit.id),
+            moved: state.moved,
+            captured: capturedCity ? new Set(state.captured).add(capturedCity.id) : state.captured,
+            value: state.value + gain
+        };
+
+        // Melee wins advance the attacker onto the defenders' tile
+        if (won && kind !== 'ranged') {
+            next.moved = new Map(state.moved).set(attacker.unit.id, { x: target.x, y: target.y });
+        }
+        return next;
+    }
+
+    /**
+     * Score of a state: value gained minus what the surviving enemies can
+     * take back - each hits the one of our units it hurts most
+     */
+    evaluate(area, state) {
+        let danger = 0;
+        for (const { enemy, losses } of area.threats) {
+            if (this.hpOf(state, enemy) <= 0) continue;
+
+            // Attackers that fell in their battle are out of its reach
+            let worst = losses.find(entry => !state.moved.has(entry.id) && !(state.hp.get(entry.id) <= 0))?.loss ?? 0;
+            for (const [id, pos] of state.moved) {
+                if (!this.inReach(enemy, pos)) continue;
+                worst = Math.max(worst, this.expectedLoss(area, enemy, area.attackerById.get(id), pos));
+            }
+            danger += worst;
+        }
+        return state.value - danger * TACTICAL_SEARCH.COUNTERPLAY;
+    }
+
+    /**
+     * Value an enemy is expected to destroy when it attacks one of our units
+     */
+    expectedLoss(area, enemy, attacker, pos) {
+        const key = `${enemy.id}:${attacker.unit.id}:${pos.x},${pos.y}`;
+        if (!area.lossCache.has(key)) {
+            const unit = attacker.unit;
+            const battle = CombatSystem.estimateBattle([enemy], [unit], this.map, { isRanged: enemy.range > 1, at: pos });
+            area.lossCache.set(key, this.lossValue(unit, attacker.value, unit.hp, battle.hp.get(unit.id), battle.deathChance.get(unit.id)));
+        }
+        return area.lossCache.get(key);
+    }
+
+    /**
+     * Value a unit of the given worth loses going from one hp to another -
+     * a share of it for the damage, all of it as likely as the unit dies
+     */
+    lossValue(unit, value, hpBefore, hpAfter, deathChance) {
+        return (hpBefore - hpAfter) / unit.maxHp * value * TACTICAL_SEARCH.DAMAGE_VALUE + deathChance * value;
+    }
+
+    /**
+     * Worth of a unit in gold
+     */
+    unitValue(unit) {
+        let value = UNIT_DEFINITIONS[unit.type]?.cost ?? 20;
+        if (unit.isHero) value += TACTICAL_SEARCH.HERO_VALUE;
+        value += unit.rank * TACTICAL_SEARCH.RANK_VALUE;
+        return value;
+    }
+}
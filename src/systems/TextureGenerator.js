@@ -1,4 +1,4 @@
-import { CONFIG, COLORS, UNIT_DEFINITIONS } from '../constants.js';
+import { CONFIG, COLORS, FEATURES, UNIT_DEFINITIONS } from '../constants.js';
 
 /**
  * TextureGenerator - generates all procedural game textures
@@ -15,6 +15,7 @@ export class TextureGenerator {
         this.generateTerrainVariants();
         this.generateUnitTextures();
         this.generateCityTextures();
+        this.generateRoadTextures();
         this.generateHighlightTextures();
     }
 
@@ -698,6 +699,81 @@ export class TextureGenerator {
         }
     }
 
+    /**
+     * Generate road and bridge pieces for every combination of connected
+     * neighbours - road_<mask> / bridge_<mask>, mask bits N = 1, E = 2, S = 4, W = 8
+     */
+    generateRoadTextures() {
+        for (let mask = 0; mask < 16; mask++) {
+            this.renderer.createTexture(`road_${mask}`, (g) => this.drawRoadPiece(g, mask, FEATURES.ROAD));
+            this.renderer.createTexture(`bridge_${mask}`, (g) => this.drawRoadPiece(g, mask, FEATURES.BRIDGE));
+        }
+    }
+
+    /**
+     * Draw a road (dirt track) or bridge (plank deck with rails) piece: a hub
+     * in the middle and an arm towards each connected side
+     */
+    drawRoadPiece(g, mask, feature) {
+        const size = CONFIG.TILE_SIZE;
+        const width = 16;
+        const near = (size - width) / 2;
+        const arms = [
+            { bit: 1, x: near, y: 0, w: width, h: near },
+            { bit: 2, x: near + width, y: near, w: near, h: width },
+            { bit: 4, x: near, y: near + width, w: width, h: near },
+            { bit: 8, x: 0, y: near, w: near, h: width }
+        ].filter(arm => mask & arm.bit);
+        const hub = { x: near, y: near, w: width, h: width };
+        const parts = [hub, ...arms];
+
+        if (feature === FEATURES.BRIDGE) {
+            // Deck with a rail along both edges
+            const deck = 0x9C6B3C;
+            parts.forEach(p => {
+                g.fillStyle(this.darken(deck, 35), 1);
+                g.fillRect(p.x - 2, p.y - 2, p.w + 4, p.h + 4);
+            });
+            parts.forEach(p => {
+                g.fillStyle(deck, 1);
+                g.fillRect(p.x, p.y, p.w, p.h);
+            });
+            // Plank seams across the direction of travel
+            g.lineStyle(1, this.darken(deck, 25), 0.8);
+            parts.forEach(p => {
+                const across = p.w >= p.h;
+                for (let i = 4; i < (across ? p.w : p.h); i += 5) {
+                    g.beginPath();
+                    if (across) {
+                        g.moveTo(p.x + i, p.y);
+                        g.lineTo(p.x + i, p.y + p.h);
+                    } else {
+                        g.moveTo(p.x, p.y + i);
+                        g.lineTo(p.x + p.w, p.y + i);
+                    }
+                    g.strokePath();
+                }
+            });
+            return;
+        }
+
+        // Dirt track with darker edges and a few pebbles
+        const dirt = 0xB8925A;
+        parts.forEach(p => {
+            g.fillStyle(this.darken(dirt, 20), 0.6);
+            g.fillRect(p.x - 1, p.y - 1, p.w + 2, p.h + 2);
+        });
+        parts.forEach(p => {
+            g.fillStyle(dirt, 0.9);
+            g.fillRect(p.x, p.y, p.w, p.h);
+        });
+        g.fillStyle(this.lighten(dirt, 15), 0.8);
+        parts.forEach(p => {
+            g.fillCircle(p.x + p.w * 0.3, p.y + p.h * 0.4, 1.5);
+            g.fillCircle(p.x + p.w * 0.7, p.y + p.h * 0.7, 1);
+        });
+    }
+
     /**
      * Generate highlight textures
      */
@@ -0,0 +1,169 @@
+import { TERRAIN, CITY_SIGHT, MOUNTAIN_SIGHT_BONUS } from '../constants.js';
+import { Unit } from '../models/Unit.js';
+
+/**
+ * Fog of war - what each player sees, has explored and remembers.
+ * Units and cities reveal the tiles within their sight radius; units on
+ * mountains see one tile further and forests block the line of sight.
+ * Terrain, cities and ruins are common knowledge, only units hide in the fog.
+ * GameEngine calls update() after every action that moves, adds or kills units
+ */
+export class VisionSystem {
+    constructor(gameMap, players) {
+        this.map = gameMap;
+        this.players = players;
+
+        // Flat arrays per player (width * height) - 1 = visible / explored
+        const size = gameMap.width * gameMap.height;
+        this.visible = players.map(() => new Uint8Array(size));
+        this.explored = players.map(() => new Uint8Array(size));
+
+        // Per player: unit id -> last seen { id, type, owner, x, y, hp } of enemy units
+        this.memory = players.map(() => new Map());
+
+        this.views = new Map();
+        this.ghosts = new Map(); // playerId -> remembered units as Unit objects, rebuilt after update()
+    }
+
+    update() {
+        this.players.forEach(player => this.updatePlayer(player));
+        this.ghosts.clear();
+    }
+
+    updatePlayer(player) {
+        const visible = this.visible[player.id];
+        const explored = this.explored[player.id];
+        const memory = this.memory[player.id];
+
+        visible.fill(0);
+        if (player.isAlive) {
+            player.units.forEach(unit => {
+                if (unit.hp > 0) this.reveal(visible, unit.x, unit.y, unit.sight);
+            });
+            player.cities.forEach(city => this.reveal(visible, city.x, city.y, CITY_SIGHT));
+        }
+        for (let i = 0; i < visible.length; i++) {
+            if (visible[i]) explored[i] = 1;
+        }
+
+        // A remembered unit whose tile is back in sight has moved on or died -
+        // forget it, the units seen now are recorded below (re-inserted, so the
+        // order stays the same after a save round trip)
+        for (const [id, record] of memory) {
+            if (visible[this.index(record.x, record.y)]) memory.delete(id);
+        }
+        this.map.units.forEach(unit => {
+            if (unit.owner === player.id || unit.hp <= 0 || !visible[this.index(unit.x, unit.y)]) return;
+            memory.delete(unit.id);
+            memory.set(unit.id, { id: unit.id, type: unit.type, owner: unit.owner, x: unit.x, y: unit.y, hp: unit.hp });
+        });
+    }
+
+    reveal(visible, cx, cy, sight) {
+        const radius = sight + (this.map.getTerrain(cx, cy) === TERRAIN.MOUNTAINS ? MOUNTAIN_SIGHT_BONUS : 0);
+        for (let y = cy - radius; y <= cy + radius; y++) {
+            for (let x = cx - radius; x <= cx + radius; x++) {
+                if (!this.map.isValid(x, y)) continue;
+                const index = this.index(x, y);
+                if (visible[index]) continue;
+                // Rounded circle - r^2 + r trims the corners but keeps the square's edges
+                const dx = x - cx;
+                const dy = y - cy;
+                if (dx * dx + dy * dy > radius * radius + radius) continue;
+                if (this.hasLineOfSight(cx, cy, x, y)) visible[index] = 1;
+            }
+        }
+    }
+
+    /**
+     * Bresenham line between two tiles - a forest anywhere between them blocks the view.
+     * The forest tiles themselves (and the viewer's own tile) are always seen
+     */
+    hasLineOfSight(x0, y0, x1, y1) {
+        if (x0 === x1 && y0 === y1) return true;
+        const dx = Math.abs(x1 - x0);
+        const dy = -Math.abs(y1 - y0);
+        const sx = x0 < x1 ? 1 : -1;
+        const sy = y0 < y1 ? 1 : -1;
+        let err = dx + dy;
+        let x = x0;
+        let y = y0;
+
+        while (true) {
+            const e2 = 2 * err;
+            if (e2 >= dy) { err += dy; x += sx; }
+            if (e2 <= dx) { err += dx; y += sy; }
+            if (x === x1 && y === y1) return true;
+            if (this.map.getTerrain(x, y) === TERRAIN.FOREST) return false;
+        }
+    }
+
+    index(x, y) {
+        return y * this.map.width + x;
+    }
+
+    isVisible(playerId, x, y) {
+        return this.map.isValid(x, y) && this.visible[playerId][this.index(x, y)] === 1;
+    }
+
+    isExplored(playerId, x, y) {
+        return this.map.isValid(x, y) && this.explored[playerId][this.index(x, y)] === 1;
+    }
+
+    /**
+     * Enemy units at their last known position, out of sight now. They are
+     * detached Unit objects - never on the map, holding the real unit's id
+     */
+    getRememberedUnits(playerId) {
+        if (!this.ghosts.has(playerId)) {
+            const visible = this.visible[playerId];
+            const ghosts = [...this.memory[playerId].values()]
+                .filter(record => !visible[this.index(record.x, record.y)])
+                .map(record => {
+                    const ghost = new Unit(record.type, record.owner, record.x, record.y, record.id);
+                    ghost.hp = record.hp;
+                    return ghost;
+                });
+            this.ghosts.set(playerId, ghosts);
+        }
+        return this.ghosts.get(playerId);
+    }
+
+    /**
+     * The map as the player knows it: the real map with enemy units outside
+     * the player's sight removed. Everything but unit lookups reads through
+     * to the real map, so movement and pathfinding work on it unchanged
+     */
+    getMapView(playerId) {
+        if (!this.views.has(playerId)) {
+            const vision = this;
+            const realMap = this.map;
+            const isKnown = unit => unit.owner === playerId || vision.isVisible(playerId, unit.x, unit.y);
+
+            const view = Object.create(realMap);
+            Object.defineProperties(view, {
+                units: { get: () => realMap.units.filter(isKnown) },
+                rememberedUnits: { get: () => vision.getRememberedUnits(playerId) }
+            });
+            view.getUnitsAt = (x, y) => realMap.getUnitsAt(x, y).filter(isKnown);
+            this.views.set(playerId, view);
+        }
+        return this.views.get(playerId);
+    }
+
+    serialize() {
+        return {
+            explored: this.explored.map(tiles => tiles.join('')),
+            memory: this.memory.map(records => [...records.values()].map(record => ({ ...record })))
+        };
+    }
+
+    load(data) {
+        data.explored.forEach((tiles, playerId) => {
+            for (let i = 0; i < tiles.length; i++) this.explored[playerId][i] = tiles[i] === '1' ? 1 : 0;
+        });
+        data.memory.forEach((records, playerId) => {
+            records.forEach(record => this.memory[playerId].set(record.id, { ...record }));
+        });
+    }
+}
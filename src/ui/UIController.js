@@ -1,6 +1,14 @@
-import { CONFIG, GAME_WIDTH, GAME_HEIGHT, VIEWPORT_WIDTH, VIEWPORT_HEIGHT, COLORS, TERRAIN_NAMES, TERRAIN_DEFENSE } from '../constants.js';
+import { CONFIG, GAME_WIDTH, GAME_HEIGHT, VIEWPORT_WIDTH, VIEWPORT_HEIGHT, COLORS, TERRAIN_NAMES, TERRAIN_DEFENSE, FEATURES, FEATURE_NAMES, ARTIFACT_DEFINITIONS, HERO_UPGRADES } from '../constants.js';
 import { Events } from '../utils.js';
 
+// Minimap terrain colors, indexed by TERRAIN value
+const MINIMAP_TERRAIN_COLORS = [0x8FD45A, 0x228B22, 0xB8C4D0, 0x5BA3D0];
+// Roads and bridges are drawn over the terrain
+const MINIMAP_ROAD_COLOR = 0xC8A46E;
+
+const minimapColor = (map, x, y) =>
+    map.getFeature(x, y) !== FEATURES.NONE ? MINIMAP_ROAD_COLOR : MINIMAP_TERRAIN_COLORS[map.getTerrain(x, y)];
+
 export class UIController {
     constructor(scene, x, y, width, height) {
         this.scene = scene;
@@ -89,6 +97,8 @@ export class UIController {
             this.elements.endTurnBtn = this.createEnhancedButton(10, btnY, btnWidth, btnHeight, 'END TURN', 0xFFD700, 0xFFAA00);
             this.elements.saveBtn = this.createEnhancedButton(120, btnY, 70, btnHeight, 'SAVE', 0x4CAF50, 0x388E3C);
             this.elements.loadBtn = this.createEnhancedButton(200, btnY, 70, btnHeight, 'LOAD', 0x2196F3, 0x1976D2);
+            this.elements.exportBtn = this.createEnhancedButton(120, btnY - 36, 70, 28, 'EXP', 0x9E9E9E, 0x616161);
+            this.elements.importBtn = this.createEnhancedButton(200, btnY - 36, 70, 28, 'IMP', 0x9E9E9E, 0x616161);
         } else {
             // Desktop layout - original vertical sidebar
             this.elements.playerText = this.createText(15, 45, 'Player 1', { fontSize: this.fontSize, color: '#FFFFFF' });
@@ -101,7 +111,7 @@ export class UIController {
             this.panels.selectedHeader = this.createPanelHeader(10, 130, 'Selected Unit');
             this.elements.selectedInfo = this.createText(15, 155, 'None', { fontSize: '10px', lineSpacing: 5 });
 
-            this.panels.stackHeader = this.createPanelHeader(10, 240, 'Rules');
+            this.panels.stackHeader = this.createPanelHeader(10, 240, 'Stack');
             this.elements.stackInfo = this.createText(15, 265, '', { fontSize: '9px', lineSpacing: 3 });
 
             this.panels.tileHeader = this.createPanelHeader(10, 320, 'Tile Info');
@@ -116,6 +126,11 @@ export class UIController {
             this.elements.saveBtn = this.createEnhancedButton(50, saveLoadY, 95, 40, 'SAVE', 0x4CAF50, 0x388E3C);
             this.elements.loadBtn = this.createEnhancedButton(155, saveLoadY, 95, 40, 'LOAD', 0x2196F3, 0x1976D2);
 
+            // Save files on disk - for moving games between machines or bug reports
+            const fileY = this.height - 42;
+            this.elements.exportBtn = this.createEnhancedButton(50, fileY, 95, 30, 'EXPORT', 0x9E9E9E, 0x616161);
+            this.elements.importBtn = this.createEnhancedButton(155, fileY, 95, 30, 'IMPORT', 0x9E9E9E, 0x616161);
+
             this.panels.minimap = this.scene.add.container(this.x + 10, 390);
             this.minimapScale = 3;
 
@@ -133,6 +148,8 @@ export class UIController {
         });
         this.elements.saveBtn.on('pointerup', () => Events.emit('ui:save'));
         this.elements.loadBtn.on('pointerup', () => Events.emit('ui:load'));
+        this.elements.exportBtn.on('pointerup', () => Events.emit('ui:exportSave'));
+        this.elements.importBtn.on('pointerup', () => Events.emit('ui:importSave'));
 
         // Spectator mode defaults to false
         this.isSpectatorMode = false;
@@ -160,6 +177,87 @@ export class UIController {
         }
     }
 
+    /**
+     * Replay mode - shows progress bar, turn step and speed controls in the
+     * production panel area, hides save/load/export/import
+     */
+    setReplayMode(enabled) {
+        this.isReplayMode = enabled;
+        this.elements.saveBtn.setVisible(!enabled);
+        this.elements.loadBtn.setVisible(!enabled);
+        this.elements.exportBtn.setVisible(!enabled);
+        this.elements.importBtn.setVisible(!enabled);
+        if (!enabled) {
+            this.panels.replay?.destroy();
+            this.panels.replay = null;
+            return;
+        }
+
+        const barWidth = this.isMobile ? 160 : this.width - 20;
+        const panel = this.isMobile
+            ? this.scene.add.container(this.x + Math.floor(this.width * 0.35), this.y + this.height - 90)
+            : this.scene.add.container(this.x + 10, this.y + 520);
+        this.panels.replay = panel;
+
+        this.elements.replayLabel = this.scene.add.text(0, 0, 'REPLAY', {
+            fontFamily: 'Press Start 2P', fontSize: this.tinyFont, color: '#FFFFFF'
+        });
+
+        // Seek bar - click anywhere to jump to that point of the match
+        this.elements.replayBar = this.scene.add.graphics();
+        this.elements.replayBar.setPosition(0, 20);
+        const seekArea = this.scene.add.rectangle(0, 20, barWidth, 12).setOrigin(0, 0).setInteractive();
+        seekArea.on('pointerdown', (pointer) => {
+            const fraction = (pointer.x - panel.x) / barWidth;
+            Events.emit('ui:replaySeek', { fraction: Math.min(1, Math.max(0, fraction)) });
+        });
+        this.replayBarWidth = barWidth;
+
+        const btnY = 40;
+        const prev = this.createReplayButton(0, btnY, '<<', () => Events.emit('ui:replaySeek', { turnDelta: -1 }));
+        const next = this.createReplayButton(60, btnY, '>>', () => Events.emit('ui:replaySeek', { turnDelta: 1 }));
+        const speed = this.createReplayButton(120, btnY, '1x', () => Events.emit('ui:replaySpeed'));
+        this.elements.replaySpeedLabel = speed.label;
+
+        panel.add([this.elements.replayLabel, this.elements.replayBar, seekArea, prev.container, next.container, speed.container]);
+    }
+
+    createReplayButton(x, y, text, callback) {
+        const container = this.scene.add.container(x, y);
+        const bg = this.scene.add.graphics();
+        bg.fillStyle(0x2196F3, 1);
+        bg.fillRect(0, 0, 50, 26);
+        bg.lineStyle(2, 0xFFFFFF, 1);
+        bg.strokeRect(0, 0, 50, 26);
+        const label = this.scene.add.text(25, 13, text, {
+            fontFamily: 'Press Start 2P', fontSize: '10px', color: '#FFFFFF'
+        }).setOrigin(0.5, 0.5);
+
+        container.add([bg, label]);
+        container.setInteractive(new Phaser.Geom.Rectangle(0, 0, 50, 26), Phaser.Geom.Rectangle.Contains);
+        container.on('pointerup', callback);
+        return { container, label };
+    }
+
+    /**
+     * Update replay progress bar and labels
+     */
+    updateReplayProgress(step, total, speed) {
+        if (!this.panels.replay) return;
+        this.elements.replayLabel.setText(`REPLAY ${step}/${total}`);
+        this.elements.replaySpeedLabel.setText(`${speed}x`);
+
+        const bar = this.elements.replayBar;
+        const fill = total > 0 ? (step / total) * this.replayBarWidth : 0;
+        bar.clear();
+        bar.fillStyle(0x1A3A5A, 1);
+        bar.fillRect(0, 0, this.replayBarWidth, 12);
+        bar.fillStyle(0xFFD700, 1);
+        bar.fillRect(0, 0, fill, 12);
+        bar.lineStyle(1, 0x3A6A9A, 1);
+        bar.strokeRect(0, 0, this.replayBarWidth, 12);
+    }
+
     /**
      * Create a decorative panel header
      */
@@ -301,7 +399,9 @@ export class UIController {
     }
 
     updatePlayer(player, turn) {
-        const aiIndicator = player.isAI ? ' [AI]' : '';
+        // AI players show their personality; mobile drops the "AI:" to fit the column
+        const personality = player.personalitySettings.name;
+        const aiIndicator = player.isAI ? (this.isMobile ? ` [${personality}]` : ` [AI: ${personality}]`) : '';
         this.elements.playerText.setText(player.name + aiIndicator);
         this.elements.playerText.setColor('#' + player.color.toString(16).padStart(6, '0'));
         this.elements.goldText.setText(`Gold: ${player.gold}`);
@@ -312,7 +412,7 @@ export class UIController {
         if (!entity) {
             this.elements.selectedInfo.setText(this.isMobile ? 'Select unit' : 'None');
             if (!this.isMobile) {
-                this.elements.stackInfo.setText('1 unit per tile');
+                this.elements.stackInfo.setText(`Up to ${CONFIG.MAX_STACK_SIZE} units per tile`);
             }
             return;
         }
@@ -329,25 +429,35 @@ export class UIController {
             } else {
                 status = '[R]';
             }
+            // Heroes: level (+ marks an unspent level-up) and XP towards the next level
+            const level = unit.isHero ? ` Lv${unit.level}${unit.pendingUpgrades > 0 ? '+' : ''}` : '';
+            const xp = unit.isHero ? `${unit.xp}/${unit.nextLevelXp ?? 'MAX'}` : '';
+            // Regular units: veterancy rank above Recruit, e.g. "Elite Archer"
+            const title = unit.rank > 0 ? `${unit.rankName} ${unit.name}` : unit.name;
+            // Heroes are fearless - only regular units show morale
+            const morale = unit.isHero ? '' : `MOR: ${unit.morale} ${unit.moraleName}`;
 
             if (this.isMobile) {
                 // Compact mobile display
-                let text = `${unit.name} ${status}\n`;
-                text += `HP:${unit.hp}/${unit.maxHp} ATK:${unit.effectiveAttack}\n`;
-                text += `Artifacts:${artifactNames.length > 10 ? artifactNames.substring(0, 8) + '..' : artifactNames}`;
+                let text = `${title}${level} ${status}\n`;
+                text += `HP:${unit.hp}/${unit.maxHp} ATK:${unit.effectiveAttack}`;
+                if (!unit.isHero) text += `\n${morale}`;
+                if (unit.isHero) {
+                    text += `\nXP:${xp} Art:${artifactNames.length > 10 ? artifactNames.substring(0, 8) + '..' : artifactNames}`;
+                }
                 this.elements.selectedInfo.setText(text);
             } else {
                 // Desktop full display
                 this.elements.selectedInfo.setText(
-                    `${unit.name} ${status}\n` +
-                    `HP: ${unit.hp}/${unit.maxHp}\n` +
+                    `${title}${level} ${status}\n` +
+                    `HP: ${unit.hp}/${unit.maxHp} ${unit.isHero ? `XP: ${xp}` : morale}\n` +
                     `ATK: ${unit.effectiveAttack} DEF: ${unit.effectiveDefense}\n` +
-                    `MOV: ${unit.effectiveMovement} RNG: ${unit.range}\n` +
-                    `Artifacts: ${artifactNames}`
+                    `MOV: ${unit.effectiveMovement} RNG: ${unit.range}` +
+                    (unit.isHero ? `\nArtifacts: ${artifactNames}` : '')
                 );
 
                 // Stack info panel now shows helper text
-                this.elements.stackInfo.setText('(1 unit per tile)');
+                this.elements.stackInfo.setText(`Up to ${CONFIG.MAX_STACK_SIZE} units per tile`);
             }
             return;
         }
@@ -375,11 +485,39 @@ export class UIController {
             if (isBlockaded) {
                 this.elements.stackInfo.setText('City under siege!\nCannot produce units.');
             } else {
-                this.elements.stackInfo.setText('(1 unit per tile)');
+                this.elements.stackInfo.setText(`Up to ${CONFIG.MAX_STACK_SIZE} units per tile`);
             }
         }
     }
 
+    /**
+     * List the units of the selected stack - clicking one toggles whether it
+     * moves with the selection, so a stack splits by moving part of it
+     * @param {Unit[]} units - own units on the selected tile
+     * @param {Unit[]} group - the selected ones
+     */
+    updateStack(units, group) {
+        (this.elements.stackRows || []).forEach(row => row.destroy());
+        this.elements.stackRows = [];
+        if (units.length < 2) return;
+
+        this.elements.stackInfo.setText('');
+        const x = this.isMobile ? Math.floor(this.width * 0.35) : 15;
+        const y = this.isMobile ? 50 : 265;
+        units.forEach((unit, i) => {
+            const mark = group.includes(unit) ? '[x]' : '[ ]';
+            // Mobile shortens names to initials, e.g. "HI" for Heavy Infantry
+            const name = this.isMobile ? unit.name.split(' ').map(word => word[0]).join('') : unit.name;
+            const row = this.createText(x, y + i * 13, `${mark} ${name} ${unit.hp}/${unit.maxHp}${unit.hasMoved ? ' M' : ''}`, {
+                fontSize: this.isMobile ? '8px' : '9px',
+                color: unit.hasMoved ? '#888888' : '#FFFFFF'
+            });
+            row.setInteractive({ useHandCursor: true });
+            row.on('pointerup', () => Events.emit('ui:toggleStackUnit', { unitId: unit.id }));
+            this.elements.stackRows.push(row);
+        });
+    }
+
     updateTileInfo(x, y, map) {
         if (!map.isValid(x, y)) {
             this.elements.tileInfo.setText('');
@@ -387,11 +525,16 @@ export class UIController {
         }
 
         const terrain = map.getTerrain(x, y);
-        const terrainName = TERRAIN_NAMES[terrain];
+        // "Plains, Road" - a bridge goes by its own name, the water under it goes without saying
+        const feature = map.getFeature(x, y);
+        let terrainName = TERRAIN_NAMES[terrain];
+        if (feature === FEATURES.BRIDGE) terrainName = FEATURE_NAMES[feature];
+        else if (feature !== FEATURES.NONE) terrainName += `, ${FEATURE_NAMES[feature]}`;
         const defenseBonus = TERRAIN_DEFENSE[terrain];
 
         const city = map.getCity(x, y);
         const ruin = map.getRuin(x, y);
+        const items = map.getItemsAt(x, y);
 
         let text;
         if (this.isMobile) {
@@ -407,6 +550,9 @@ export class UIController {
             if (ruin) {
                 text += `\nRuin (!)`;
             }
+            if (items.length > 0) {
+                text += `\nArtifact x${items.length}`;
+            }
         } else {
             // Desktop full display
             text = `${terrainName}`;
@@ -425,6 +571,9 @@ export class UIController {
             if (ruin) {
                 text += `\nRuin (unexplored)`;
             }
+            items.forEach(item => {
+                text += `\nArtifact: ${ARTIFACT_DEFINITIONS[item.type].name}`;
+            });
         }
 
         this.elements.tileInfo.setText(text);
@@ -434,6 +583,70 @@ export class UIController {
         this.elements.tileInfo.setText('');
     }
 
+    /**
+     * Floating forecast panel next to the hovered enemy tile
+     * @param {Object} forecast - from CombatSystem.getForecast
+     * @param {number} screenX - screen position of the tile's top-left corner
+     * @param {number} screenY
+     * @param {number} tileSize - on-screen tile size at the current zoom
+     * @param {number} [attackers] - units in the attacking group
+     */
+    showCombatForecast(forecast, screenX, screenY, tileSize, attackers = 1) {
+        if (!this.panels.forecast) {
+            this.panels.forecast = this.scene.add.container(0, 0).setDepth(1500);
+            this.elements.forecastBg = this.scene.add.graphics();
+            this.elements.forecastText = this.scene.add.text(8, 8, '', {
+                fontFamily: 'Press Start 2P', fontSize: this.isMobile ? '8px' : '10px', color: '#FFFFFF', lineSpacing: 4
+            });
+            this.panels.forecast.add([this.elements.forecastBg, this.elements.forecastText]);
+        }
+
+        const { defender, typeMultiplier } = forecast;
+        const title = defender.rank > 0 ? `${defender.rankName} ${defender.name}` : defender.name;
+        let matchup = '';
+        if (typeMultiplier > 1) matchup = ' strong';
+        if (typeMultiplier < 1) matchup = ' weak';
+        const percent = (chance) => `${Math.round(chance * 100)}%`;
+
+        this.elements.forecastText.setText(
+            `vs ${title}\n` +
+            `HP: ${defender.hp}/${defender.maxHp}\n` +
+            `${TERRAIN_NAMES[forecast.terrain]}: DEF +${forecast.terrainBonus}\n` +
+            `Type: x${typeMultiplier.toFixed(1)}${matchup}\n` +
+            (forecast.flankers > 0 ? `Flanked: ${forecast.flankers} (+${percent(forecast.flankingMultiplier - 1)})\n` : '') +
+            (forecast.moraleMultiplier !== 1 ? `Morale: x${forecast.moraleMultiplier.toFixed(2)}\n` : '') +
+            `Damage: ${forecast.minDamage}-${forecast.maxDamage} (~${forecast.expectedDamage})\n` +
+            `Crit: ${percent(forecast.critChance)} (x2)\n` +
+            (forecast.counter
+                ? `Counter: ${forecast.counter.minDamage}-${forecast.counter.maxDamage} (~${forecast.counter.expectedDamage})\n`
+                : 'Counter: none\n') +
+            // Damage and counter above are for the first exchange, the rest for the whole battle
+            (attackers > 1 || forecast.stackSize > 1 ? `Battle: ${attackers} vs ${forecast.stackSize} units\n` : '') +
+            `Win: ${percent(forecast.winChance)}\n` +
+            `Losses: ~${forecast.attackersLost.toFixed(1)} vs ~${forecast.defendersLost.toFixed(1)}`
+        );
+
+        const width = this.elements.forecastText.width + 16;
+        const height = this.elements.forecastText.height + 16;
+        const bg = this.elements.forecastBg;
+        bg.clear();
+        bg.fillStyle(COLORS.uiBg, 0.92);
+        bg.fillRect(0, 0, width, height);
+        bg.lineStyle(2, forecast.winChance >= 0.5 ? 0x06D6A0 : 0xFFD700, 1);
+        bg.strokeRect(0, 0, width, height);
+
+        // Right of the tile, flipped to the left near the viewport edge
+        let x = screenX + tileSize + 4;
+        if (x + width > VIEWPORT_WIDTH) x = screenX - width - 4;
+        const y = Math.min(Math.max(0, screenY), VIEWPORT_HEIGHT - height);
+        this.panels.forecast.setPosition(Math.max(0, x), y);
+        this.panels.forecast.setVisible(true);
+    }
+
+    hideCombatForecast() {
+        this.panels.forecast?.setVisible(false);
+    }
+
     showProduction(city, player) {
         this.panels.production.removeAll(true);
         this.panels.production.setVisible(true);
@@ -550,11 +763,142 @@ export class UIController {
 
         const sub = this.scene.add.text(
             GAME_WIDTH / 2, GAME_HEIGHT / 2 + 60,
-            'Press F5 to restart',
+            this.isReplayMode ? 'Press F5 to restart' : 'Press F5 to restart, R to download replay',
             { fontFamily: 'Press Start 2P', fontSize: '14px', color: '#FFFFFF' }
         ).setOrigin(0.5, 0.5).setDepth(2001);
     }
 
+    /**
+     * Modal error screen (e.g. a save from a newer game version), closed by clicking it
+     */
+    showErrorScreen(title, message) {
+        const overlay = this.scene.add.graphics();
+        overlay.fillStyle(0x000000, 0.85);
+        overlay.fillRect(0, 0, GAME_WIDTH, GAME_HEIGHT);
+        overlay.setDepth(2000);
+        overlay.setInteractive(new Phaser.Geom.Rectangle(0, 0, GAME_WIDTH, GAME_HEIGHT), Phaser.Geom.Rectangle.Contains);
+
+        const titleText = this.scene.add.text(GAME_WIDTH / 2, GAME_HEIGHT / 2 - 60, title, {
+            fontFamily: 'Press Start 2P', fontSize: '20px', color: '#EF476F'
+        }).setOrigin(0.5, 0.5).setDepth(2001);
+
+        const messageText = this.scene.add.text(GAME_WIDTH / 2, GAME_HEIGHT / 2, message, {
+            fontFamily: 'Press Start 2P', fontSize: '11px', color: '#FFFFFF',
+            align: 'center', lineSpacing: 6, wordWrap: { width: Math.min(GAME_WIDTH - 40, 700) }
+        }).setOrigin(0.5, 0.5).setDepth(2001);
+
+        const hint = this.scene.add.text(GAME_WIDTH / 2, GAME_HEIGHT / 2 + 70, 'Click to continue', {
+            fontFamily: 'Press Start 2P', fontSize: '10px', color: '#AAAAAA'
+        }).setOrigin(0.5, 0.5).setDepth(2001);
+
+        overlay.once('pointerup', () => {
+            [overlay, titleText, messageText, hint].forEach(obj => obj.destroy());
+        });
+    }
+
+    /**
+     * Round by round report of a stack battle, closed by clicking it
+     * @param {Object} battle - from CombatSystem.resolveBattle
+     * @param {Player[]} players
+     */
+    showBattleReport(battle, players) {
+        const attackerOwner = players[battle.rounds[0].attacker.unit.owner];
+        const defenderOwner = players[battle.rounds[0].defender.unit.owner];
+
+        const lines = battle.rounds.map(({ attacker, defender }, i) => {
+            const crit = attacker.damageInfo.isCritical ? ' CRIT' : '';
+            let line = `${i + 1}. ${attacker.unit.name} hits ${defender.unit.name}: ${attacker.damageDealt}${crit}`;
+            if (defender.died) {
+                line += ' - slain';
+            } else if (defender.damageDealt > 0) {
+                line += `\n   strikes back: ${defender.damageDealt}${attacker.died ? ' - slain' : ''}`;
+            }
+            return line;
+        });
+        lines.push('', `Losses: ${attackerOwner.name} ${battle.attackersLost.length}, ${defenderOwner.name} ${battle.defendersLost.length}`);
+
+        const overlay = this.scene.add.graphics();
+        overlay.fillStyle(0x000000, 0.85);
+        overlay.fillRect(0, 0, GAME_WIDTH, GAME_HEIGHT);
+        overlay.setDepth(2000);
+        overlay.setInteractive(new Phaser.Geom.Rectangle(0, 0, GAME_WIDTH, GAME_HEIGHT), Phaser.Geom.Rectangle.Contains);
+
+        const reportText = this.scene.add.text(GAME_WIDTH / 2, GAME_HEIGHT / 2, lines.join('\n'), {
+            fontFamily: 'Press Start 2P', fontSize: this.isMobile ? '8px' : '10px', color: '#FFFFFF',
+            lineSpacing: this.isMobile ? 2 : 4, wordWrap: { width: Math.min(GAME_WIDTH - 40, 700) }
+        }).setOrigin(0.5, 0.5).setDepth(2001);
+
+        // A battle fought to the end can run long - keep the title and hint clear of the report
+        const titleText = this.scene.add.text(GAME_WIDTH / 2, reportText.y - reportText.height / 2 - 30, `${attackerOwner.name} attacks ${defenderOwner.name}`, {
+            fontFamily: 'Press Start 2P', fontSize: this.isMobile ? '12px' : '16px', color: '#FFD700'
+        }).setOrigin(0.5, 0.5).setDepth(2001);
+
+        const hint = this.scene.add.text(GAME_WIDTH / 2, reportText.y + reportText.height / 2 + 30, 'Click to continue', {
+            fontFamily: 'Press Start 2P', fontSize: '10px', color: '#AAAAAA'
+        }).setOrigin(0.5, 0.5).setDepth(2001);
+
+        overlay.once('pointerup', () => {
+            [overlay, titleText, reportText, hint].forEach(obj => obj.destroy());
+        });
+    }
+
+    /**
+     * Modal level-up dialog - the player must pick one hero upgrade
+     * @param {Unit} hero
+     * @param {Function} onChoose - called with the HERO_UPGRADES key
+     */
+    showHeroUpgradeChoice(hero, onChoose) {
+        if (this.upgradeChoice) return;
+
+        const objects = [];
+        const overlay = this.scene.add.graphics();
+        overlay.fillStyle(0x000000, 0.75);
+        overlay.fillRect(0, 0, GAME_WIDTH, GAME_HEIGHT);
+        overlay.setDepth(2000);
+        overlay.setInteractive(new Phaser.Geom.Rectangle(0, 0, GAME_WIDTH, GAME_HEIGHT), Phaser.Geom.Rectangle.Contains);
+        objects.push(overlay);
+
+        const cx = GAME_WIDTH / 2;
+        const btnWidth = Math.min(GAME_WIDTH - 40, 420);
+        const btnHeight = 44;
+        const entries = Object.entries(HERO_UPGRADES);
+        const top = GAME_HEIGHT / 2 - (entries.length * (btnHeight + 10)) / 2;
+
+        objects.push(this.scene.add.text(cx, top - 50, `HERO LEVEL ${hero.level}!`, {
+            fontFamily: 'Press Start 2P', fontSize: '18px', color: '#FFD700'
+        }).setOrigin(0.5, 0.5).setDepth(2001));
+        objects.push(this.scene.add.text(cx, top - 22, 'Choose an upgrade', {
+            fontFamily: 'Press Start 2P', fontSize: '10px', color: '#AAAAAA'
+        }).setOrigin(0.5, 0.5).setDepth(2001));
+
+        const close = () => {
+            objects.forEach(obj => obj.destroy());
+            this.upgradeChoice = null;
+        };
+
+        entries.forEach(([type, def], i) => {
+            const y = top + i * (btnHeight + 10) + btnHeight / 2;
+            const button = this.scene.add.rectangle(cx, y, btnWidth, btnHeight, 0x1A2F4A)
+                .setStrokeStyle(2, 0xFFD700, 0.6)
+                .setDepth(2001)
+                .setInteractive({ useHandCursor: true });
+            const label = this.scene.add.text(cx, y, def.description ? `${def.name}: ${def.description}` : def.name, {
+                fontFamily: 'Press Start 2P', fontSize: '10px', color: '#FFFFFF',
+                align: 'center', wordWrap: { width: btnWidth - 20 }
+            }).setOrigin(0.5, 0.5).setDepth(2002);
+
+            button.on('pointerover', () => button.setFillStyle(0x2A4F7A));
+            button.on('pointerout', () => button.setFillStyle(0x1A2F4A));
+            button.once('pointerup', () => {
+                close();
+                onChoose(type);
+            });
+            objects.push(button, label);
+        });
+
+        this.upgradeChoice = { close };
+    }
+
     /**
      * Update minimap with current game state
      * @param {GameMap} map
@@ -562,8 +906,9 @@ export class UIController {
      * @param {number} cameraX
      * @param {number} cameraY
      * @param {number} zoom - current camera zoom level (default 1.0)
+     * @param {Object} [fog] - viewer's fog of war { isVisible(x, y), isExplored(x, y) }
      */
-    updateMinimap(map, players, cameraX, cameraY, zoom = 1.0) {
+    updateMinimap(map, players, cameraX, cameraY, zoom = 1.0, fog = null) {
         this.panels.minimap.removeAll(true);
 
         const miniW = map.width * this.minimapScale;
@@ -579,16 +924,14 @@ export class UIController {
         this.panels.minimap.add(bg);
 
         // Terrain - enhanced colors
-        const terrainColors = [0x8FD45A, 0x228B22, 0xB8C4D0, 0x5BA3D0];
         for (let y = 0; y < map.height; y++) {
             for (let x = 0; x < map.width; x++) {
-                const terrain = map.getTerrain(x, y);
                 const pixel = this.scene.add.rectangle(
                     x * this.minimapScale,
                     y * this.minimapScale,
                     this.minimapScale,
                     this.minimapScale,
-                    terrainColors[terrain]
+                    minimapColor(map, x, y)
                 );
                 pixel.setOrigin(0, 0);
                 this.panels.minimap.add(pixel);
@@ -621,11 +964,24 @@ export class UIController {
             this.panels.minimap.add(dot);
         });
 
-        // Units (show only alive units)
+        // Fog of war - shroud unexplored tiles, dim tiles out of sight
+        if (fog) {
+            const shroud = this.scene.add.graphics();
+            for (let y = 0; y < map.height; y++) {
+                for (let x = 0; x < map.width; x++) {
+                    if (fog.isVisible(x, y)) continue;
+                    shroud.fillStyle(0x000000, fog.isExplored(x, y) ? 0.4 : 0.75);
+                    shroud.fillRect(x * this.minimapScale, y * this.minimapScale, this.minimapScale, this.minimapScale);
+                }
+            }
+            this.panels.minimap.add(shroud);
+        }
+
+        // Units (show only alive units the viewer can see)
         players.forEach(player => {
             if (!player.isAlive) return;
             player.units.forEach(unit => {
-                if (unit.hp > 0) {
+                if (unit.hp > 0 && (!fog || fog.isVisible(unit.x, unit.y))) {
                     const dot = this.scene.add.rectangle(
                         unit.x * this.minimapScale,
                         unit.y * this.minimapScale,
@@ -671,6 +1027,48 @@ export class UIController {
         });
     }
 
+    /**
+     * Render the minimap (terrain, cities, units) into a PNG data URL,
+     * used as the save slot thumbnail on the load screen
+     * @param {GameMap} map
+     * @param {Player[]} players
+     * @param {Object} [fog] - viewer's fog of war, see updateMinimap
+     * @param {number} scale - pixels per tile
+     */
+    createMinimapThumbnail(map, players, fog = null, scale = 2) {
+        const canvas = document.createElement('canvas');
+        canvas.width = map.width * scale;
+        canvas.height = map.height * scale;
+        const ctx = canvas.getContext('2d');
+        const toCss = color => '#' + color.toString(16).padStart(6, '0');
+
+        for (let y = 0; y < map.height; y++) {
+            for (let x = 0; x < map.width; x++) {
+                ctx.fillStyle = toCss(minimapColor(map, x, y));
+                ctx.fillRect(x * scale, y * scale, scale, scale);
+                if (fog && !fog.isVisible(x, y)) {
+                    ctx.fillStyle = `rgba(0, 0, 0, ${fog.isExplored(x, y) ? 0.4 : 0.75})`;
+                    ctx.fillRect(x * scale, y * scale, scale, scale);
+                }
+            }
+        }
+
+        map.cities.forEach(city => {
+            ctx.fillStyle = toCss(city.owner !== null ? COLORS.players[city.owner] : 0x808080);
+            ctx.fillRect(city.x * scale - 1, city.y * scale - 1, scale + 2, scale + 2);
+        });
+
+        players.forEach(player => {
+            if (!player.isAlive) return;
+            ctx.fillStyle = toCss(COLORS.players[player.id]);
+            player.units.forEach(unit => {
+                if (unit.hp > 0 && (!fog || fog.isVisible(unit.x, unit.y))) ctx.fillRect(unit.x * scale, unit.y * scale, scale, scale);
+            });
+        });
+
+        return canvas.toDataURL('image/png');
+    }
+
     /**
      * Set callback for minimap clicks
      */
@@ -10,7 +10,7 @@ export const Utils = {
 
     chebyshevDistance: (x1, y1, x2, y2) => Math.max(Math.abs(x1 - x2), Math.abs(y1 - y2)),
 
-    randomInt: (min, max) => Math.floor(Math.random() * (max - min + 1)) + min,
+    randomInt: (min, max) => Random.int(min, max),
 
     assert: (condition, message) => {
         if (!condition) throw new Error(`Assertion failed: ${message}`);
@@ -20,13 +20,129 @@ export const Utils = {
 
     shuffleArray: (array) => {
         for (let i = array.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = Math.floor(Random.next() * (i + 1));
             [array[i], array[j]] = [array[j], array[i]];
         }
         return array;
-    }
+    },
+
+    /**
+     * Offer data as a downloadable JSON file (browser only)
+     */
+    downloadJSON: (data, filename) => {
+        const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    },
+
+    /**
+     * Let the user pick a local file (browser only)
+     * @returns {Promise<string>} file contents - never settles if the picker is cancelled
+     */
+    pickFile: (accept = '.json,application/json') => new Promise((resolve, reject) => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = accept;
+        input.addEventListener('change', () => {
+            const file = input.files?.[0];
+            if (file) file.text().then(resolve, reject);
+        });
+        input.click();
+    })
 };
 
+/**
+ * Seedable pseudo-random generator (mulberry32).
+ * All gameplay randomness goes through the shared `Random` instance so a game
+ * can be reproduced from its seed: same seed + same inputs = same map, ruin
+ * rewards and combat rolls. Purely visual effects may keep using Math.random.
+ */
+export class SeededRandom {
+    constructor(seed = SeededRandom.generateSeed()) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Create a fresh random seed (32-bit unsigned integer)
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    /**
+     * Normalize a user supplied seed - numbers are used as-is, any other
+     * string is hashed so "map of the week" seeds can be words
+     */
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) return seed >>> 0;
+        const text = String(seed).trim();
+        if (/^\d+$/.test(text)) return Number(text) >>> 0;
+        return SeededRandom.hashString(text);
+    }
+
+    /**
+     * 32-bit FNV-1a hash of a string (unsigned integer)
+     */
+    static hashString(text) {
+        let hash = 2166136261;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return hash >>> 0;
+    }
+
+    setSeed(seed) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    /**
+     * Next float in [0, 1)
+     */
+    next() {
+        let t = (this.state = (this.state + 0x6D2B79F5) >>> 0);
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Integer in [min, max] (inclusive)
+     */
+    int(min, max) {
+        return Math.floor(this.next() * (max - min + 1)) + min;
+    }
+
+    /**
+     * Random element of an array (undefined for empty arrays)
+     */
+    pick(array) {
+        return array[this.int(0, array.length - 1)];
+    }
+
+    /**
+     * Snapshot of the generator - stored in saves so a loaded game continues
+     * the exact same random sequence
+     */
+    getState() {
+        return { seed: this.seed, state: this.state };
+    }
+
+    setState({ seed, state }) {
+        this.seed = seed >>> 0;
+        this.state = state >>> 0;
+    }
+}
+
+export const Random = new SeededRandom();
+
 export class EventBus {
     constructor() {
         this.listeners = new Map();
@@ -0,0 +1,243 @@
+/**
+ * Movement rules on small hand-built maps: zones of control, units that
+ * ignore them, groups, and roads and bridges.
+ *
+ * Map rows: '.' plains, 'w' water, '#' road on plains, '=' bridge (road on water)
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameMap } from '../src/systems/GameMap.js';
+import { MovementSystem } from '../src/systems/MovementSystem.js';
+import { Unit } from '../src/models/Unit.js';
+import { TERRAIN, FEATURES, UNIT_DEFINITIONS, ZOC_EXIT_COST, ROAD_MOVE_COST } from '../src/constants.js';
+
+const TILES = {
+    '.': { terrain: TERRAIN.PLAINS, feature: FEATURES.NONE },
+    'w': { terrain: TERRAIN.WATER, feature: FEATURES.NONE },
+    '#': { terrain: TERRAIN.PLAINS, feature: FEATURES.ROAD },
+    '=': { terrain: TERRAIN.WATER, feature: FEATURES.BRIDGE }
+};
+
+// A one tile wide land corridor between two rows of water
+const CORRIDOR = [
+    'wwwwwww',
+    '.......',
+    'wwwwwww'
+];
+
+const ROAD_CORRIDOR = [
+    'wwwwwww',
+    '#######',
+    'wwwwwww'
+];
+
+// A river with a single bridge over it
+const RIVER = [
+    '...w...',
+    '...=...',
+    '...w...'
+];
+
+/**
+ * @param {string[]} rows - see the map legend above
+ * @param {Array<[string, number, number, number]>} units - [type, owner, x, y]
+ * @returns {{ map: GameMap, units: Unit[] }}
+ */
+function buildMap(rows, units = []) {
+    const map = new GameMap(rows[0].length, rows.length);
+    map.decorations = [];
+    rows.forEach((row, y) => [...row].forEach((char, x) => {
+        map.terrain[y][x] = TILES[char].terrain;
+        map.features[y][x] = TILES[char].feature;
+    }));
+
+    const placed = units.map(([type, owner, x, y]) => new Unit(type, owner, x, y));
+    placed.forEach(unit => map.addUnit(unit));
+    return { map, units: placed };
+}
+
+function tileAt(tiles, x, y) {
+    return tiles.find(t => t.x === x && t.y === y);
+}
+
+test('entering an enemy zone of control ends the move', () => {
+    const { map, units: [infantry] } = buildMap(CORRIDOR, [
+        ['LIGHT_INFANTRY', 0, 0, 1],
+        ['DRAGON', 1, 3, 0]
+    ]);
+    const tiles = MovementSystem.getReachableTiles(infantry, map);
+
+    const zoc = tileAt(tiles, 3, 1);
+    assert.ok(zoc, 'the unit may stop in the zone');
+    assert.equal(zoc.isZOC, true);
+    assert.equal(zoc.movesLeft, 0);
+    assert.equal(tileAt(tiles, 4, 1), undefined, 'the unit may not walk on through the zone');
+});
+
+test('without an enemy nearby the same move goes further', () => {
+    const { map, units: [infantry] } = buildMap(CORRIDOR, [['LIGHT_INFANTRY', 0, 0, 1]]);
+    const tiles = MovementSystem.getReachableTiles(infantry, map);
+
+    assert.equal(tileAt(tiles, 3, 1).isZOC, false);
+    assert.equal(tileAt(tiles, 4, 1).cost, 4);
+});
+
+test('friendly units exert no zone of control', () => {
+    const { map, units: [infantry] } = buildMap(CORRIDOR, [
+        ['LIGHT_INFANTRY', 0, 0, 1],
+        ['DRAGON', 0, 3, 0]
+    ]);
+    const tiles = MovementSystem.getReachableTiles(infantry, map);
+
+    assert.equal(tileAt(tiles, 3, 1).isZOC, false);
+    assert.ok(tileAt(tiles, 4, 1));
+});
+
+test('leaving a zone of control costs ZOC_EXIT_COST on the first step only', () => {
+    const { map, units: [infantry] } = buildMap(CORRIDOR, [
+        ['LIGHT_INFANTRY', 0, 2, 1],
+        ['DRAGON', 1, 2, 0]
+    ]);
+    const tiles = MovementSystem.getReachableTiles(infantry, map);
+
+    assert.equal(tileAt(tiles, 1, 1).cost, 1 + ZOC_EXIT_COST);
+    assert.equal(tileAt(tiles, 3, 1).cost, 1 + ZOC_EXIT_COST);
+    assert.equal(tileAt(tiles, 0, 1).cost, 2 + ZOC_EXIT_COST);
+    assert.equal(tileAt(tiles, 4, 1).cost, 2 + ZOC_EXIT_COST);
+});
+
+test('cavalry and dragons are the units that ignore zones of control', () => {
+    const ignoring = Object.keys(UNIT_DEFINITIONS).filter(type => UNIT_DEFINITIONS[type].ignoresZOC);
+    assert.deepEqual(ignoring.sort(), ['CAVALRY', 'DRAGON']);
+});
+
+for (const type of ['CAVALRY', 'DRAGON']) {
+    test(`${type} moves on through an enemy zone of control`, () => {
+        const { map, units: [unit] } = buildMap(CORRIDOR, [
+            [type, 0, 0, 1],
+            ['DRAGON', 1, 3, 0]
+        ]);
+        const tiles = MovementSystem.getReachableTiles(unit, map);
+
+        assert.equal(tileAt(tiles, 3, 1).isZOC, false);
+        assert.ok(tileAt(tiles, 3, 1).movesLeft > 0);
+        assert.equal(tileAt(tiles, 6, 1).cost, 6);
+    });
+
+    test(`${type} leaves an enemy zone of control at no extra cost`, () => {
+        const { map, units: [unit] } = buildMap(CORRIDOR, [
+            [type, 0, 2, 1],
+            ['DRAGON', 1, 2, 0]
+        ]);
+        const tiles = MovementSystem.getReachableTiles(unit, map);
+
+        assert.equal(tileAt(tiles, 1, 1).cost, 1);
+        assert.equal(tileAt(tiles, 3, 1).cost, 1);
+    });
+}
+
+test('a group stops where its unit that obeys zones of control must stop', () => {
+    const { map, units: [cavalry, infantry] } = buildMap(CORRIDOR, [
+        ['CAVALRY', 0, 0, 1],
+        ['LIGHT_INFANTRY', 0, 0, 1],
+        ['DRAGON', 1, 3, 0]
+    ]);
+    const tiles = MovementSystem.getGroupReachableTiles([cavalry, infantry], map);
+
+    assert.equal(tileAt(tiles, 3, 1).isZOC, true);
+    assert.equal(tileAt(tiles, 3, 1).movesLeft, 0);
+    assert.equal(tileAt(tiles, 4, 1), undefined);
+});
+
+test('a group with a dragon keeps to the land its other units can walk', () => {
+    const { map, units: [dragon, infantry] } = buildMap(CORRIDOR, [
+        ['DRAGON', 0, 0, 1],
+        ['LIGHT_INFANTRY', 0, 0, 1]
+    ]);
+    const tiles = MovementSystem.getGroupReachableTiles([dragon, infantry], map);
+
+    assert.ok(tiles.length > 0);
+    for (const tile of tiles) {
+        assert.equal(tile.y, 1, `(${tile.x}, ${tile.y}) is water`);
+        assert.ok(tile.path.every(step => step.y === 1), `path to (${tile.x}, ${tile.y}) crosses water`);
+    }
+});
+
+test('a group moves at the pace of its slowest unit', () => {
+    const { map, units: [cavalry, infantry] } = buildMap(CORRIDOR, [
+        ['CAVALRY', 0, 0, 1],
+        ['HEAVY_INFANTRY', 0, 0, 1]
+    ]);
+    const tiles = MovementSystem.getGroupReachableTiles([cavalry, infantry], map);
+
+    assert.equal(tileAt(tiles, 3, 1).movesLeft, 0);
+    assert.equal(tileAt(tiles, 4, 1), undefined);
+});
+
+test('a road does not carry a unit through an enemy zone of control', () => {
+    const { map, units: [infantry] } = buildMap(ROAD_CORRIDOR, [
+        ['LIGHT_INFANTRY', 0, 0, 1],
+        ['DRAGON', 1, 3, 0]
+    ]);
+    const tiles = MovementSystem.getReachableTiles(infantry, map);
+
+    const zoc = tileAt(tiles, 3, 1);
+    assert.equal(zoc.cost, 3 * ROAD_MOVE_COST);
+    assert.equal(zoc.isZOC, true);
+    assert.equal(zoc.movesLeft, 0);
+    assert.equal(tileAt(tiles, 4, 1), undefined);
+});
+
+test('leaving a zone of control along a road costs the road step plus ZOC_EXIT_COST', () => {
+    const { map, units: [infantry] } = buildMap(ROAD_CORRIDOR, [
+        ['LIGHT_INFANTRY', 0, 2, 1],
+        ['DRAGON', 1, 2, 0]
+    ]);
+    const tiles = MovementSystem.getReachableTiles(infantry, map);
+
+    assert.equal(tileAt(tiles, 3, 1).cost, ROAD_MOVE_COST + ZOC_EXIT_COST);
+    assert.equal(tileAt(tiles, 4, 1).cost, 2 * ROAD_MOVE_COST + ZOC_EXIT_COST);
+});
+
+test('land units cross water only at the bridge', () => {
+    const { map, units: [infantry] } = buildMap(RIVER, [['LIGHT_INFANTRY', 0, 1, 1]]);
+    const tiles = MovementSystem.getReachableTiles(infantry, map);
+
+    assert.ok(tileAt(tiles, 3, 1));
+    assert.equal(tileAt(tiles, 4, 1).cost, 3);
+    assert.equal(tileAt(tiles, 3, 0), undefined);
+    assert.equal(tileAt(tiles, 3, 2), undefined);
+});
+
+test('a bridge in an enemy zone of control ends the move on the bridge', () => {
+    const { map, units: [infantry] } = buildMap(RIVER, [
+        ['LIGHT_INFANTRY', 0, 1, 1],
+        ['DRAGON', 1, 3, 0]
+    ]);
+    const tiles = MovementSystem.getReachableTiles(infantry, map);
+
+    const bridge = tileAt(tiles, 3, 1);
+    assert.equal(bridge.isZOC, true);
+    assert.equal(bridge.movesLeft, 0);
+    assert.equal(tileAt(tiles, 4, 1), undefined);
+});
+
+test('cavalry crosses a bridge in an enemy zone of control', () => {
+    const { map, units: [cavalry] } = buildMap(RIVER, [
+        ['CAVALRY', 0, 1, 1],
+        ['DRAGON', 1, 3, 0]
+    ]);
+    const tiles = MovementSystem.getReachableTiles(cavalry, map);
+
+    assert.equal(tileAt(tiles, 3, 1).isZOC, false);
+    assert.equal(tileAt(tiles, 5, 1).cost, 4);
+});
+
+test('findPath crosses a river by its bridge', () => {
+    const { map, units: [infantry] } = buildMap(RIVER, [['LIGHT_INFANTRY', 0, 0, 0]]);
+    const path = MovementSystem.findPath(infantry, 6, 0, map);
+
+    assert.ok(path, 'there is a way over the bridge');
+    assert.ok(path.some(step => step.x === 3 && step.y === 1));
+    assert.ok(!path.some(step => step.x === 3 && step.y !== 1));
+});